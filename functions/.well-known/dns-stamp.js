@@ -0,0 +1,20 @@
+// DNS stamp (sdns://) for dnscrypt-proxy and other stamp-based clients
+// Route: /.well-known/dns-stamp
+
+import { dnsStamp, unusableOrigin } from '../../lib/onboarding.js'
+import { json, resolverFeatures } from '../dns-query.js'
+
+export async function onRequestGet({ request, env }) {
+  const { origin } = new URL(request.url)
+  const problem = unusableOrigin(origin)
+  if (problem) return json({ error: problem }, 400)
+  const stamp = dnsStamp(origin, resolverFeatures(env))
+  return new Response(`${stamp}\n`, {
+    status: 200,
+    headers: {
+      'content-type': 'text/plain; charset=utf-8',
+      'cache-control': 'max-age=3600',
+      'access-control-allow-origin': '*',
+    },
+  })
+}
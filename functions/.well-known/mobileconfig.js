@@ -0,0 +1,31 @@
+// Apple configuration profile (DNSSettings) for iOS and macOS; signed when
+// PROFILE_SIGNING_CERT and PROFILE_SIGNING_KEY are set
+// Route: /.well-known/mobileconfig
+
+import { MOBILECONFIG_CONTENT_TYPE, appleDnsProfile, unusableOrigin } from '../../lib/onboarding.js'
+import { signCms } from '../../lib/cms.js'
+import { json, profileSigning, resolverFeatures } from '../dns-query.js'
+
+export async function onRequestGet({ request, env }) {
+  const { origin, hostname } = new URL(request.url)
+  const problem = unusableOrigin(origin)
+  if (problem) return json({ error: problem }, 400)
+  const profile = await appleDnsProfile(origin, resolverFeatures(env))
+  const signing = profileSigning(env)
+  let body = profile
+  if (signing) {
+    try {
+      body = await signCms(new TextEncoder().encode(profile), signing)
+    } catch (err) {
+      return json({ error: `profile signing failed: ${err.message}` }, 500)
+    }
+  }
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'content-type': MOBILECONFIG_CONTENT_TYPE,
+      'content-disposition': `attachment; filename="${hostname}.mobileconfig"`,
+      'cache-control': 'max-age=3600',
+    },
+  })
+}
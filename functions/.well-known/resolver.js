@@ -0,0 +1,20 @@
+// JSON description of this resolver: endpoints, DNS stamp and what it does to queries
+// Route: /.well-known/resolver
+
+import { describeResolver, unusableOrigin } from '../../lib/onboarding.js'
+import { json, resolverFeatures } from '../dns-query.js'
+
+export async function onRequestGet({ request, env }) {
+  const { origin } = new URL(request.url)
+  const problem = unusableOrigin(origin)
+  if (problem) return json({ error: problem }, 400)
+  const body = describeResolver(origin, resolverFeatures(env))
+  return new Response(JSON.stringify(body, null, 2), {
+    status: 200,
+    headers: {
+      'content-type': 'application/json; charset=utf-8',
+      'cache-control': 'max-age=3600',
+      'access-control-allow-origin': '*',
+    },
+  })
+}
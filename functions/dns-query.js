@@ -1,13 +1,80 @@
 // EdgeOne Pages Function for DoH proxy with ECS injection
 // Pure Web/Workers APIs; no Node deps.
 
+import { createEcsCache } from '../lib/ecs-cache.js'
+import { createUpstreamPool, describeFailure, parseUpstreamList } from '../lib/upstreams.js'
+import { matchRoute, parseRoutes } from '../lib/routes.js'
+import { createFilterSource } from '../lib/blocklist.js'
+import { createZoneSet, parseZone } from '../lib/zone.js'
+import { QTYPES } from '../lib/qtypes.js'
+import { DEFAULT_TRUSTED_PROXIES, parseCidrList, resolveClientIp } from '../lib/client-ip.js'
+import { createQueryLogger, queryLogEntry } from '../lib/query-log.js'
+import { createRateLimiter } from '../lib/rate-limit.js'
+import { DEFAULT_DNS64_EXCLUDE, DNS64_WELL_KNOWN_PREFIX, createDns64 } from '../lib/dns64.js'
+import { createResponseRewriter } from '../lib/rewrite.js'
+import { ODOH_CONTENT_TYPE } from '../lib/odoh.js'
+import { ECS_REQUEST_HEADER, decideEcs, ecsEchoMismatch, ecsHeaderValue, normalizeEcsPolicy, parseSubnet } from '../lib/ecs-policy.js'
+
 const DEFAULTS = {
   UPSTREAM_DOH: 'https://dns.google/dns-query',
   ECS_V4_PREFIX: 24,
   ECS_V6_PREFIX: 56,
+  ECS_POLICY: 'override',
   CONNECTING_IP_HEADER: 'EO-Connecting-IP',
+  TRUSTED_PROXIES: DEFAULT_TRUSTED_PROXIES,
+  CACHE_SIZE: 5000,
+  CACHE_MAX_TTL: 3600,
+  CACHE_API: false,
+  SERVE_STALE_S: 0,
+  UPSTREAM_STRATEGY: 'failover',
+  UPSTREAM_TIMEOUT_MS: 2000,
+  UPSTREAM_EJECT_FAILURES: 3,
+  UPSTREAM_EJECT_MS: 30000,
+  ROUTES: '',
+  BLOCKLIST: '',
+  ALLOWLIST: '',
+  BLOCKLIST_URLS: '',
+  ALLOWLIST_URLS: '',
+  BLOCKLIST_REFRESH_S: 3600,
+  BLOCK_MODE: 'nxdomain',
+  BLOCK_TTL: 300,
+  LOCAL_ZONES: '',
+  QUERY_LOG: '',
+  QUERY_LOG_SAMPLE: 1,
+  QUERY_LOG_IP: 'truncate',
+  QUERY_LOG_HMAC_KEY: '',
+  QUERY_LOG_KEY_ROTATE_S: 86400,
+  PADDING_BLOCK: 468,
+  UPSTREAM_PADDING_BLOCK: 128,
+  RATE_LIMIT_QPS: 0,
+  RATE_LIMIT_BURST: 0,
+  RATE_LIMIT_EXEMPT: '',
+  DNS64: false,
+  DNS64_PREFIX: DNS64_WELL_KNOWN_PREFIX,
+  DNS64_CLIENTS: '',
+  DNS64_EXCLUDE: DEFAULT_DNS64_EXCLUDE,
+  TTL_MIN: 0,
+  TTL_MAX: 0,
+  FILTER_AAAA_CLIENTS: '',
+  FILTER_AAAA_DOMAINS: '',
+  STRIP_RESPONSE_OPTIONS: '',
+  REWRITES: '',
+  ODOH_TARGETS: '',
+  PROFILE_SIGNING_CERT: '',
+  PROFILE_SIGNING_KEY: '',
 }
 
+// Per-isolate response cache and upstream pools, created on first request (env is only known then)
+let responseCache = null
+let upstreamPool = null
+const routePools = new Map()
+let filterSource = null
+let localZones = null
+let queryLogger = null
+let rateLimiter = null
+let dns64 = null
+let responseRewriter = null
+
 export async function onRequestGet(context) {
   return handleRequest(context)
 }
@@ -23,8 +90,68 @@ export async function onRequestHead() {
   })
 }
 
-async function handleRequest({ request, env, clientIp }) {
+// What this deployment does, for the onboarding endpoints in functions/.well-known/
+// (lib/onboarding.js); /resolve is the Node function next to this one
+export function resolverFeatures(env) {
   const cfg = loadConfig(env)
+  return {
+    endpoints: { doh: '/dns-query', json: '/resolve', odohProxy: cfg.ODOH_TARGETS.length > 0 },
+    ecs: { policy: cfg.ECS_POLICY, v4Prefix: cfg.ECS_V4_PREFIX, v6Prefix: cfg.ECS_V6_PREFIX },
+    padding: { block: cfg.PADDING_BLOCK, upstreamBlock: cfg.UPSTREAM_PADDING_BLOCK },
+    filtering: {
+      blocklist: !!cfg.BLOCKLIST.trim() || cfg.BLOCKLIST_URLS.length > 0,
+      blockMode: cfg.BLOCK_MODE,
+      aaaa: !!(cfg.FILTER_AAAA_CLIENTS || cfg.FILTER_AAAA_DOMAINS),
+      rewrites: !!cfg.REWRITES.trim(),
+    },
+    localZones: !!cfg.LOCAL_ZONES.trim(),
+    dnssec: false,
+    dns64: cfg.DNS64 ? cfg.DNS64_PREFIX : null,
+    ttl: { min: cfg.TTL_MIN, max: cfg.TTL_MAX },
+    cache: cfg.CACHE_SIZE > 0,
+    serveStale: cfg.SERVE_STALE_S,
+    rateLimit: cfg.RATE_LIMIT_QPS > 0 ? { qps: cfg.RATE_LIMIT_QPS, burst: cfg.RATE_LIMIT_BURST > 0 ? cfg.RATE_LIMIT_BURST : Math.max(1, cfg.RATE_LIMIT_QPS) } : null,
+    queryLog: !!cfg.QUERY_LOG,
+  }
+}
+
+// PEM certificate and key for signing the .mobileconfig profile, or null to serve it unsigned
+export function profileSigning(env) {
+  const cfg = loadConfig(env)
+  return cfg.PROFILE_SIGNING_CERT && cfg.PROFILE_SIGNING_KEY
+    ? { certificate: cfg.PROFILE_SIGNING_CERT, privateKey: cfg.PROFILE_SIGNING_KEY }
+    : null
+}
+
+async function handleRequest(context) {
+  const { request, env, clientIp } = context
+  const cfg = loadConfig(env)
+  const started = Date.now()
+  // Filled in by answerQuery as the query moves through the pipeline, for the query log
+  const meta = {}
+  let status = 500
+  try {
+    const res = await answerQuery(request, cfg, clientIp, meta)
+    status = res.status
+    return res
+  } catch (err) {
+    meta.error = String((err && err.message) || err)
+    throw err
+  } finally {
+    const logger = meta.question ? getQueryLogger(cfg) : null
+    if (logger) {
+      const pending = logger.log(queryLogEntry(meta, status, started))
+      if (typeof context.waitUntil === 'function') context.waitUntil(pending)
+      else await pending
+    }
+    // A blocklist download this request started must outlive the response; queries
+    // never wait for it, so without waitUntil it is left to run
+    const download = filterSource && filterSource.loading
+    if (download && typeof context.waitUntil === 'function') context.waitUntil(download)
+  }
+}
+
+async function answerQuery(request, cfg, clientIp, meta) {
   const url = new URL(request.url)
   const method = request.method.toUpperCase()
 
@@ -32,9 +159,14 @@ async function handleRequest({ request, env, clientIp }) {
   if (method === 'GET') {
     const dnsParam = url.searchParams.get('dns')
     if (!dnsParam) return json({ error: 'missing dns param' }, 400)
-    dnsWire = base64urlDecode(dnsParam)
+    try {
+      dnsWire = base64urlDecode(dnsParam)
+    } catch {
+      return json({ error: 'invalid dns param' }, 400)
+    }
   } else if (method === 'POST') {
     const ct = request.headers.get('content-type') || ''
+    if (ct.startsWith(ODOH_CONTENT_TYPE) && cfg.ODOH_TARGETS.length) return proxyOblivious(request, url, cfg, clientIp)
     if (!ct.startsWith('application/dns-message')) {
       return json({ error: 'unsupported content-type' }, 415)
     }
@@ -42,64 +174,488 @@ async function handleRequest({ request, env, clientIp }) {
   } else {
     return new Response('Method Not Allowed', { status: 405 })
   }
+  if (dnsWire.length < 2) return json({ error: 'empty dns message' }, 400)
 
-  const origIp = pickClientIpFromRequest(request, cfg.CONNECTING_IP_HEADER, clientIp)
-  // Only inject when we have a public client IP; otherwise pass-through
-  const mutated = isPublicIp(origIp) ? injectECSWithPrefix(dnsWire, origIp, cfg, null) : dnsWire
+  // Nothing below indexes into the query until it has been walked end to end
+  try {
+    validateQuery(dnsWire)
+  } catch (err) {
+    if (!(err instanceof FormatError)) throw err
+    return new Response(buildFormErr(dnsWire), {
+      status: 200,
+      headers: { 'content-type': 'application/dns-message', 'cache-control': 'no-store' },
+    })
+  }
 
-  // Always POST to upstream to avoid URL length limits
-  const upstreamRes = await fetch(cfg.UPSTREAM_DOH, {
-    method: 'POST',
-    headers: {
-      'content-type': 'application/dns-message',
-      'accept': 'application/dns-message',
-    },
-    body: mutated,
-  })
+  // Subnet requested out of band (ecs= or X-ECS-Request); subject to ECS_POLICY
+  let requested
+  try {
+    requested = requestedSubnet(url.searchParams.get('ecs') || request.headers.get(ECS_REQUEST_HEADER))
+  } catch {
+    return json({ error: 'invalid ecs param' }, 400)
+  }
 
-  const body = await upstreamRes.arrayBuffer()
+  const question = readQuestion(dnsWire)
   const h = new Headers({
     'content-type': 'application/dns-message',
-    'cache-control': 'no-store',
   })
-  const ecs = isPublicIp(origIp) ? buildEcsHeader(origIp, cfg, null) : ''
-  if (ecs) {
-    h.set('X-ECS', ecs)
-    h.set('Access-Control-Expose-Headers', 'X-ECS')
+  // { ip, source, reason }: where the client address came from
+  const client = pickClientIpFromRequest(request, cfg, clientIp)
+  meta.question = question
+  meta.client = client
+
+  // Throttled clients get a DNS-level REFUSED; stub resolvers cope with that far better than HTTP 429
+  const limiter = question ? getRateLimiter(cfg) : null
+  if (limiter && (await limiter.check(client.ip)).limited) {
+    const out = buildResponse(dnsWire, { rcode: RCODE.REFUSED, options: [buildEdeOption(EDE_PROHIBITED, 'rate limit exceeded')] })
+    h.set('cache-control', 'no-store')
+    meta.upstream = 'ratelimited'
+    meta.wire = out
+    return new Response(padMessage(out, cfg.PADDING_BLOCK), { status: 200, headers: h })
+  }
+
+  // Local zones are answered authoritatively, ahead of filtering and forwarding
+  const zones = question && question.klass === 1 ? getLocalZones(cfg) : null
+  const local = zones ? zones.lookup(question.name, question.type) : null
+  if (local) {
+    const out = buildResponse(dnsWire, {
+      rcode: RCODE[local.rcode],
+      aa: true,
+      answers: local.answers.map(encodeRecord),
+      authorities: local.authorities.map(encodeRecord),
+    })
+    setHttpCaching(h, out, 200, null, cfg)
+    meta.upstream = 'local'
+    meta.wire = out
+    return new Response(padMessage(out, cfg.PADDING_BLOCK), { status: 200, headers: h })
+  }
+
+  // Blocked names are answered locally and never reach an upstream
+  const filter = question ? await getDomainFilter(cfg) : null
+  const verdict = filter ? filter.match(question.name) : null
+  if (verdict && verdict.blocked) {
+    const out = buildBlockedResponse(dnsWire, question, cfg, verdict.rule)
+    setHttpCaching(h, out, 200, null, cfg)
+    meta.upstream = 'blocked'
+    meta.wire = out
+    return new Response(padMessage(out, cfg.PADDING_BLOCK), { status: 200, headers: h })
+  }
+
+  // Split-horizon: the question picks the upstream and whether ECS may be sent at all
+  const route = question ? matchRoute(cfg.ROUTES, question.name, question.type) : null
+
+  const origIp = client.ip
+  const supplied = requested || clientSubnet(dnsWire)
+  const decision = decideEcs({
+    policy: cfg.ECS_POLICY,
+    client: supplied,
+    clientIp: origIp,
+    clientIpPublic: isPublicIp(origIp),
+    v4Prefix: cfg.ECS_V4_PREFIX,
+    v6Prefix: cfg.ECS_V6_PREFIX,
+    allowed: !route || route.ecs,
+  })
+  const mutated = applyEcsDecision(dnsWire, decision, cfg)
+
+  // Key on what we actually send upstream, so the cache sees our ECS, not the client's
+  const sentEcs = readEcsOption(mutated)
+  meta.ecs = ecsSubnetText(sentEcs)
+  meta.ecsAction = decision.action
+  h.set('X-ECS', ecsHeaderValue(meta.ecs, decision.action))
+  h.set('Access-Control-Expose-Headers', 'X-ECS, X-ECS-Scope')
+  const cache = getResponseCache(cfg)
+  const qkey = cache ? questionCacheKey(mutated) : null
+  const ctx = { cfg, route, dnsWire, mutated, sentEcs, supplied, cache, qkey, client, h, meta }
+  if (qkey) {
+    const hit = await cache.get(qkey, sentEcs)
+    if (hit) {
+      h.set('X-Cache', 'HIT')
+      meta.upstream = 'cache'
+      return finishAnswer(adjustCachedResponse(hit.value, mutated, hit.age, sentEcs), ctx)
+    }
+  }
+
+  // Always POST to upstream to avoid URL length limits. The query goes out with
+  // DNS ID 0 (RFC 8484 §4.1) so identical questions are identical upstream;
+  // the client's ID is restored on the response. Padding is redone last, after ECS
+  // injection has settled the length.
+  const clientId = readU16(mutated, 0)
+  const upstreamQuery = withDnsId(padMessage(mutated, cfg.UPSTREAM_PADDING_BLOCK), 0)
+  let exchanged
+  try {
+    exchanged = await exchangeUpstream(cfg, route, upstreamQuery, sentEcs)
+  } catch (error) {
+    return upstreamFailureResponse({ error }, ctx)
+  }
+  const { result: upstreamRes, upstream } = exchanged
+  meta.upstream = upstream
+  if (upstreamRes.status !== 200) {
+    return upstreamFailureResponse({ result: upstreamRes }, ctx)
+  }
+
+  const answer = upstreamRes.body
+  answer.set(writeU16BE(clientId), 0)
+  if (qkey) {
+    const ttl = Math.min(cacheableTtl(answer), cfg.CACHE_MAX_TTL)
+    const answerScope = readEcsOption(answer)
+    await cache.put(qkey, sentEcs, answerScope ? answerScope.scopePrefix : null, ttl, answer)
+    h.set('X-Cache', 'MISS')
+  }
+  return finishAnswer(answer, ctx)
+}
+
+// An answer from the cache or an upstream on its way out. The cache keeps answers as the
+// upstream sent them: DNS64 and the response rewriting policies depend on the client, so
+// they come after. Stale answers skip DNS64, which would only ask the failing upstreams again.
+async function finishAnswer(answer, ctx, { stale = false } = {}) {
+  const { cfg, dnsWire, sentEcs, supplied, client, h, meta } = ctx
+  const synthesized = stale ? null : await dns64Answer(answer, ctx)
+  const scope = readEcsOption(synthesized || answer)
+  const rewritten = getResponseRewriter(cfg).rewrite(synthesized || answer, { query: dnsWire, clientIp: client.ip })
+  setEcsScope(h, scope)
+  // A client that supplied its own subnet is owed the echo of it, so its answers stay private
+  const perClient = rewritten.perClient || (!!synthesized && getDns64(cfg).perClient) || (!!sentEcs && !!supplied)
+  let wire = rewritten.wire
+  if (setHttpCaching(h, wire, 200, sentEcs, cfg, perClient) === 'public' && sentEcs) wire = withoutClientSubnet(wire, h)
+  meta.ecsScope = scope ? scope.scopePrefix : null
+  meta.wire = wire
+  return new Response(padMessage(wire, cfg.PADDING_BLOCK), { status: 200, headers: h })
+}
+
+// DNS64 (lib/dns64.js): an AAAA answer without AAAA records, rebuilt from the A answer
+// to the same query with the same ECS subnet; null when the client is not a DNS64
+// client, the answer needs nothing, or there is no A record to go on
+async function dns64Answer(answer, { cfg, route, dnsWire, mutated, sentEcs, cache, client, meta }) {
+  const dns64 = getDns64(cfg)
+  if (!dns64 || !dns64.wants(dnsWire, client.ip) || !dns64.lacksAaaa(answer)) return null
+  const aQuery = dns64.aQuery(mutated)
+  const akey = cache ? questionCacheKey(aQuery) : null
+  const hit = akey ? await cache.get(akey, sentEcs) : null
+  let a = hit ? adjustCachedResponse(hit.value, aQuery, hit.age, sentEcs) : null
+  if (!a) {
+    try {
+      const { result } = await exchangeUpstream(cfg, route, withDnsId(padMessage(aQuery, cfg.UPSTREAM_PADDING_BLOCK), 0), sentEcs)
+      if (result.status !== 200) return null
+      a = result.body
+    } catch {
+      // The A lookup failing leaves the client with the NODATA it would have had anyway
+      return null
+    }
+    if (akey) {
+      const scope = readEcsOption(a)
+      await cache.put(akey, sentEcs, scope ? scope.scopePrefix : null, Math.min(cacheableTtl(a), cfg.CACHE_MAX_TTL), a)
+    }
+  }
+  const out = dns64.synthesize(answer, a)
+  if (out) meta.dns64 = true
+  return out
+}
+
+// POST the wire query to the route's upstreams; resolves with { result, upstream }, rejects
+// when none of them answered in time
+function exchangeUpstream(cfg, route, upstreamQuery, sentEcs) {
+  return getUpstreamPool(cfg, route).exchange(async (upstream, signal) => {
+    const res = await fetch(upstream, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/dns-message',
+        'accept': 'application/dns-message',
+      },
+      body: upstreamQuery,
+      signal,
+    })
+    // Read the body inside the attempt so the deadline covers it too
+    const body = new Uint8Array(await res.arrayBuffer())
+    if (res.status === 200) {
+      try {
+        validateMessage(body)
+      } catch (err) {
+        return { ok: false, status: 502, body: new Uint8Array(0), error: `malformed upstream response: ${err.message}` }
+      }
+      if (!(body[2] & 0x80) || readU16(body, 0) !== 0) {
+        return { ok: false, status: 502, body: new Uint8Array(0), error: 'upstream answer is not a response to our query (QR or ID mismatch)' }
+      }
+    }
+    // An answer for some other subnet must be dropped, not cached or relayed
+    const mismatch = res.status === 200 ? ecsEchoMismatch(sentEcs, readEcsOption(body)) : null
+    if (mismatch) return { ok: false, status: 502, body: new Uint8Array(0), error: `ECS ${mismatch}` }
+    return { ok: res.status < 500 && res.status !== 429, status: res.status, body }
+  })
+}
+
+// Oblivious DoH proxy (RFC 9230 §4.2): the sealed query is relayed to the target named by
+// targethost/targetpath, which must be one of ODOH_TARGETS (the first one when the client
+// names none). The target learns nothing about the client, and nothing is logged here
+// since the query cannot be read.
+async function proxyOblivious(request, url, cfg, contextIp) {
+  const targetHost = (url.searchParams.get('targethost') || '').toLowerCase()
+  const targetPath = url.searchParams.get('targetpath') || '/dns-query'
+  const target = targetHost
+    ? cfg.ODOH_TARGETS.find((t) => new URL(t).host === targetHost && new URL(t).pathname === targetPath)
+    : cfg.ODOH_TARGETS[0]
+  if (!target) return json({ error: 'ODoH target not allowed' }, 403)
+
+  // A sealed query cannot be answered REFUSED, so throttled clients get HTTP 429
+  const limiter = getRateLimiter(cfg)
+  if (limiter && (await limiter.check(pickClientIpFromRequest(request, cfg, contextIp).ip)).limited) {
+    return new Response(null, { status: 429, headers: { 'cache-control': 'no-store' } })
+  }
+
+  const body = new Uint8Array(await request.arrayBuffer())
+  const ctrl = new AbortController()
+  const timer = setTimeout(() => ctrl.abort(), cfg.UPSTREAM_TIMEOUT_MS)
+  try {
+    const res = await fetch(target, {
+      method: 'POST',
+      headers: {
+        'content-type': ODOH_CONTENT_TYPE,
+        'accept': ODOH_CONTENT_TYPE,
+      },
+      body,
+      signal: ctrl.signal,
+    })
+    const answer = new Uint8Array(await res.arrayBuffer())
+    // 4xx from the target is the client's to act on (401: fetch the target's key again)
+    if (res.status >= 500) return json({ error: `ODoH target returned HTTP ${res.status}` }, 502)
+    return new Response(answer, {
+      status: res.status,
+      headers: { 'content-type': res.headers.get('content-type') || ODOH_CONTENT_TYPE, 'cache-control': 'no-store' },
+    })
+  } catch (err) {
+    const timedOut = ctrl.signal.aborted
+    return json({ error: timedOut ? `ODoH target timeout after ${cfg.UPSTREAM_TIMEOUT_MS}ms` : `ODoH target unreachable: ${(err && err.message) || err}` }, timedOut ? 504 : 502)
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// No upstream answered: an answer that expired less than SERVE_STALE_S ago if the cache
+// still holds one (RFC 8767), else SERVFAIL for the client's question. Both say why in
+// an Extended DNS Error; the HTTP status stays 200 so stub resolvers see a DNS answer.
+async function upstreamFailureResponse(failure, ctx) {
+  const { dnsWire, mutated, cache, qkey, sentEcs, h, meta, cfg } = ctx
+  const { infoCode, text, detail } = describeFailure(failure)
+  meta.error = detail
+  const stale = qkey ? await cache.getStale(qkey, sentEcs) : null
+  if (stale) {
+    h.set('X-Cache', 'STALE')
+    meta.upstream = 'stale'
+    return finishAnswer(buildStaleResponse(stale.value, mutated, text, sentEcs), ctx, { stale: true })
+  }
+  const out = buildResponse(dnsWire, { rcode: RCODE.SERVFAIL, options: [buildEdeOption(infoCode, text)] })
+  h.set('cache-control', 'no-store')
+  meta.wire = out
+  return new Response(padMessage(out, cfg.PADDING_BLOCK), { status: 200, headers: h })
+}
+
+// RFC 8484 §5.1: HTTP freshness follows the smallest TTL in the answer. Answers
+// tailored to the client subnet (ECS sent, non-zero scope returned) must never be
+// shared between clients, so they are private and vary on the client IP header; so are
+// answers that only some clients get (perClient, e.g. DNS64 limited to DNS64_CLIENTS).
+// Returns the directive chosen: 'no-store', 'private' or 'public'.
+function setHttpCaching(h, wire, status, sentEcs, cfg, perClient = false) {
+  const ttl = status === 200 ? cacheableTtl(wire) : 0
+  if (!(ttl > 0)) {
+    h.set('cache-control', 'no-store')
+    return 'no-store'
+  }
+  const scope = sentEcs ? readEcsOption(wire) : null
+  if (perClient || (scope && scope.scopePrefix > 0)) {
+    h.set('cache-control', `private, max-age=${ttl}`)
+    h.append('vary', `${cfg.CONNECTING_IP_HEADER}, ${ECS_REQUEST_HEADER}`)
+    return 'private'
+  }
+  h.set('cache-control', `public, max-age=${ttl}`)
+  return 'public'
+}
+
+// A public answer is replayed by shared caches to every later client, so the subnet it
+// was asked for comes out of it: the ECS echo in the body and the X-ECS headers
+function withoutClientSubnet(wire, h) {
+  h.delete('X-ECS')
+  h.delete('X-ECS-Scope')
+  return stripEcsOption(wire)
+}
+
+// SCOPE PREFIX-LENGTH of the answer: how much of our subnet the resolver used
+function setEcsScope(h, ecs) {
+  if (ecs) h.set('X-ECS-Scope', String(ecs.scopePrefix))
+}
+
+function getQueryLogger(cfg) {
+  // A sink function bound into env wins over the built-in stdout sink
+  const sink = cfg.QUERY_LOG_SINK || (cfg.QUERY_LOG === 'stdout' ? (line) => console.log(line) : null)
+  if (!sink) return null
+  if (!queryLogger) {
+    queryLogger = createQueryLogger({
+      sink,
+      ipMode: cfg.QUERY_LOG_IP,
+      v4Prefix: cfg.ECS_V4_PREFIX,
+      v6Prefix: cfg.ECS_V6_PREFIX,
+      hmacSecret: cfg.QUERY_LOG_HMAC_KEY,
+      keyRotateMs: cfg.QUERY_LOG_KEY_ROTATE_S * 1000,
+      sampleRate: cfg.QUERY_LOG_SAMPLE,
+    })
+  }
+  return queryLogger
+}
+
+function getRateLimiter(cfg) {
+  if (!(cfg.RATE_LIMIT_QPS > 0)) return null
+  if (!rateLimiter) {
+    rateLimiter = createRateLimiter({
+      rate: cfg.RATE_LIMIT_QPS,
+      burst: cfg.RATE_LIMIT_BURST,
+      v4Prefix: cfg.ECS_V4_PREFIX,
+      v6Prefix: cfg.ECS_V6_PREFIX,
+      exempt: cfg.RATE_LIMIT_EXEMPT,
+      store: cfg.RATE_LIMIT_STORE,
+    })
   }
-  return new Response(body, { status: upstreamRes.status, headers: h })
+  return rateLimiter
+}
+
+// Routes with their own upstreams get their own pool (and health state)
+function getUpstreamPool(cfg, route) {
+  const opts = {
+    strategy: cfg.UPSTREAM_STRATEGY,
+    timeoutMs: cfg.UPSTREAM_TIMEOUT_MS,
+    ejectAfter: cfg.UPSTREAM_EJECT_FAILURES,
+    ejectMs: cfg.UPSTREAM_EJECT_MS,
+  }
+  if (route && route.upstreams) {
+    if (!routePools.has(route.id)) routePools.set(route.id, createUpstreamPool(route.upstreams, opts))
+    return routePools.get(route.id)
+  }
+  if (!upstreamPool) upstreamPool = createUpstreamPool(cfg.UPSTREAM_DOH, opts)
+  return upstreamPool
+}
+
+function getDomainFilter(cfg) {
+  const { BLOCKLIST, ALLOWLIST, BLOCKLIST_URLS, ALLOWLIST_URLS } = cfg
+  if (!BLOCKLIST && !BLOCKLIST_URLS.length) return null
+  if (!filterSource) {
+    filterSource = createFilterSource({
+      blockTexts: [BLOCKLIST],
+      allowTexts: [ALLOWLIST],
+      blockUrls: BLOCKLIST_URLS,
+      allowUrls: ALLOWLIST_URLS,
+      refreshMs: cfg.BLOCKLIST_REFRESH_S * 1000,
+      onError: (url, err) => console.warn(`blocklist download failed: ${url}: ${(err && err.message) || err}`),
+    })
+  }
+  return filterSource.get()
+}
+
+function getLocalZones(cfg) {
+  if (!cfg.LOCAL_ZONES) return null
+  if (!localZones) localZones = createZoneSet(parseZone(cfg.LOCAL_ZONES))
+  return localZones
+}
+
+function getDns64(cfg) {
+  if (!cfg.DNS64) return null
+  if (!dns64) dns64 = createDns64({ prefix: cfg.DNS64_PREFIX, clients: cfg.DNS64_CLIENTS, exclude: cfg.DNS64_EXCLUDE })
+  return dns64
+}
+
+function getResponseRewriter(cfg) {
+  if (!responseRewriter) {
+    responseRewriter = createResponseRewriter({
+      minTtl: cfg.TTL_MIN,
+      maxTtl: cfg.TTL_MAX,
+      filterAaaaClients: cfg.FILTER_AAAA_CLIENTS,
+      filterAaaaDomains: cfg.FILTER_AAAA_DOMAINS,
+      stripOptions: cfg.STRIP_RESPONSE_OPTIONS,
+      rules: cfg.REWRITES,
+    })
+  }
+  return responseRewriter
+}
+
+function getResponseCache(cfg) {
+  if (cfg.CACHE_SIZE <= 0) return null
+  if (!responseCache) {
+    const cacheApi = cfg.CACHE_API && typeof caches !== 'undefined' ? caches.default || null : null
+    responseCache = createEcsCache({ maxEntries: cfg.CACHE_SIZE, cacheApi, staleTtl: cfg.SERVE_STALE_S })
+  }
+  return responseCache
 }
 
 function loadConfig(env) {
   return {
-    UPSTREAM_DOH: (env && env.UPSTREAM_DOH) || DEFAULTS.UPSTREAM_DOH,
+    UPSTREAM_DOH: parseUpstreamList((env && env.UPSTREAM_DOH) || DEFAULTS.UPSTREAM_DOH),
     ECS_V4_PREFIX: env && env.ECS_V4_PREFIX ? Number(env.ECS_V4_PREFIX) : DEFAULTS.ECS_V4_PREFIX,
     ECS_V6_PREFIX: env && env.ECS_V6_PREFIX ? Number(env.ECS_V6_PREFIX) : DEFAULTS.ECS_V6_PREFIX,
+    ECS_POLICY: normalizeEcsPolicy((env && env.ECS_POLICY) || DEFAULTS.ECS_POLICY),
     CONNECTING_IP_HEADER: (env && env.CONNECTING_IP_HEADER) || DEFAULTS.CONNECTING_IP_HEADER,
+    TRUSTED_PROXIES: parseCidrList((env && env.TRUSTED_PROXIES) || DEFAULTS.TRUSTED_PROXIES),
+    CACHE_SIZE: env && env.CACHE_SIZE != null && env.CACHE_SIZE !== '' ? Number(env.CACHE_SIZE) : DEFAULTS.CACHE_SIZE,
+    CACHE_MAX_TTL: env && env.CACHE_MAX_TTL ? Number(env.CACHE_MAX_TTL) : DEFAULTS.CACHE_MAX_TTL,
+    CACHE_API: env && env.CACHE_API ? env.CACHE_API === '1' || env.CACHE_API === 'true' : DEFAULTS.CACHE_API,
+    SERVE_STALE_S: env && env.SERVE_STALE_S ? Number(env.SERVE_STALE_S) : DEFAULTS.SERVE_STALE_S,
+    UPSTREAM_STRATEGY: (env && env.UPSTREAM_STRATEGY) || DEFAULTS.UPSTREAM_STRATEGY,
+    UPSTREAM_TIMEOUT_MS: env && env.UPSTREAM_TIMEOUT_MS ? Number(env.UPSTREAM_TIMEOUT_MS) : DEFAULTS.UPSTREAM_TIMEOUT_MS,
+    UPSTREAM_EJECT_FAILURES: env && env.UPSTREAM_EJECT_FAILURES ? Number(env.UPSTREAM_EJECT_FAILURES) : DEFAULTS.UPSTREAM_EJECT_FAILURES,
+    UPSTREAM_EJECT_MS: env && env.UPSTREAM_EJECT_MS ? Number(env.UPSTREAM_EJECT_MS) : DEFAULTS.UPSTREAM_EJECT_MS,
+    ROUTES: parseRoutes((env && env.ROUTES) || DEFAULTS.ROUTES),
+    // Inline lists accept newlines or commas between rules
+    BLOCKLIST: String((env && env.BLOCKLIST) || DEFAULTS.BLOCKLIST).replace(/,/g, '\n'),
+    ALLOWLIST: String((env && env.ALLOWLIST) || DEFAULTS.ALLOWLIST).replace(/,/g, '\n'),
+    BLOCKLIST_URLS: parseUpstreamList((env && env.BLOCKLIST_URLS) || DEFAULTS.BLOCKLIST_URLS),
+    ALLOWLIST_URLS: parseUpstreamList((env && env.ALLOWLIST_URLS) || DEFAULTS.ALLOWLIST_URLS),
+    BLOCKLIST_REFRESH_S: env && env.BLOCKLIST_REFRESH_S ? Number(env.BLOCKLIST_REFRESH_S) : DEFAULTS.BLOCKLIST_REFRESH_S,
+    BLOCK_MODE: ((env && env.BLOCK_MODE) || DEFAULTS.BLOCK_MODE).toLowerCase(),
+    BLOCK_TTL: env && env.BLOCK_TTL ? Number(env.BLOCK_TTL) : DEFAULTS.BLOCK_TTL,
+    LOCAL_ZONES: (env && env.LOCAL_ZONES) || DEFAULTS.LOCAL_ZONES,
+    QUERY_LOG: ((env && env.QUERY_LOG) || DEFAULTS.QUERY_LOG).toLowerCase(),
+    QUERY_LOG_SINK: env && typeof env.QUERY_LOG_SINK === 'function' ? env.QUERY_LOG_SINK : null,
+    QUERY_LOG_SAMPLE: env && env.QUERY_LOG_SAMPLE ? Number(env.QUERY_LOG_SAMPLE) : DEFAULTS.QUERY_LOG_SAMPLE,
+    QUERY_LOG_IP: (env && env.QUERY_LOG_IP) || DEFAULTS.QUERY_LOG_IP,
+    QUERY_LOG_HMAC_KEY: (env && env.QUERY_LOG_HMAC_KEY) || DEFAULTS.QUERY_LOG_HMAC_KEY,
+    QUERY_LOG_KEY_ROTATE_S: env && env.QUERY_LOG_KEY_ROTATE_S ? Number(env.QUERY_LOG_KEY_ROTATE_S) : DEFAULTS.QUERY_LOG_KEY_ROTATE_S,
+    PADDING_BLOCK: env && env.PADDING_BLOCK != null && env.PADDING_BLOCK !== '' ? Number(env.PADDING_BLOCK) : DEFAULTS.PADDING_BLOCK,
+    UPSTREAM_PADDING_BLOCK: env && env.UPSTREAM_PADDING_BLOCK != null && env.UPSTREAM_PADDING_BLOCK !== '' ? Number(env.UPSTREAM_PADDING_BLOCK) : DEFAULTS.UPSTREAM_PADDING_BLOCK,
+    RATE_LIMIT_QPS: env && env.RATE_LIMIT_QPS ? Number(env.RATE_LIMIT_QPS) : DEFAULTS.RATE_LIMIT_QPS,
+    RATE_LIMIT_BURST: env && env.RATE_LIMIT_BURST ? Number(env.RATE_LIMIT_BURST) : DEFAULTS.RATE_LIMIT_BURST,
+    RATE_LIMIT_EXEMPT: parseCidrList((env && env.RATE_LIMIT_EXEMPT) || DEFAULTS.RATE_LIMIT_EXEMPT),
+    // A shared bucket store bound into env (an object with take()) replaces the per-isolate one
+    RATE_LIMIT_STORE: env && env.RATE_LIMIT_STORE && typeof env.RATE_LIMIT_STORE.take === 'function' ? env.RATE_LIMIT_STORE : null,
+    DNS64: env && env.DNS64 ? env.DNS64 === '1' || env.DNS64 === 'true' : DEFAULTS.DNS64,
+    DNS64_PREFIX: (env && env.DNS64_PREFIX) || DEFAULTS.DNS64_PREFIX,
+    DNS64_CLIENTS: (env && env.DNS64_CLIENTS) || DEFAULTS.DNS64_CLIENTS,
+    DNS64_EXCLUDE: (env && env.DNS64_EXCLUDE) || DEFAULTS.DNS64_EXCLUDE,
+    TTL_MIN: env && env.TTL_MIN ? Number(env.TTL_MIN) : DEFAULTS.TTL_MIN,
+    TTL_MAX: env && env.TTL_MAX ? Number(env.TTL_MAX) : DEFAULTS.TTL_MAX,
+    FILTER_AAAA_CLIENTS: (env && env.FILTER_AAAA_CLIENTS) || DEFAULTS.FILTER_AAAA_CLIENTS,
+    FILTER_AAAA_DOMAINS: (env && env.FILTER_AAAA_DOMAINS) || DEFAULTS.FILTER_AAAA_DOMAINS,
+    STRIP_RESPONSE_OPTIONS: (env && env.STRIP_RESPONSE_OPTIONS) || DEFAULTS.STRIP_RESPONSE_OPTIONS,
+    REWRITES: (env && env.REWRITES) || DEFAULTS.REWRITES,
+    ODOH_TARGETS: parseUpstreamList((env && env.ODOH_TARGETS) || DEFAULTS.ODOH_TARGETS),
+    PROFILE_SIGNING_CERT: (env && env.PROFILE_SIGNING_CERT) || DEFAULTS.PROFILE_SIGNING_CERT,
+    PROFILE_SIGNING_KEY: (env && env.PROFILE_SIGNING_KEY) || DEFAULTS.PROFILE_SIGNING_KEY,
   }
 }
 
-function pickClientIpFromRequest(request, headerName, contextIp) {
-  // Priority: explicit context ip -> request.eo.clientIp -> EO-Connecting-IP header -> X-Forwarded-For
-  if (contextIp && String(contextIp).trim()) return String(contextIp).trim()
+function pickClientIpFromRequest(request, cfg, contextIp) {
+  // The platform's view of the peer: context ip -> request.eo.clientIp -> its connecting-IP header
+  let peer = { ip: contextIp ? String(contextIp).trim() : '', source: 'platform' }
   try {
     const eo = request && request.eo
-    if (eo && eo.clientIp) {
-      const ip = String(eo.clientIp).trim()
-      if (ip) return ip
-    }
+    if (!peer.ip && eo && eo.clientIp) peer.ip = String(eo.clientIp).trim()
   } catch {}
   const headers = request && request.headers
-  if (headers && typeof headers.get === 'function') {
-    const byHdr = headers.get(headerName) || headers.get(headerName.toLowerCase()) || headers.get('EO-Connecting-IP') || headers.get('eo-connecting-ip')
-    if (byHdr && String(byHdr).trim()) return String(byHdr).split(',')[0].trim()
-    const xff = (headers.get('x-forwarded-for') || '').split(',')[0].trim()
-    if (xff) return xff
+  const getHeader = (name) => (headers && typeof headers.get === 'function' ? headers.get(name) || '' : '')
+  let connectingIpHeader = cfg.CONNECTING_IP_HEADER
+  if (!peer.ip) {
+    peer = { ip: getHeader(connectingIpHeader).split(',')[0].trim(), source: connectingIpHeader.toLowerCase() }
+    connectingIpHeader = null
   }
-  return ''
+  // Forwarding headers are only believed when the peer is a trusted proxy
+  return resolveClientIp({ peer, getHeader, trusted: cfg.TRUSTED_PROXIES, connectingIpHeader })
 }
 
-function json(obj, status = 200) {
+export function json(obj, status = 200) {
   return new Response(JSON.stringify(obj), {
     status,
     headers: { 'content-type': 'application/json; charset=utf-8' },
@@ -107,7 +663,10 @@ function json(obj, status = 200) {
 }
 
 // ================= Base64url =================
+// Throws on characters outside the base64url alphabet or an impossible length
 function base64urlDecode(s) {
+  s = s.replace(/=+$/, '')
+  if (!/^[A-Za-z0-9_-]*$/.test(s) || s.length % 4 === 1) throw new Error('invalid base64url')
   const pad = s.length % 4 === 2 ? '==' : s.length % 4 === 3 ? '=' : ''
   const b64 = s.replace(/-/g, '+').replace(/_/g, '/') + pad
   const bin = atob(b64)
@@ -117,37 +676,156 @@ function base64urlDecode(s) {
 }
 
 // ================= DNS helpers =================
+// The walkers below never read past the buffer: truncated input, bad label types,
+// compression loops and oversized RDLENGTHs throw FormatError, which the request
+// path answers with FORMERR.
+class FormatError extends Error {}
+
+function need(buf, off, n) {
+  if (off + n > buf.length) throw new FormatError(`message truncated at offset ${off}`)
+}
+
 function readU16(buf, off) {
   return (buf[off] << 8) | buf[off + 1]
 }
 function writeU16BE(value) {
   return new Uint8Array([value >> 8, value & 0xff])
 }
+function withDnsId(buf, id) {
+  if (buf.length < 2 || readU16(buf, 0) === id) return buf
+  const out = buf.slice()
+  out.set(writeU16BE(id), 0)
+  return out
+}
+function writeU32BE(value) {
+  return new Uint8Array([(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff])
+}
 function readU32(buf, off) {
   return (buf[off] * 2 ** 24) | (buf[off + 1] << 16) | (buf[off + 2] << 8) | buf[off + 3]
 }
 
+// Length of one uncompressed label at `o`, checked against the buffer; throws on the
+// reserved 0b01 / 0b10 label types
+function labelLength(buf, o) {
+  const len = buf[o]
+  if (len & 0xc0) throw new FormatError(`bad label type at offset ${o}`)
+  need(buf, o + 1, len)
+  return len
+}
+
 function skipName(buf, off) {
   let o = off
-  while (o < buf.length) {
-    const len = buf[o]
-    if (len === 0) return o + 1
+  for (;;) {
+    need(buf, o, 1)
+    if (buf[o] === 0) return o + 1
     // compression pointer 0b11xxxxxx
-    if ((len & 0xc0) === 0xc0) return o + 2
+    if ((buf[o] & 0xc0) === 0xc0) {
+      need(buf, o, 2)
+      return o + 2
+    }
+    o += 1 + labelLength(buf, o)
+    if (o - off > 254) throw new FormatError(`name too long at offset ${off}`)
+  }
+}
+
+// Decode a (possibly compressed) name to dotted form; { name, end } where end is
+// the offset just past the name at its original position. Every pointer must land
+// before the run of labels it ends, so offsets strictly decrease and loops are
+// impossible.
+function readName(buf, off) {
+  const labels = []
+  let o = off
+  let run = off
+  let end = -1
+  let wireLen = 1
+  for (;;) {
+    need(buf, o, 1)
+    const len = buf[o]
+    if (len === 0) {
+      if (end === -1) end = o + 1
+      break
+    }
+    if ((len & 0xc0) === 0xc0) {
+      need(buf, o, 2)
+      if (end === -1) end = o + 2
+      const target = ((len & 0x3f) << 8) | buf[o + 1]
+      if (target >= run) throw new FormatError(`bad compression pointer at offset ${o}`)
+      o = run = target
+      continue
+    }
+    labelLength(buf, o)
+    wireLen += 1 + len
+    if (wireLen > 255) throw new FormatError(`name too long at offset ${off}`)
+    let label = ''
+    for (let i = o + 1; i <= o + len; i++) label += String.fromCharCode(buf[i])
+    labels.push(label)
     o += 1 + len
   }
-  return o
+  return { name: labels.join('.'), end }
+}
+
+// First question as { name, type, klass }, or null when there is none
+function readQuestion(buf) {
+  need(buf, 0, 12)
+  if (readU16(buf, 4) < 1) return null
+  const { name, end } = readName(buf, 12)
+  need(buf, end, 4)
+  return { name, type: readU16(buf, end), klass: readU16(buf, end + 2) }
 }
 
 function skipQuestion(buf, off) {
   const endName = skipName(buf, off)
-  return endName + 4 // type + class
+  need(buf, endName, 4) // type + class
+  return endName + 4
 }
 
 function skipRR(buf, off) {
   const endName = skipName(buf, off)
+  need(buf, endName, 10) // type(2)+class(2)+ttl(4)+rdlen(2)
   const rdlen = readU16(buf, endName + 8)
-  return endName + 10 + rdlen // type(2)+class(2)+ttl(4)+rdlen(2)
+  need(buf, endName + 10, rdlen)
+  return endName + 10 + rdlen
+}
+
+// Walk the whole message so later helpers can index into it freely: header counts,
+// every name (including compression pointers) and RDLENGTH must fit the buffer
+// exactly, with at most one OPT record, owned by the root and with well-formed options, in the additional section
+function validateMessage(buf) {
+  need(buf, 0, 12)
+  const [qd, an, ns, ar] = [4, 6, 8, 10].map((o) => readU16(buf, o))
+  let off = 12
+  for (let i = 0; i < qd; i++) {
+    off = readName(buf, off).end
+    need(buf, off, 4)
+    off += 4
+  }
+  let opts = 0
+  for (let i = 0; i < an + ns + ar; i++) {
+    const owner = off
+    off = readName(buf, off).end
+    need(buf, off, 10)
+    const rdlen = readU16(buf, off + 8)
+    need(buf, off + 10, rdlen)
+    if (readU16(buf, off) === TYPE_OPT) {
+      if (i < an + ns) throw new FormatError('OPT record outside the additional section')
+      if (++opts > 1) throw new FormatError('more than one OPT record')
+      if (buf[owner] !== 0) throw new FormatError('OPT record not owned by the root')
+      // Option TLVs must tile RDATA exactly
+      const end = off + 10 + rdlen
+      for (let p = off + 10; p < end; p += 4 + readU16(buf, p + 2)) {
+        if (p + 4 > end || p + 4 + readU16(buf, p + 2) > end) throw new FormatError(`EDNS option overruns OPT RDATA at offset ${p}`)
+      }
+    }
+    off += 10 + rdlen
+  }
+  if (off !== buf.length) throw new FormatError(`${buf.length - off} trailing bytes`)
+}
+
+// What we accept as a query: a well-formed message with QR clear and exactly one question
+function validateQuery(buf) {
+  validateMessage(buf)
+  if (buf[2] & 0x80) throw new FormatError('QR bit set in query')
+  if (readU16(buf, 4) !== 1) throw new FormatError('QDCOUNT must be 1')
 }
 
 function findSections(buf) {
@@ -170,12 +848,14 @@ function parseAdditionalRecords(buf, arStart, arCount) {
   for (let i = 0; i < arCount; i++) {
     const nameStart = off
     const nameEnd = skipName(buf, off)
+    need(buf, nameEnd, 10)
     const type = readU16(buf, nameEnd)
     const klass = readU16(buf, nameEnd + 2)
     const ttl = readU32(buf, nameEnd + 4)
     const rdlen = readU16(buf, nameEnd + 8)
     const rdataStart = nameEnd + 10
     const rdataEnd = rdataStart + rdlen
+    need(buf, rdataStart, rdlen)
     recs.push({ nameStart, nameEnd, type, klass, ttl, rdlen, rdataStart, rdataEnd })
     off = rdataEnd
   }
@@ -194,7 +874,51 @@ function concatUint8(...arrays) {
   return out
 }
 
-function buildEcsOption(ipBytes, family, sourcePrefixLength) {
+// Options of an OPT record as { code, data, bytes }; bytes is the whole TLV
+function readOptOptions(buf, rec) {
+  const options = []
+  let p = rec.rdataStart
+  while (p + 4 <= rec.rdataEnd) {
+    const code = readU16(buf, p)
+    const len = readU16(buf, p + 2)
+    const optEnd = p + 4 + len
+    if (optEnd > rec.rdataEnd) break
+    options.push({ code, data: buf.slice(p + 4, optEnd), bytes: buf.slice(p, optEnd) })
+    p = optEnd
+  }
+  return options
+}
+
+function replaceOptRdata(buf, rec, newRdata) {
+  const rdlenOffset = rec.nameEnd + 8
+  return concatUint8(buf.slice(0, rdlenOffset), writeU16BE(newRdata.length), newRdata, buf.slice(rec.rdataEnd))
+}
+
+// RFC 7830 / RFC 8467 block-length padding: replace any Padding option (code 12) in
+// the OPT record with one that makes the whole message a multiple of `block` bytes;
+// with block 0 any Padding option is only removed. Messages without OPT are left alone;
+// adding EDNS would change what the peer asked for.
+function padMessage(buf, block) {
+  const rec = findOptRecord(buf)
+  if (!rec) return buf
+  const all = readOptOptions(buf, rec)
+  const options = all.filter((o) => o.code !== OPT_PADDING).map((o) => o.bytes)
+  if (!(block > 0)) return options.length === all.length ? buf : replaceOptRdata(buf, rec, concatUint8(...options))
+  const bare = buf.length - rec.rdlen + options.reduce((n, o) => n + o.length, 0) + 4
+  const pad = (block - (bare % block)) % block
+  return replaceOptRdata(buf, rec, concatUint8(...options, writeU16BE(OPT_PADDING), writeU16BE(pad), new Uint8Array(pad)))
+}
+
+// Drop any ECS option, e.g. on routes that must never see a client subnet
+function stripEcsOption(buf) {
+  const rec = findOptRecord(buf)
+  if (!rec) return buf
+  const options = readOptOptions(buf, rec)
+  if (!options.some((o) => o.code === 8)) return buf
+  return replaceOptRdata(buf, rec, concatUint8(...options.filter((o) => o.code !== 8).map((o) => o.bytes)))
+}
+
+function buildEcsOption(ipBytes, family, sourcePrefixLength, scopePrefixLength = 0) {
   const addrBytesCount = Math.ceil(sourcePrefixLength / 8)
   const trimmed = new Uint8Array(addrBytesCount)
   for (let i = 0; i < addrBytesCount; i++) trimmed[i] = ipBytes[i] || 0
@@ -206,7 +930,7 @@ function buildEcsOption(ipBytes, family, sourcePrefixLength) {
   const familyBytes = writeU16BE(family)
   const optData = concatUint8(
     familyBytes,
-    new Uint8Array([sourcePrefixLength & 0xff, 0 /* scopePrefixLength */]),
+    new Uint8Array([sourcePrefixLength & 0xff, scopePrefixLength & 0xff]),
     trimmed,
   )
   const code = writeU16BE(8)
@@ -231,26 +955,9 @@ function injectECSWithPrefix(buf, clientIp, cfg, forcedPrefix) {
   const optIdx = addRecs.findIndex((r) => r.type === 41)
   if (optIdx !== -1) {
     const rec = addRecs[optIdx]
-
-    // Parse existing options and drop ECS (code 8)
-    const options = []
-    let p = rec.rdataStart
-    while (p + 4 <= rec.rdataEnd) {
-      const code = readU16(buf, p)
-      const len = readU16(buf, p + 2)
-      const optStart = p
-      const optEnd = p + 4 + len
-      if (optEnd > rec.rdataEnd) break
-      if (code !== 8) options.push(buf.slice(optStart, optEnd))
-      p = optEnd
-    }
-    const newRdata = concatUint8(...options, ecsOpt)
-
-    const rdlenOffset = rec.nameEnd + 8
-    const head = buf.slice(0, rdlenOffset)
-    const newRdlen = writeU16BE(newRdata.length)
-    const suffix = buf.slice(rec.rdataEnd)
-    return concatUint8(head, newRdlen, newRdata, suffix)
+    // Keep existing options but drop ECS (code 8)
+    const options = readOptOptions(buf, rec).filter((o) => o.code !== 8).map((o) => o.bytes)
+    return replaceOptRdata(buf, rec, concatUint8(...options, ecsOpt))
   }
 
   // No OPT: append a new one and bump ARCOUNT
@@ -278,17 +985,316 @@ function injectECSWithPrefix(buf, clientIp, cfg, forcedPrefix) {
   return newBuf
 }
 
-function buildEcsHeader(ip, cfg, forcedPrefix) {
-  if (!ip) return ''
-  if (ip.includes(':')) {
-    const pref = (typeof forcedPrefix === 'number' && !Number.isNaN(forcedPrefix)) ? forcedPrefix : (Number(cfg.ECS_V6_PREFIX) | 0)
-    const masked = maskIPv6ToPrefix(ip, pref)
-    return masked ? `${masked}/${pref}` : ''
-  } else {
-    const pref = (typeof forcedPrefix === 'number' && !Number.isNaN(forcedPrefix)) ? forcedPrefix : (Number(cfg.ECS_V4_PREFIX) | 0)
-    const masked = maskIPv4ToPrefix(ip, pref)
-    return masked ? `${masked}/${pref}` : ''
+// ================= Response builder =================
+const TYPE_A = 1
+const TYPE_SOA = 6
+const TYPE_AAAA = 28
+const TYPE_OPT = 41
+const OPT_PADDING = 12
+const RCODE = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4, REFUSED: 5 }
+// RFC 8914 Extended DNS Error INFO-CODEs
+const EDE_STALE_ANSWER = 3
+const EDE_BLOCKED = 15
+const EDE_PROHIBITED = 18
+const EDE_STALE_NXDOMAIN_ANSWER = 19
+// RFC 8767 §4: TTL on answers served stale
+const STALE_TTL = 30
+// Compression pointer to the question name, which always sits at offset 12
+const NAME_PTR_QUESTION = new Uint8Array([0xc0, 0x0c])
+
+function encodeName(name) {
+  const labels = String(name || '').replace(/\.$/, '').split('.').filter(Boolean)
+  const parts = []
+  for (const label of labels) {
+    const bytes = new TextEncoder().encode(label)
+    parts.push(new Uint8Array([bytes.length]), bytes)
+  }
+  parts.push(new Uint8Array([0]))
+  return concatUint8(...parts)
+}
+
+// One resource record; name is already in wire form (e.g. NAME_PTR_QUESTION)
+function buildRR(name, type, ttl, rdata, klass = 1) {
+  const fixed = new Uint8Array(10)
+  fixed.set(writeU16BE(type), 0)
+  fixed.set(writeU16BE(klass), 2)
+  fixed.set(writeU32BE(ttl), 4)
+  fixed.set(writeU16BE(rdata.length), 8)
+  return concatUint8(name, fixed, rdata)
+}
+
+function buildEdeOption(infoCode, extraText = '') {
+  const text = new TextEncoder().encode(extraText)
+  return concatUint8(writeU16BE(15), writeU16BE(2 + text.length), writeU16BE(infoCode), text)
+}
+
+// Placeholder SOA so negative answers we synthesize can be cached for `ttl` (RFC 2308)
+function buildSyntheticSoa(ttl) {
+  const rdata = new Uint8Array(2 + 20)
+  // MNAME and RNAME are both the root; then SERIAL, REFRESH, RETRY, EXPIRE, MINIMUM
+  const fields = [1, 3600, 600, 86400, ttl]
+  fields.forEach((v, i) => rdata.set(writeU32BE(v), 2 + i * 4))
+  return buildRR(NAME_PTR_QUESTION, TYPE_SOA, ttl, rdata)
+}
+
+// Wire RDATA for a local zone record (shapes from lib/zone.js)
+function encodeRdata(rec) {
+  const d = rec.data
+  switch (rec.type) {
+    case 'A':
+      return parseIPv4(d)
+    case 'AAAA':
+      return parseIPv6(d)
+    case 'CNAME':
+    case 'PTR':
+    case 'NS':
+      return encodeName(d)
+    case 'MX':
+      return concatUint8(writeU16BE(d.preference), encodeName(d.exchange))
+    case 'SRV':
+      return concatUint8(writeU16BE(d.priority), writeU16BE(d.weight), writeU16BE(d.port), encodeName(d.target))
+    case 'SOA':
+      return concatUint8(encodeName(d.mname), encodeName(d.rname),
+        ...[d.serial, d.refresh, d.retry, d.expire, d.minimum].map(writeU32BE))
+    case 'TXT': {
+      // Character-strings hold at most 255 bytes; longer strings are split
+      const parts = []
+      for (const str of d) {
+        const bytes = new TextEncoder().encode(str)
+        for (let i = 0; i === 0 || i < bytes.length; i += 255) {
+          const chunk = bytes.subarray(i, i + 255)
+          parts.push(new Uint8Array([chunk.length]), chunk)
+        }
+      }
+      return concatUint8(...parts)
+    }
+  }
+  throw new Error(`cannot encode ${rec.type} record`)
+}
+
+function encodeRecord(rec) {
+  return buildRR(encodeName(rec.name), QTYPES[rec.type], rec.ttl, encodeRdata(rec))
+}
+
+// Local response to `query`: ID, opcode, RD and CD echoed and the first question
+// copied. An OPT record carrying `options` is only added when the query itself
+// had EDNS (RFC 6891), echoing its DO bit.
+function buildResponse(query, { rcode = 0, aa = false, answers = [], authorities = [], options = [] } = {}) {
+  const qflags = readU16(query, 2)
+  const flags = 0x8000 | (qflags & 0x7800) | (aa ? 0x0400 : 0) | (qflags & 0x0100) | 0x0080 | (qflags & 0x0010) | (rcode & 0x0f)
+  const hasQuestion = readU16(query, 4) > 0
+  const question = hasQuestion ? query.slice(12, skipQuestion(query, 12)) : new Uint8Array(0)
+  const queryOpt = findOptRecord(query)
+  const additionals = []
+  if (queryOpt) {
+    const rdata = concatUint8(...options)
+    const opt = new Uint8Array(11)
+    opt.set(writeU16BE(TYPE_OPT), 1)
+    opt.set(writeU16BE(1232), 3)
+    if (queryOpt.ttl & 0x8000) opt[7] = 0x80
+    opt.set(writeU16BE(rdata.length), 9)
+    additionals.push(concatUint8(opt, rdata))
   }
+  const header = new Uint8Array(12)
+  header.set(query.subarray(0, 2), 0)
+  header.set(writeU16BE(flags), 2)
+  header.set(writeU16BE(hasQuestion ? 1 : 0), 4)
+  header.set(writeU16BE(answers.length), 6)
+  header.set(writeU16BE(authorities.length), 8)
+  header.set(writeU16BE(additionals.length), 10)
+  return concatUint8(header, question, ...answers, ...authorities, ...additionals)
+}
+
+// FORMERR for a query we could not parse: ID, opcode and RD echoed, every section
+// empty since none of them can be trusted
+function buildFormErr(query) {
+  const out = new Uint8Array(12)
+  out.set(query.subarray(0, 2), 0)
+  out[2] = 0x80 | (query[2] & 0x79)
+  out[3] = 0x80 | RCODE.FORMERR
+  return out
+}
+
+// Local answer for a blocked name, per BLOCK_MODE: NXDOMAIN, REFUSED, or
+// 0.0.0.0 / :: (NODATA for other types), tagged with EDE "Blocked"
+function buildBlockedResponse(query, question, cfg, rule) {
+  const ttl = cfg.BLOCK_TTL
+  const options = [buildEdeOption(EDE_BLOCKED, `blocked by rule ${rule}`)]
+  if (cfg.BLOCK_MODE === 'refused') return buildResponse(query, { rcode: 5, options })
+  if (cfg.BLOCK_MODE === 'null') {
+    const answers = []
+    if (question.type === TYPE_A) answers.push(buildRR(NAME_PTR_QUESTION, TYPE_A, ttl, new Uint8Array(4)))
+    if (question.type === TYPE_AAAA) answers.push(buildRR(NAME_PTR_QUESTION, TYPE_AAAA, ttl, new Uint8Array(16)))
+    const authorities = answers.length ? [] : [buildSyntheticSoa(ttl)]
+    return buildResponse(query, { answers, authorities, options })
+  }
+  return buildResponse(query, { rcode: 3, authorities: [buildSyntheticSoa(ttl)], options })
+}
+
+// ================= Cache helpers =================
+// Opaque key over the (single) question, case-folded, plus the DO bit
+function questionCacheKey(buf) {
+  if (buf.length < 12 || readU16(buf, 4) !== 1) return null
+  const nameEnd = skipName(buf, 12)
+  const qEnd = nameEnd + 4
+  if (qEnd > buf.length) return null
+  let key = ''
+  for (let i = 12; i < qEnd; i++) {
+    let b = buf[i]
+    if (i < nameEnd && b >= 0x41 && b <= 0x5a) b |= 0x20
+    key += b.toString(16).padStart(2, '0')
+  }
+  const opt = findOptRecord(buf)
+  return `${key}-${opt && opt.ttl & 0x8000 ? 'do' : 'nodo'}`
+}
+
+function findOptRecord(buf) {
+  const { ar, additionalStart } = findSections(buf)
+  return parseAdditionalRecords(buf, additionalStart, ar).find((r) => r.type === 41) || null
+}
+
+// ECS option (code 8) of the OPT record: { family, sourcePrefix, scopePrefix, bytes } or null
+function readEcsOption(buf) {
+  const rec = findOptRecord(buf)
+  if (!rec) return null
+  const o = readOptOptions(buf, rec).find((x) => x.code === 8 && x.data.length >= 4)
+  if (!o) return null
+  return {
+    family: readU16(o.data, 0),
+    sourcePrefix: o.data[2],
+    scopePrefix: o.data[3],
+    bytes: o.data.slice(4),
+  }
+}
+
+// Visit every RR after the question section; section: 0 answer, 1 authority, 2 additional
+function forEachRR(buf, fn) {
+  const qd = readU16(buf, 4)
+  const counts = [readU16(buf, 6), readU16(buf, 8), readU16(buf, 10)]
+  let off = 12
+  for (let i = 0; i < qd; i++) off = skipQuestion(buf, off)
+  for (let section = 0; section < 3; section++) {
+    for (let i = 0; i < counts[section]; i++) {
+      const nameEnd = skipName(buf, off)
+      need(buf, nameEnd, 10)
+      const rdlen = readU16(buf, nameEnd + 8)
+      need(buf, nameEnd + 10, rdlen)
+      fn({ section, nameStart: off, nameEnd, type: readU16(buf, nameEnd), ttlOffset: nameEnd + 4, rdataStart: nameEnd + 10, rdlen })
+      off = nameEnd + 10 + rdlen
+    }
+  }
+}
+
+// Seconds a response may be cached: min TTL over answer/authority RRs, or the
+// SOA negative TTL (RFC 2308) for NXDOMAIN/NODATA. 0 means do not cache.
+function cacheableTtl(buf) {
+  if (buf.length < 12) return 0
+  const flags = readU16(buf, 2)
+  const rcode = flags & 0x0f
+  if (flags & 0x0200) return 0 // TC
+  if (rcode !== 0 && rcode !== 3) return 0
+  let min = Infinity
+  let negative = null
+  const an = readU16(buf, 6)
+  forEachRR(buf, (rr) => {
+    if (rr.section === 2) return
+    const ttl = readU32(buf, rr.ttlOffset) >>> 0
+    if (rr.section === 0 || rr.type !== 6) {
+      min = Math.min(min, ttl)
+    } else if (rr.rdlen >= 4) {
+      // SOA MINIMUM is the last 4 bytes of RDATA
+      const soaMin = readU32(buf, rr.rdataStart + rr.rdlen - 4) >>> 0
+      negative = Math.min(ttl, soaMin)
+    }
+  })
+  if (an === 0 || rcode === 3) return negative == null ? 0 : negative
+  return Number.isFinite(min) ? min : 0
+}
+
+// Cached wire adjusted for a new request: its ID, question bytes and ECS option, TTLs aged.
+// sentEcs is the subnet this request sent upstream (or would have), or null.
+function adjustCachedResponse(cached, query, ageSeconds, sentEcs) {
+  const out = echoRequesterEcs(cached, sentEcs)
+  out[0] = query[0]
+  out[1] = query[1]
+  // Same key means same question length; echo the client's 0x20 casing
+  const qEnd = skipQuestion(query, 12)
+  out.set(query.subarray(12, qEnd), 12)
+  if (ageSeconds > 0) {
+    forEachRR(out, (rr) => {
+      if (rr.type === 41) return
+      const ttl = readU32(out, rr.ttlOffset) >>> 0
+      const next = Math.max(0, ttl - ageSeconds)
+      out[rr.ttlOffset] = (next >>> 24) & 0xff
+      out[rr.ttlOffset + 1] = (next >>> 16) & 0xff
+      out[rr.ttlOffset + 2] = (next >>> 8) & 0xff
+      out[rr.ttlOffset + 3] = next & 0xff
+    })
+  }
+  return out
+}
+
+// The cached answer echoes the subnet of whichever client asked first; every client in
+// its scope shares it, so the echo is rewritten to the requester's subnet with the cached
+// SCOPE PREFIX-LENGTH (RFC 7871 §7.3), or dropped when the requester sent no ECS.
+// Always returns a copy.
+function echoRequesterEcs(cached, sentEcs) {
+  const rec = findOptRecord(cached)
+  const options = rec ? readOptOptions(cached, rec) : []
+  const ecs = options.find((o) => o.code === 8)
+  if (!ecs) return cached.slice()
+  const scope = ecs.data.length >= 4 ? ecs.data[3] : 0
+  const echo = sentEcs ? [buildEcsOption(sentEcs.bytes, sentEcs.family, sentEcs.sourcePrefix, Math.min(scope, sentEcs.sourcePrefix))] : []
+  return replaceOptRdata(cached, rec, concatUint8(...options.flatMap((o) => (o.code === 8 ? echo : [o.bytes]))))
+}
+
+// Expired cached wire served for a new request (RFC 8767): its ID, question and ECS
+// option as for a cache hit, every TTL set to STALE_TTL and an Extended DNS Error saying
+// the answer is stale and why
+function buildStaleResponse(cached, query, reason, sentEcs) {
+  let out = adjustCachedResponse(cached, query, 0, sentEcs)
+  forEachRR(out, (rr) => {
+    if (rr.type !== TYPE_OPT) out.set(writeU32BE(STALE_TTL), rr.ttlOffset)
+  })
+  const rec = findOptRecord(out)
+  if (rec) {
+    const infoCode = (out[3] & 0x0f) === RCODE.NXDOMAIN ? EDE_STALE_NXDOMAIN_ANSWER : EDE_STALE_ANSWER
+    const options = readOptOptions(out, rec).map((o) => o.bytes)
+    out = replaceOptRdata(out, rec, concatUint8(...options, buildEdeOption(infoCode, reason)))
+  }
+  return out
+}
+
+// Validates the address half of an ecs= / X-ECS-Request value; throws when malformed
+function requestedSubnet(value) {
+  const subnet = parseSubnet(value)
+  if (!subnet) return null
+  const ip = parseIp(subnet.ip)
+  if (!ip || ip.family !== subnet.family) throw new Error(`invalid subnet ${value}`)
+  return subnet
+}
+
+// The query's own ECS option as { family, ip, prefix }, or null
+function clientSubnet(buf) {
+  const ecs = readEcsOption(buf)
+  if (!ecs || (ecs.family !== 1 && ecs.family !== 2)) return null
+  return { family: ecs.family, ip: ecsIpText(ecs.family, ecs.bytes), prefix: ecs.sourcePrefix }
+}
+
+function applyEcsDecision(buf, decision, cfg) {
+  if (decision.action === 'strip') return stripEcsOption(buf)
+  if (decision.action === 'passthrough') return buf
+  return injectECSWithPrefix(buf, decision.ip, cfg, decision.prefix)
+}
+
+function ecsIpText(family, bytes) {
+  const full = new Uint8Array(family === 2 ? 16 : 4)
+  full.set(bytes.subarray(0, full.length))
+  return family === 2 ? bytesToIpv6(full) : Array.from(full).join('.')
+}
+
+function ecsSubnetText(ecs) {
+  return ecs ? `${ecsIpText(ecs.family, ecs.bytes)}/${ecs.sourcePrefix}` : ''
 }
 
 // ====== Public/Private IP helpers ======
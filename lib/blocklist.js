@@ -0,0 +1,177 @@
+// Domain blocklist / allowlist matching
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// Accepted line formats (mixed freely, one rule per line):
+//   0.0.0.0 ads.example.com tracker.example.com   hosts file: exact names
+//   ads.example.com                               plain domain: exact name
+//   *.example.com                                 subdomains only
+//   ||example.com^                                Adblock: name and subdomains
+//   @@||good.example.com^                         Adblock exception: allow
+// Comments: '#' (hosts / plain), '!' and '[Adblock ...]' headers (Adblock).
+// Allow rules always win over block rules.
+
+const HOSTS_IGNORE = new Set([
+  'localhost', 'localhost.localdomain', 'local', 'broadcasthost',
+  'ip6-localhost', 'ip6-loopback', 'ip6-localnet', 'ip6-mcastprefix',
+  'ip6-allnodes', 'ip6-allrouters', 'ip6-allhosts', '0.0.0.0',
+])
+
+function emptyRules() {
+  return { exact: new Set(), suffix: new Set(), wildcard: new Set() }
+}
+
+function cleanDomain(d) {
+  const name = String(d).trim().toLowerCase().replace(/\.$/, '')
+  return /^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/.test(name) ? name : ''
+}
+
+function isAddress(s) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(s) || (s.includes(':') && /^[0-9a-f:.]+$/i.test(s))
+}
+
+// Adds the rules in `text` to { block, allow }; unparseable lines are skipped
+function addList(text, block, allow) {
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.trim()
+    if (!line || line.startsWith('!') || line.startsWith('[')) continue
+    if (line.startsWith('@@||') || line.startsWith('||')) {
+      const target = line.startsWith('@@') ? allow : block
+      // Only plain domain rules; options like $third-party or paths are not DNS-level
+      const m = /^(?:@@)?\|\|([^\^/$*|]+)\^?(?:\$important)?$/.exec(line)
+      const name = m ? cleanDomain(m[1]) : ''
+      if (name) target.suffix.add(name)
+      continue
+    }
+    const body = line.replace(/#.*$/, '').trim()
+    if (!body) continue
+    const parts = body.split(/\s+/)
+    // hosts format: address followed by one or more names
+    if (parts.length > 1 && isAddress(parts[0])) {
+      for (const host of parts.slice(1)) {
+        const name = cleanDomain(host)
+        if (name && !HOSTS_IGNORE.has(name)) block.exact.add(name)
+      }
+      continue
+    }
+    if (parts[0].startsWith('*.')) {
+      const name = cleanDomain(parts[0].slice(2))
+      if (name) block.wildcard.add(name)
+      continue
+    }
+    const name = cleanDomain(parts[0])
+    if (name) block.exact.add(name)
+  }
+}
+
+function matches(rules, name) {
+  if (rules.exact.has(name) || rules.suffix.has(name)) return name
+  let i = name.indexOf('.')
+  while (i !== -1) {
+    const parent = name.slice(i + 1)
+    if (rules.suffix.has(parent) || rules.wildcard.has(parent)) return parent
+    i = name.indexOf('.', i + 1)
+  }
+  return null
+}
+
+function countRules(r) {
+  return r.exact.size + r.suffix.size + r.wildcard.size
+}
+
+// blockTexts/allowTexts: arrays of list contents. Everything in an allow list is
+// an allow rule regardless of its syntax.
+export function createDomainFilter({ blockTexts = [], allowTexts = [] } = {}) {
+  const block = emptyRules()
+  const allow = emptyRules()
+  for (const t of blockTexts) addList(t, block, allow)
+  for (const t of allowTexts) {
+    const tmp = emptyRules()
+    addList(t, tmp, allow)
+    for (const k of ['exact', 'suffix', 'wildcard']) for (const n of tmp[k]) allow[k].add(n)
+  }
+  return {
+    // { blocked, rule } where rule is the matching list entry
+    match(qname) {
+      const name = cleanDomain(qname)
+      if (!name) return { blocked: false, rule: null }
+      const allowed = matches(allow, name)
+      if (allowed) return { blocked: false, rule: allowed }
+      const rule = matches(block, name)
+      return { blocked: !!rule, rule }
+    },
+    get size() {
+      return countRules(block) + countRules(allow)
+    },
+  }
+}
+
+async function defaultFetchText(url, signal) {
+  const res = await fetch(url, { signal })
+  if (!res.ok) throw new Error(`blocklist ${url} status ${res.status}`)
+  return res.text()
+}
+
+// Inline lists plus remote lists fetched in the background and refreshed every
+// refreshMs. Queries never wait for a download: until the first one finishes only the
+// inline lists apply (filtering fails open), and a download that fails or takes longer
+// than timeoutMs keeps the last good copy and is reported through onError(url, err).
+// `loading` is the download in progress, for runtimes that cancel work left running
+// after the response (waitUntil).
+export function createFilterSource({
+  blockTexts = [],
+  allowTexts = [],
+  blockUrls = [],
+  allowUrls = [],
+  refreshMs = 3600000,
+  timeoutMs = 30000,
+  fetchText = defaultFetchText,
+  onError = () => {},
+} = {}) {
+  const remote = new Map()
+  let filter = null
+  let loadedAt = 0
+  let loading = null
+
+  function build() {
+    filter = createDomainFilter({
+      blockTexts: [...blockTexts, ...blockUrls.map((u) => remote.get(u) || '')],
+      allowTexts: [...allowTexts, ...allowUrls.map((u) => remote.get(u) || '')],
+    })
+  }
+
+  // The timer covers the body as well as the response headers
+  async function download(url) {
+    const ctrl = new AbortController()
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs)
+    try {
+      return await fetchText(url, ctrl.signal)
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  async function load() {
+    await Promise.all([...blockUrls, ...allowUrls].map(async (url) => {
+      try {
+        remote.set(url, await download(url))
+      } catch (err) {
+        onError(url, err)
+      }
+    }))
+    build()
+    loadedAt = Date.now()
+  }
+
+  return {
+    async get() {
+      if (!filter) build()
+      if (!loading && (blockUrls.length || allowUrls.length) && (!loadedAt || Date.now() - loadedAt > refreshMs)) {
+        loading = load().finally(() => { loading = null })
+      }
+      return filter
+    },
+    get loading() {
+      return loading
+    },
+  }
+}
@@ -0,0 +1,166 @@
+// Client IP extraction with a trusted-proxy model
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// The immediate peer (socket address, or the address the platform reports) is the
+// client unless it is listed in TRUSTED_PROXIES. Only a trusted peer's forwarding
+// headers are believed:
+//   1. the connecting-IP header (CONNECTING_IP_HEADER), set by the proxy itself
+//   2. RFC 7239 Forwarded, else X-Forwarded-For, walked right to left; the first
+//      hop that is not a trusted proxy is the client
+// Anything else a caller sends is ignored, so ECS cannot be spoofed by hitting the
+// origin directly.
+
+export const DEFAULT_TRUSTED_PROXIES = '127.0.0.0/8, ::1/128'
+
+// "10.0.0.0/8, 2001:db8::/32, 192.0.2.1" -> [{ family, bytes, prefix }]; throws on malformed entries
+export function parseCidrList(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map((entry) => {
+      const [addr, len] = entry.split('/')
+      const ip = parseAddress(addr)
+      const max = ip && ip.family === 2 ? 128 : 32
+      const prefix = len === undefined ? max : Number(len)
+      if (!ip || !Number.isInteger(prefix) || prefix < 0 || prefix > max) throw new Error(`invalid CIDR ${entry}`)
+      return { ...ip, prefix }
+    })
+}
+
+// Whether ipStr falls inside any entry of a parseCidrList() result
+export function cidrListContains(list, ipStr) {
+  const ip = parseAddress(normalizeAddress(ipStr))
+  return !!ip && list.some((c) => c.family === ip.family && prefixMatch(c.bytes, ip.bytes, c.prefix))
+}
+
+export function isTrustedProxy(trusted, ipStr) {
+  return cidrListContains(trusted, ipStr)
+}
+
+// "203.0.113.77" -> "203.0.113.0/24", "2001:db8::1" -> "2001:db8::/56"; '' when not an IP
+export function truncateAddress(ipStr, v4Prefix = 24, v6Prefix = 56) {
+  const ip = parseAddress(normalizeAddress(ipStr))
+  if (!ip) return ''
+  const prefix = ip.family === 2 ? v6Prefix : v4Prefix
+  const bytes = ip.bytes.map((b, i) => b & ((0xff << (8 - Math.max(0, Math.min(8, prefix - i * 8)))) & 0xff))
+  return `${formatAddress(ip.family, bytes)}/${prefix}`
+}
+
+// peer: { ip, source } for the immediate peer; getHeader(name) returns a header value or ''.
+// connectingIpHeader: null when the peer address was itself read from that header.
+// Returns { ip, source, reason }; ip is '' when no client address can be established.
+export function resolveClientIp({ peer, getHeader, trusted = [], connectingIpHeader = 'EO-Connecting-IP' }) {
+  const peerIp = normalizeAddress(peer && peer.ip)
+  if (!peerIp) return { ip: '', source: 'none', reason: 'no peer address' }
+  if (!isTrustedProxy(trusted, peerIp)) {
+    return { ip: peerIp, source: peer.source, reason: 'peer is not a trusted proxy' }
+  }
+
+  const connecting = connectingIpHeader ? normalizeAddress(String(getHeader(connectingIpHeader) || '').split(',')[0]) : ''
+  if (connecting) return { ip: connecting, source: connectingIpHeader.toLowerCase(), reason: 'set by trusted proxy' }
+
+  const forwarded = getHeader('forwarded')
+  const chain = forwarded ? parseForwarded(forwarded) : parseXff(getHeader('x-forwarded-for'))
+  const source = forwarded ? 'forwarded' : 'x-forwarded-for'
+  if (!chain.length) return { ip: peerIp, source: peer.source, reason: 'trusted peer sent no forwarding headers' }
+  for (let i = chain.length - 1; i >= 0; i--) {
+    const hop = normalizeAddress(chain[i])
+    // "unknown", obfuscated or garbled hops cannot be walked past
+    if (!hop) return { ip: '', source, reason: `unidentifiable hop ${i}` }
+    if (!isTrustedProxy(trusted, hop)) return { ip: hop, source, reason: `first untrusted hop ${i}` }
+  }
+  return { ip: normalizeAddress(chain[0]), source, reason: 'every hop is a trusted proxy' }
+}
+
+// RFC 7239: for= of each element, e.g. 'for=192.0.2.60;proto=http, for="[2001:db8::1]:4711"'
+function parseForwarded(value) {
+  const out = []
+  for (const element of String(value).split(',')) {
+    const pair = element.split(';').map((p) => p.trim()).find((p) => /^for=/i.test(p))
+    out.push(pair ? pair.slice(4).replace(/^"|"$/g, '') : '')
+  }
+  return out
+}
+
+function parseXff(value) {
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean)
+}
+
+// Drops brackets, ports and the IPv4-mapped prefix; '' when not an IP literal
+function normalizeAddress(value) {
+  let s = String(value || '').trim()
+  if (!s) return ''
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(s)
+  if (bracketed) s = bracketed[1]
+  else if (/^[\d.]+:\d+$/.test(s)) s = s.slice(0, s.lastIndexOf(':'))
+  s = s.replace(/%.*$/, '')
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(s)
+  if (mapped) s = mapped[1]
+  return parseAddress(s) ? s : ''
+}
+
+function parseAddress(str) {
+  if (!str) return null
+  if (str.includes(':')) {
+    const bytes = parseIPv6(str)
+    return bytes ? { family: 2, bytes } : null
+  }
+  const parts = str.split('.')
+  if (parts.length !== 4 || parts.some((p) => !/^\d{1,3}$/.test(p) || Number(p) > 255)) return null
+  return { family: 1, bytes: Uint8Array.from(parts.map(Number)) }
+}
+
+function parseIPv6(str) {
+  let s = str
+  // Embedded IPv4 tail ("::ffff:192.0.2.1") becomes two hex words
+  const v4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(s)
+  if (v4) {
+    const ip = parseAddress(v4[1])
+    if (!ip) return null
+    const b = ip.bytes
+    s = s.slice(0, -v4[1].length) + `${((b[0] << 8) | b[1]).toString(16)}:${((b[2] << 8) | b[3]).toString(16)}`
+  }
+  const halves = s.split('::')
+  if (halves.length > 2) return null
+  const words = (h) => (h ? h.split(':') : [])
+  const head = words(halves[0])
+  const rest = halves.length === 2 ? words(halves[1]) : []
+  if (head.concat(rest).some((w) => !/^[0-9a-f]{1,4}$/i.test(w))) return null
+  const total = head.length + rest.length
+  if (halves.length === 1 ? total !== 8 : total > 7) return null
+  const all = [...head, ...new Array(8 - total).fill('0'), ...rest].map((w) => parseInt(w, 16))
+  const out = new Uint8Array(16)
+  all.forEach((w, i) => {
+    out[i * 2] = w >> 8
+    out[i * 2 + 1] = w & 0xff
+  })
+  return out
+}
+
+function formatAddress(family, bytes) {
+  if (family === 1) return Array.from(bytes).join('.')
+  const words = []
+  for (let i = 0; i < 16; i += 2) words.push(((bytes[i] << 8) | bytes[i + 1]).toString(16))
+  // Compress the longest run of two or more zero words
+  let best = -1
+  let bestLen = 1
+  for (let i = 0; i < 8; i++) {
+    let j = i
+    while (j < 8 && words[j] === '0') j++
+    if (j - i > bestLen) {
+      best = i
+      bestLen = j - i
+    }
+  }
+  if (best === -1) return words.join(':')
+  return `${words.slice(0, best).join(':')}::${words.slice(best + bestLen).join(':')}`
+}
+
+function prefixMatch(a, b, prefix) {
+  const full = Math.floor(prefix / 8)
+  for (let i = 0; i < full; i++) if (a[i] !== b[i]) return false
+  const rem = prefix % 8
+  if (!rem) return true
+  const mask = (0xff << (8 - rem)) & 0xff
+  return (a[full] & mask) === (b[full] & mask)
+}
@@ -0,0 +1,180 @@
+// CMS SignedData (RFC 5652) with the content attached, which is what a signed Apple
+// configuration profile is
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// Signs with a PEM certificate (chain, leaf first) and its PKCS#8 private key: RSA with
+// PKCS#1 v1.5, or ECDSA on P-256 or P-384, over SHA-256 in both cases.
+
+import { concatBytes } from './wire.js'
+
+const OID = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingTime: '1.2.840.113549.1.9.5',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  sha256WithRsaEncryption: '1.2.840.113549.1.1.11',
+  ecPublicKey: '1.2.840.10045.2.1',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+}
+const CURVES = { '1.2.840.10045.3.1.7': 'P-256', '1.3.132.0.34': 'P-384' }
+const NULL = new Uint8Array([0x05, 0x00])
+
+// content: bytes to sign; certificate, privateKey: PEM text. Resolves with the DER
+// ContentInfo; throws when the PEM is missing or the key type is not supported.
+export async function signCms(content, { certificate, privateKey }) {
+  const certs = pemBlocks(certificate, 'CERTIFICATE')
+  if (!certs.length) throw new Error('no PEM certificate to sign with')
+  const [keyDer] = pemBlocks(privateKey, 'PRIVATE KEY')
+  if (!keyDer) throw new Error('signing key must be PKCS#8 PEM ("BEGIN PRIVATE KEY"; openssl pkcs8 -topk8 -nocrypt converts others)')
+  const signer = await importSigningKey(keyDer)
+
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', content))
+  // DER wants a SET OF sorted by encoding
+  const attributes = [
+    attribute(OID.contentType, oid(OID.data)),
+    attribute(OID.signingTime, utcTime(new Date())),
+    attribute(OID.messageDigest, tlv(0x04, digest)),
+  ].sort(compareBytes)
+  // The signature covers the attributes tagged as a SET, not as the [0] they are sent in
+  const signature = await signer.sign(tlv(0x31, ...attributes))
+
+  const signerInfo = tlv(0x30,
+    integer(1),
+    issuerAndSerialNumber(certs[0]),
+    tlv(0x30, oid(OID.sha256), NULL),
+    tlv(0xa0, ...attributes),
+    signer.algorithm,
+    tlv(0x04, signature),
+  )
+  const signedData = tlv(0x30,
+    integer(1),
+    tlv(0x31, tlv(0x30, oid(OID.sha256), NULL)),
+    tlv(0x30, oid(OID.data), tlv(0xa0, tlv(0x04, content))),
+    tlv(0xa0, ...certs),
+    tlv(0x31, signerInfo),
+  )
+  return tlv(0x30, oid(OID.signedData), tlv(0xa0, signedData))
+}
+
+async function importSigningKey(der) {
+  // PrivateKeyInfo: version, AlgorithmIdentifier { algorithm, parameters }, privateKey
+  const [, algorithm] = children(der, readTlv(der, 0))
+  const [keyType, params] = children(der, algorithm).map((el) => der.subarray(el.start, el.end))
+  if (sameBytes(keyType, oid(OID.rsaEncryption))) {
+    const key = await crypto.subtle.importKey('pkcs8', der, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['sign'])
+    return {
+      algorithm: tlv(0x30, oid(OID.sha256WithRsaEncryption), NULL),
+      sign: async (data) => new Uint8Array(await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key, data)),
+    }
+  }
+  const curve = params && Object.keys(CURVES).find((c) => sameBytes(params, oid(c)))
+  if (sameBytes(keyType, oid(OID.ecPublicKey)) && curve) {
+    const key = await crypto.subtle.importKey('pkcs8', der, { name: 'ECDSA', namedCurve: CURVES[curve] }, false, ['sign'])
+    return {
+      algorithm: tlv(0x30, oid(OID.ecdsaWithSha256)),
+      sign: async (data) => ecdsaSignatureDer(new Uint8Array(await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, key, data))),
+    }
+  }
+  throw new Error('signing key must be RSA or ECDSA on P-256/P-384')
+}
+
+// Certificate -> tbsCertificate -> [version], serialNumber, signature, issuer
+function issuerAndSerialNumber(cert) {
+  const tbs = children(cert, readTlv(cert, 0))[0]
+  const fields = children(cert, tbs)
+  const first = fields[0].tag === 0xa0 ? 1 : 0
+  const raw = (el) => cert.subarray(el.start, el.end)
+  return tlv(0x30, raw(fields[first + 2]), raw(fields[first]))
+}
+
+// WebCrypto gives r || s; CMS wants SEQUENCE { r INTEGER, s INTEGER }
+function ecdsaSignatureDer(raw) {
+  const half = raw.length / 2
+  const int = (bytes) => {
+    let i = 0
+    while (i < bytes.length - 1 && bytes[i] === 0) i++
+    const trimmed = bytes.subarray(i)
+    return tlv(0x02, trimmed[0] & 0x80 ? concatBytes(new Uint8Array(1), trimmed) : trimmed)
+  }
+  return tlv(0x30, int(raw.subarray(0, half)), int(raw.subarray(half)))
+}
+
+function attribute(type, value) {
+  return tlv(0x30, oid(type), tlv(0x31, value))
+}
+
+function pemBlocks(text, label) {
+  const re = new RegExp(`-----BEGIN ${label}-----([^-]+)-----END ${label}-----`, 'g')
+  return [...String(text || '').matchAll(re)].map((m) => Uint8Array.from(atob(m[1].replace(/\s+/g, '')), (c) => c.charCodeAt(0)))
+}
+
+// ================= DER =================
+
+function tlv(tag, ...parts) {
+  const body = concatBytes(...parts)
+  const len = []
+  for (let n = body.length; n > 0; n = Math.floor(n / 256)) len.unshift(n & 0xff)
+  const header = body.length < 0x80 ? [tag, body.length] : [tag, 0x80 | len.length, ...len]
+  return concatBytes(new Uint8Array(header), body)
+}
+
+function oid(dotted) {
+  const [a, b, ...rest] = dotted.split('.').map(Number)
+  const bytes = [a * 40 + b]
+  for (const n of rest) {
+    const groups = []
+    for (let v = n; ; v = Math.floor(v / 128)) {
+      groups.unshift((v & 0x7f) | (groups.length ? 0x80 : 0))
+      if (v < 128) break
+    }
+    bytes.push(...groups)
+  }
+  return tlv(0x06, new Uint8Array(bytes))
+}
+
+function integer(n) {
+  return tlv(0x02, new Uint8Array([n]))
+}
+
+// YYMMDDHHMMSSZ; signing times before 2050 are UTCTime (RFC 5280 §4.1.2.5)
+function utcTime(date) {
+  const text = date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z'
+  return tlv(0x17, new TextEncoder().encode(text))
+}
+
+// { tag, start, body, end } of the element at off
+function readTlv(buf, off) {
+  if (off + 2 > buf.length) throw new Error('DER truncated')
+  let len = buf[off + 1]
+  let body = off + 2
+  if (len & 0x80) {
+    const n = len & 0x7f
+    if (n < 1 || n > 4 || body + n > buf.length) throw new Error('bad DER length')
+    len = 0
+    for (let i = 0; i < n; i++) len = len * 256 + buf[body++]
+  }
+  if (body + len > buf.length) throw new Error('DER truncated')
+  return { tag: buf[off], start: off, body, end: body + len }
+}
+
+function children(buf, el) {
+  const out = []
+  for (let off = el.body; off < el.end;) {
+    const child = readTlv(buf, off)
+    out.push(child)
+    off = child.end
+  }
+  return out
+}
+
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((v, i) => v === b[i])
+}
+
+function compareBytes(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) if (a[i] !== b[i]) return a[i] - b[i]
+  return a.length - b.length
+}
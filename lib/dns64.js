@@ -0,0 +1,137 @@
+// DNS64 (RFC 6147): AAAA answers synthesized from A records for IPv6-only clients
+// behind NAT64
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// When an AAAA question comes back NOERROR without a usable AAAA record (NODATA, or
+// only addresses in an excluded range), the same query is asked again for A, and every
+// A record is embedded in the NAT64 prefix as RFC 6052 §2.2 lays out. Works on wire
+// messages; the A answer's CNAME chain and OPT record are kept, everything else dropped.
+
+import { cidrListContains, parseCidrList } from './client-ip.js'
+import { TYPE_A, TYPE_AAAA, TYPE_CNAME, TYPE_DNAME, TYPE_OPT, TYPE_SOA, buildMessage, encodeRecord, readName, readU32, walkMessage } from './wire.js'
+
+export const DNS64_WELL_KNOWN_PREFIX = '64:ff9b::/96'
+// IPv4-mapped addresses never reach an IPv6-only client (RFC 6147 §5.1.4), nor do
+// A records that only make sense on the local host or link
+export const DEFAULT_DNS64_EXCLUDE = '::ffff:0:0/96, 0.0.0.0/8, 127.0.0.0/8, 169.254.0.0/16, 255.255.255.255/32'
+// The well-known prefix must not carry non-global IPv4 addresses (RFC 6052 §3.1)
+const NON_GLOBAL_V4 = parseCidrList('10.0.0.0/8, 100.64.0.0/10, 172.16.0.0/12, 192.0.0.0/24, 192.168.0.0/16, 198.18.0.0/15, 224.0.0.0/3')
+
+const PREFIX_LENGTHS = [32, 40, 48, 56, 64, 96]
+// RFC 6147 §5.1.7: synthesized TTL when the AAAA answer carried no SOA
+const MAX_TTL_WITHOUT_SOA = 600
+
+// prefix: NAT64 prefix in CIDR form; clients: CIDR list of the clients that get
+// synthesized answers ('' for every client); exclude: IPv6 ranges whose AAAA records
+// count as absent and IPv4 ranges never synthesized. Throws on a malformed prefix.
+export function createDns64({ prefix = DNS64_WELL_KNOWN_PREFIX, clients = '', exclude = DEFAULT_DNS64_EXCLUDE } = {}) {
+  const [nat64] = parseCidrList(prefix)
+  if (!nat64 || nat64.family !== 2 || !PREFIX_LENGTHS.includes(nat64.prefix)) {
+    throw new Error(`invalid DNS64 prefix ${prefix}: needs an IPv6 /32, /40, /48, /56, /64 or /96`)
+  }
+  // Bits 64-71 of the address are reserved and must be zero (RFC 6052 §2.2)
+  if (nat64.prefix === 96 && nat64.bytes[8] !== 0) throw new Error(`invalid DNS64 prefix ${prefix}: bits 64-71 must be zero`)
+  const wellKnown = nat64.prefix === 96 && cidrListContains(parseCidrList(DNS64_WELL_KNOWN_PREFIX), addressText(nat64.bytes))
+  const clientList = parseCidrList(clients)
+  const excluded = parseCidrList(exclude)
+
+  function excludedV4(bytes) {
+    const ip = addressText(bytes)
+    return cidrListContains(excluded, ip) || (wellKnown && cidrListContains(NON_GLOBAL_V4, ip))
+  }
+
+  function embed(v4) {
+    const out = new Uint8Array(16)
+    out.set(nat64.bytes.subarray(0, nat64.prefix / 8))
+    let p = nat64.prefix / 8
+    for (const b of v4) {
+      if (p === 8) p++
+      out[p++] = b
+    }
+    return out
+  }
+
+  return {
+    // Synthesized answers depend on who asked, so must not be shared between clients
+    perClient: clientList.length > 0,
+
+    // Whether this AAAA query may be answered with synthesized records: the client is in
+    // DNS64_CLIENTS, and it did not set both DO and CD, which means it validates on its own
+    // and would reject them (RFC 6147 §5.5)
+    wants(query, clientIp) {
+      try {
+        const { question: q, records } = walkMessage(query)
+        if (!q || q.type !== TYPE_AAAA || q.klass !== 1) return false
+        if (clientList.length && !cidrListContains(clientList, clientIp)) return false
+        const opt = records.find((r) => r.type === TYPE_OPT)
+        return !(opt && opt.ttl & 0x8000 && query[3] & 0x10)
+      } catch {
+        return false
+      }
+    },
+
+    // NOERROR with no AAAA record outside the excluded ranges
+    lacksAaaa(answer) {
+      try {
+        if ((answer[3] & 0x0f) !== 0 || answer[2] & 0x02) return false
+        const { records } = walkMessage(answer)
+        return !records.some((r) => r.section === 0 && r.type === TYPE_AAAA && r.rdlen === 16 &&
+          !cidrListContains(excluded, addressText(answer.subarray(r.rdataStart, r.rdataStart + 16))))
+      } catch {
+        return false
+      }
+    },
+
+    // The same query asking for A; the length does not change, so neither does padding
+    aQuery(query) {
+      const out = new Uint8Array(query)
+      const { question } = walkMessage(out)
+      out[question.end - 4] = 0
+      out[question.end - 3] = TYPE_A
+      return out
+    },
+
+    // The AAAA answer rebuilt from the A answer, or null when there is no A record to
+    // embed. TTLs are capped by the AAAA answer's negative TTL (RFC 6147 §5.1.7); AA and
+    // AD are cleared since nobody vouches for the synthesized records.
+    synthesize(aaaaAnswer, aAnswer) {
+      let aaaa, a
+      try {
+        aaaa = walkMessage(aaaaAnswer)
+        a = walkMessage(aAnswer)
+      } catch {
+        return null
+      }
+      if (!aaaa.question || (aAnswer[3] & 0x0f) !== 0) return null
+      const soa = aaaa.records.find((r) => r.section === 1 && r.type === TYPE_SOA && r.rdlen >= 20)
+      const cap = soa ? Math.min(soa.ttl, readU32(aaaaAnswer, soa.rdataStart + soa.rdlen - 4)) : MAX_TTL_WITHOUT_SOA
+      const answers = []
+      let synthesized = 0
+      for (const r of a.records) {
+        if (r.section !== 0) continue
+        if (r.type === TYPE_CNAME || r.type === TYPE_DNAME) {
+          answers.push(encodeRecord(r.owner, r.type, r.klass, r.ttl, readName(aAnswer, r.rdataStart).wire))
+        } else if (r.type === TYPE_A && r.klass === 1 && r.rdlen === 4) {
+          const v4 = aAnswer.subarray(r.rdataStart, r.rdataStart + 4)
+          if (excludedV4(v4)) continue
+          answers.push(encodeRecord(r.owner, TYPE_AAAA, 1, Math.min(r.ttl, cap), embed(v4)))
+          synthesized++
+        }
+      }
+      if (!synthesized) return null
+      const opt = a.records.filter((r) => r.type === TYPE_OPT).map((r) => aAnswer.subarray(r.start, r.rdataStart + r.rdlen))
+      const header = new Uint8Array(aaaaAnswer.subarray(0, 12))
+      header[2] &= ~0x04
+      header[3] &= ~0x2f
+      return buildMessage(header, aaaaAnswer.subarray(12, aaaa.question.end), [answers, [], opt])
+    },
+  }
+}
+
+// 4 bytes -> '192.0.2.1', 16 bytes -> eight uncompressed hex words
+function addressText(bytes) {
+  if (bytes.length === 4) return Array.from(bytes).join('.')
+  const words = []
+  for (let i = 0; i < 16; i += 2) words.push(((bytes[i] << 8) | bytes[i + 1]).toString(16))
+  return words.join(':')
+}
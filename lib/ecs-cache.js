@@ -0,0 +1,195 @@
+// ECS scope-aware DNS response cache (RFC 7871 §7.3.1)
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// Entries are keyed by an opaque question key (qname/qtype/qclass/DO) plus a
+// subnet bucket derived from the SCOPE PREFIX-LENGTH of the answer:
+//   - 'none'                  answer to a query that carried no ECS
+//   - 'any'                   SCOPE 0: valid for every client
+//   - '<family>/<scope>/<net>' valid for clients whose address matches <net>
+// A lookup for a /24 therefore also hits an answer cached with scope /16.
+//
+// With staleTtl (seconds) entries outlive their TTL by that long for getStale(), so
+// an expired answer can stand in when every upstream has failed (RFC 8767).
+
+const CACHE_API_ORIGIN = 'https://ecs-cache.internal'
+
+export function createEcsCache({ maxEntries = 5000, cacheApi = null, staleTtl = 0 } = {}) {
+  const staleMs = Math.max(0, staleTtl) * 1000
+  // LRU: Map keeps insertion order, re-inserted on hit
+  const store = new Map()
+  // qkey -> Map(scopeTag -> count), so lookups only probe scopes we have seen
+  const scopes = new Map()
+
+  function addScope(qkey, tag) {
+    let m = scopes.get(qkey)
+    if (!m) scopes.set(qkey, (m = new Map()))
+    m.set(tag, (m.get(tag) || 0) + 1)
+  }
+
+  function dropScope(qkey, tag) {
+    const m = scopes.get(qkey)
+    if (!m) return
+    const n = (m.get(tag) || 0) - 1
+    if (n > 0) m.set(tag, n)
+    else m.delete(tag)
+    if (!m.size) scopes.delete(qkey)
+  }
+
+  function remove(key) {
+    const e = store.get(key)
+    if (!e) return
+    store.delete(key)
+    dropScope(e.qkey, e.tag)
+  }
+
+  function memGet(qkey, bucket, now, stale) {
+    const key = `${qkey}|${bucket}`
+    const e = store.get(key)
+    if (!e) return null
+    if (e.expires + staleMs <= now) {
+      remove(key)
+      return null
+    }
+    if (!stale && e.expires <= now) return null
+    store.delete(key)
+    store.set(key, e)
+    return e
+  }
+
+  function memPut(qkey, bucket, tag, entry) {
+    const key = `${qkey}|${bucket}`
+    remove(key)
+    store.set(key, { ...entry, qkey, tag })
+    addScope(qkey, tag)
+    while (store.size > maxEntries) remove(store.keys().next().value)
+  }
+
+  function candidateBuckets(subnet, tags) {
+    if (!subnet) return ['none', 'any']
+    const out = []
+    for (const tag of tags) {
+      if (tag === 'any' || tag === 'none') continue
+      const [family, scope] = tag.split('/').map(Number)
+      if (family !== subnet.family || scope > subnet.sourcePrefix) continue
+      out.push({ scope, bucket: bucketFor(subnet, scope) })
+    }
+    // Most specific scope first
+    out.sort((a, b) => b.scope - a.scope)
+    return [...out.map((x) => x.bucket), 'any']
+  }
+
+  async function apiMatch(path) {
+    try {
+      return (await cacheApi.match(new Request(`${CACHE_API_ORIGIN}/${path}`))) || null
+    } catch {
+      return null
+    }
+  }
+
+  async function apiPut(path, body, ttl, headers = {}) {
+    try {
+      await cacheApi.put(new Request(`${CACHE_API_ORIGIN}/${path}`), new Response(body, {
+        headers: { ...headers, 'cache-control': `max-age=${ttl}` },
+      }))
+    } catch {}
+  }
+
+  async function apiGet(qkey, subnet, now, stale) {
+    const idx = await apiMatch(`${qkey}/_scopes`)
+    const tags = idx ? await idx.json().catch(() => []) : []
+    for (const bucket of candidateBuckets(subnet, tags)) {
+      const res = await apiMatch(`${qkey}/${bucket}`)
+      if (!res) continue
+      const stored = Number(res.headers.get('x-stored-at')) || now
+      const expires = Number(res.headers.get('x-expires-at')) || now
+      if (expires + (stale ? staleMs : 0) <= now) continue
+      const value = new Uint8Array(await res.arrayBuffer())
+      const tag = tagForBucket(bucket)
+      memPut(qkey, bucket, tag, { value, stored, expires })
+      return found({ value, stored, expires }, now)
+    }
+    return null
+  }
+
+  async function apiPutEntry(qkey, bucket, tag, value, ttl, now) {
+    await apiPut(`${qkey}/${bucket}`, value, ttl + staleMs / 1000, {
+      'x-stored-at': String(now),
+      'x-expires-at': String(now + ttl * 1000),
+    })
+    const idx = await apiMatch(`${qkey}/_scopes`)
+    const tags = new Set(idx ? await idx.json().catch(() => []) : [])
+    if (tags.has(tag)) return
+    tags.add(tag)
+    await apiPut(`${qkey}/_scopes`, JSON.stringify([...tags]), ttl + staleMs / 1000)
+  }
+
+  async function lookup(qkey, subnet, now, stale) {
+    const tags = scopes.get(qkey)
+    if (tags) {
+      for (const bucket of candidateBuckets(subnet, tags.keys())) {
+        const e = memGet(qkey, bucket, now, stale)
+        if (e) return found(e, now)
+      }
+    }
+    return cacheApi ? apiGet(qkey, subnet, now, stale) : null
+  }
+
+  return {
+    // subnet: { family, sourcePrefix, bytes } as sent upstream, or null
+    async get(qkey, subnet, now = Date.now()) {
+      return lookup(qkey, subnet, now, false)
+    },
+
+    // Like get, but also returns an answer that expired less than staleTtl ago; stale
+    // is how many seconds past its TTL it is (0 while still fresh)
+    async getStale(qkey, subnet, now = Date.now()) {
+      return staleMs > 0 ? lookup(qkey, subnet, now, true) : null
+    },
+
+    // scope: SCOPE PREFIX-LENGTH from the response ECS option, or null if absent
+    async put(qkey, subnet, scope, ttl, value, now = Date.now()) {
+      if (!(ttl > 0) || maxEntries <= 0) return
+      let bucket
+      if (!subnet) bucket = 'none'
+      // No ECS in the answer, or scope 0: not tailored to the client subnet
+      else if (scope == null || scope === 0) bucket = 'any'
+      // A scope longer than what we sent cannot be honoured; clamp to source
+      else bucket = bucketFor(subnet, Math.min(scope, subnet.sourcePrefix))
+      const tag = tagForBucket(bucket)
+      const entry = { value, stored: now, expires: now + ttl * 1000 }
+      memPut(qkey, bucket, tag, entry)
+      if (cacheApi) await apiPutEntry(qkey, bucket, tag, value, ttl, now)
+    },
+
+    get size() {
+      return store.size
+    },
+  }
+}
+
+function found(e, now) {
+  return { value: e.value, age: Math.floor((now - e.stored) / 1000), stale: Math.max(0, Math.floor((now - e.expires) / 1000)) }
+}
+
+function bucketFor(subnet, scope) {
+  if (scope === 0) return 'any'
+  return `${subnet.family}/${scope}/${maskedHex(subnet.bytes, scope)}`
+}
+
+function tagForBucket(bucket) {
+  if (bucket === 'any' || bucket === 'none') return bucket
+  const [family, scope] = bucket.split('/')
+  return `${family}/${scope}`
+}
+
+function maskedHex(bytes, prefix) {
+  const n = Math.ceil(prefix / 8)
+  let out = ''
+  for (let i = 0; i < n; i++) {
+    let b = bytes[i] || 0
+    const rem = prefix - i * 8
+    if (rem < 8) b &= (0xff << (8 - rem)) & 0xff
+    out += b.toString(16).padStart(2, '0')
+  }
+  return out
+}
@@ -0,0 +1,84 @@
+// ECS policy: decide which client subnet, if any, goes upstream
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// Policies (ECS_POLICY):
+//   override  derive the subnet from the connecting IP, replacing whatever the client sent (default)
+//   honor     forward a client-supplied subnet as-is; fall back to the connecting IP
+//   clamp     like honor, but never more specific than ECS_V4_PREFIX / ECS_V6_PREFIX
+//   strip     never send ECS
+// A client SOURCE PREFIX-LENGTH of 0 is an RFC 7871 §7.1.2 opt-out and is respected
+// under every policy except strip: the query goes upstream with a /0 option.
+// "Client-supplied" is the query's own ECS option, or the ecs= parameter / X-ECS-Request
+// header, the latter taking precedence.
+
+export const ECS_POLICIES = ['override', 'honor', 'clamp', 'strip']
+
+export const ECS_REQUEST_HEADER = 'X-ECS-Request'
+
+export function normalizeEcsPolicy(value) {
+  const policy = String(value || '').toLowerCase()
+  return ECS_POLICIES.includes(policy) ? policy : 'override'
+}
+
+// "203.0.113.7/24" | "2001:db8::/48" | "203.0.113.7" -> { family, ip, prefix }
+// Returns null for an empty value and throws on a malformed prefix; the address
+// itself is validated by the caller, which owns an IP parser.
+export function parseSubnet(value) {
+  const text = String(value || '').trim()
+  if (!text) return null
+  const [ip, len, extra] = text.split('/')
+  const family = ip.includes(':') ? 2 : 1
+  const max = family === 2 ? 128 : 32
+  const prefix = len === undefined ? max : Number(len)
+  if (extra !== undefined || !ip || !/^\d+$/.test(len ?? String(max)) || prefix > max) {
+    throw new Error(`invalid subnet ${text}`)
+  }
+  return { family, ip, prefix }
+}
+
+// client: { family, ip, prefix } supplied by the client, or null
+// clientIp: the connecting IP, used only when it is public
+// Returns { action, family, ip, prefix } with action one of
+//   ip | honor | clamp | opt-out | strip | passthrough
+// family/ip/prefix are only set for actions that write an ECS option.
+export function decideEcs({ policy = 'override', client = null, clientIp = '', clientIpPublic = false, v4Prefix = 24, v6Prefix = 56, allowed = true }) {
+  if (!allowed || policy === 'strip') return { action: 'strip' }
+  if (client && !(client.prefix >= 0 && client.prefix <= (client.family === 2 ? 128 : 32))) client = null
+  if (client && client.prefix === 0) {
+    return { action: 'opt-out', family: client.family, ip: client.family === 2 ? '::' : '0.0.0.0', prefix: 0 }
+  }
+  if (client && (policy === 'honor' || policy === 'clamp')) {
+    const max = client.family === 2 ? v6Prefix : v4Prefix
+    if (policy === 'clamp' && client.prefix > max) return { action: 'clamp', family: client.family, ip: client.ip, prefix: max }
+    return { action: 'honor', family: client.family, ip: client.ip, prefix: client.prefix }
+  }
+  if (clientIp && clientIpPublic) {
+    const family = clientIp.includes(':') ? 2 : 1
+    return { action: 'ip', family, ip: clientIp, prefix: family === 2 ? v6Prefix : v4Prefix }
+  }
+  // No usable address: the query goes out as the client sent it
+  return { action: 'passthrough' }
+}
+
+// RFC 7871 §7.3: the response must echo FAMILY, SOURCE PREFIX-LENGTH and the
+// SOURCE PREFIX-LENGTH bits of ADDRESS from the query, and must not carry ECS at
+// all if the query did not. A response without ECS is fine (no ECS support).
+// sent/echoed: { family, sourcePrefix, bytes } or null. Returns a reason or null.
+export function ecsEchoMismatch(sent, echoed) {
+  if (!echoed) return null
+  if (!sent) return 'unsolicited ECS option'
+  if (echoed.family !== sent.family) return 'family mismatch'
+  if (echoed.sourcePrefix !== sent.sourcePrefix) return 'source prefix mismatch'
+  for (let bit = 0; bit < sent.sourcePrefix; bit += 8) {
+    const i = bit / 8
+    const keep = Math.min(8, sent.sourcePrefix - bit)
+    const mask = (0xff << (8 - keep)) & 0xff
+    if (((sent.bytes[i] || 0) & mask) !== ((echoed.bytes[i] || 0) & mask)) return 'address mismatch'
+  }
+  return null
+}
+
+// X-ECS: "<subnet sent upstream or none>; <action>", e.g. "203.0.113.0/24; ip"
+export function ecsHeaderValue(subnet, action) {
+  return `${subnet || 'none'}; ${action}`
+}
@@ -0,0 +1,137 @@
+// HPKE (RFC 9180), base mode, for the one suite Oblivious DoH needs:
+// DHKEM(X25519, HKDF-SHA256), HKDF-SHA256 and AES-128-GCM
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// Everything goes through WebCrypto. Its HKDF only does extract-and-expand in one step,
+// so both halves are built on HMAC here, as RFC 5869 defines them.
+
+import { concatBytes } from './wire.js'
+
+export const KEM_X25519_HKDF_SHA256 = 0x0020
+export const KDF_HKDF_SHA256 = 0x0001
+export const AEAD_AES_128_GCM = 0x0001
+// Nenc (= Npk), Nh, Nk and Nn of the suite
+export const N_ENC = 32
+export const N_H = 32
+export const N_K = 16
+export const N_N = 12
+
+const encoder = new TextEncoder()
+const EMPTY = new Uint8Array(0)
+const HPKE_V1 = encoder.encode('HPKE-v1')
+const KEM_SUITE = concatBytes(encoder.encode('KEM'), u16(KEM_X25519_HKDF_SHA256))
+const HPKE_SUITE = concatBytes(encoder.encode('HPKE'), u16(KEM_X25519_HKDF_SHA256), u16(KDF_HKDF_SHA256), u16(AEAD_AES_128_GCM))
+// WebCrypto imports X25519 private keys as PKCS#8 only; this is the fixed DER prefix
+// in front of the 32 key bytes (RFC 8410)
+const PKCS8_X25519 = new Uint8Array([0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x6e, 0x04, 0x22, 0x04, 0x20])
+const X25519_BASE_POINT = new Uint8Array(32)
+X25519_BASE_POINT[0] = 9
+
+export function u16(value) {
+  return new Uint8Array([value >> 8, value & 0xff])
+}
+
+// HMAC pads the key with zeros anyway; WebCrypto just refuses an empty one
+async function hmac(key, data) {
+  const k = await crypto.subtle.importKey('raw', key.length ? key : new Uint8Array(N_H), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  return new Uint8Array(await crypto.subtle.sign('HMAC', k, data))
+}
+
+export function hkdfExtract(salt, ikm) {
+  return hmac(salt, ikm)
+}
+
+export async function hkdfExpand(prk, info, length) {
+  const blocks = []
+  let t = EMPTY
+  for (let i = 1, n = 0; n < length; i++, n += N_H) {
+    t = await hmac(prk, concatBytes(t, info, new Uint8Array([i])))
+    blocks.push(t)
+  }
+  return concatBytes(...blocks).subarray(0, length)
+}
+
+function labeledExtract(suite, salt, label, ikm) {
+  return hkdfExtract(salt, concatBytes(HPKE_V1, suite, encoder.encode(label), ikm))
+}
+
+function labeledExpand(suite, prk, label, info, length) {
+  return hkdfExpand(prk, concatBytes(u16(length), HPKE_V1, suite, encoder.encode(label), info), length)
+}
+
+async function keyPairFromSecret(secret) {
+  const privateKey = await crypto.subtle.importKey('pkcs8', concatBytes(PKCS8_X25519, secret), { name: 'X25519' }, false, ['deriveBits'])
+  // X25519 of the base point is the public key
+  return { privateKey, publicKey: await dh(privateKey, X25519_BASE_POINT) }
+}
+
+// RFC 9180 §7.1.3: the same ikm always gives the same key pair; ikm should carry at least
+// 32 bytes of entropy
+export async function deriveKeyPair(ikm) {
+  const prk = await labeledExtract(KEM_SUITE, EMPTY, 'dkp_prk', ikm)
+  return keyPairFromSecret(await labeledExpand(KEM_SUITE, prk, 'sk', EMPTY, 32))
+}
+
+export function generateKeyPair() {
+  return keyPairFromSecret(crypto.getRandomValues(new Uint8Array(32)))
+}
+
+async function dh(privateKey, publicKey) {
+  const peer = await crypto.subtle.importKey('raw', publicKey, { name: 'X25519' }, false, [])
+  const out = new Uint8Array(await crypto.subtle.deriveBits({ name: 'X25519', public: peer }, privateKey, 256))
+  // A low-order public key gives all zeros (RFC 9180 §7.1.4)
+  if (out.every((b) => b === 0)) throw new Error('X25519 public key of low order')
+  return out
+}
+
+async function sharedSecret(dhOut, enc, publicKeyR) {
+  const prk = await labeledExtract(KEM_SUITE, EMPTY, 'eae_prk', dhOut)
+  return labeledExpand(KEM_SUITE, prk, 'shared_secret', concatBytes(enc, publicKeyR), N_H)
+}
+
+// RFC 9180 §5.1 with mode_base and no PSK
+async function keySchedule(shared, info) {
+  const pskIdHash = await labeledExtract(HPKE_SUITE, EMPTY, 'psk_id_hash', EMPTY)
+  const infoHash = await labeledExtract(HPKE_SUITE, EMPTY, 'info_hash', info)
+  const context = concatBytes(new Uint8Array([0]), pskIdHash, infoHash)
+  const secret = await labeledExtract(HPKE_SUITE, shared, 'secret', EMPTY)
+  const key = await crypto.subtle.importKey('raw', await labeledExpand(HPKE_SUITE, secret, 'key', context, N_K), 'AES-GCM', false, ['encrypt', 'decrypt'])
+  const baseNonce = await labeledExpand(HPKE_SUITE, secret, 'base_nonce', context, N_N)
+  const exporterSecret = await labeledExpand(HPKE_SUITE, secret, 'exp', context, N_H)
+  let seq = 0
+
+  // Each message takes the next sequence number, XORed into the base nonce
+  function nextNonce() {
+    const nonce = new Uint8Array(baseNonce)
+    for (let i = N_N - 1, s = seq++; s > 0; i--, s = Math.floor(s / 256)) nonce[i] ^= s & 0xff
+    return nonce
+  }
+
+  return {
+    async seal(aad, plaintext) {
+      return new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nextNonce(), additionalData: aad }, key, plaintext))
+    },
+    // Rejects when the ciphertext or aad was tampered with
+    async open(aad, ciphertext) {
+      return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: nextNonce(), additionalData: aad }, key, ciphertext))
+    },
+    export(exporterContext, length) {
+      return labeledExpand(HPKE_SUITE, exporterSecret, 'sec', exporterContext, length)
+    },
+  }
+}
+
+// Encrypts to publicKeyR: { enc, seal, export }. ephemeral is a key pair from
+// deriveKeyPair, for known-answer tests only; normally a fresh one is generated.
+export async function setupSender(publicKeyR, info, ephemeral = null) {
+  const { privateKey, publicKey: enc } = ephemeral || (await generateKeyPair())
+  const shared = await sharedSecret(await dh(privateKey, publicKeyR), enc, publicKeyR)
+  return { enc, ...(await keySchedule(shared, info)) }
+}
+
+// The recipient's side of setupSender, with its key pair: { open, export }
+export async function setupReceiver(enc, keyPair, info) {
+  if (enc.length !== N_ENC) throw new Error(`HPKE encapsulated key must be ${N_ENC} bytes`)
+  const shared = await sharedSecret(await dh(keyPair.privateKey, enc), enc, keyPair.publicKey)
+  return keySchedule(shared, info)
+}
@@ -0,0 +1,153 @@
+// Oblivious DNS over HTTPS (RFC 9230)
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// The client seals its query to the target's public key and posts it through a proxy:
+// the proxy knows who is asking but not what, the target knows what but only sees the
+// proxy's address. The target answers with a message only that client can open, keyed
+// from the HPKE context of the query (lib/hpke.js).
+
+import { AEAD_AES_128_GCM, KDF_HKDF_SHA256, KEM_X25519_HKDF_SHA256, N_ENC, N_H, N_K, N_N, deriveKeyPair, generateKeyPair, hkdfExpand, hkdfExtract, setupReceiver, setupSender, u16 } from './hpke.js'
+import { concatBytes, readU16 } from './wire.js'
+
+export const ODOH_CONTENT_TYPE = 'application/oblivious-dns-message'
+export const ODOH_CONFIGS_PATH = '/.well-known/odohconfigs'
+
+const ODOH_VERSION = 0x0001
+const MESSAGE_QUERY = 0x01
+const MESSAGE_RESPONSE = 0x02
+// AES-GCM tag length
+const N_TAG = 16
+
+const encoder = new TextEncoder()
+
+// ObliviousDoHMessage: message_type, key_id<0..2^16-1>, encrypted_message<1..2^16-1>
+function encodeMessage(type, keyId, encrypted) {
+  return concatBytes(new Uint8Array([type]), u16(keyId.length), keyId, u16(encrypted.length), encrypted)
+}
+
+function decodeMessage(buf) {
+  const [keyId, off] = readOpaque16(buf, 1)
+  const [encrypted, end] = readOpaque16(buf, off)
+  if (end !== buf.length) throw new Error('trailing bytes')
+  return { type: buf[0], keyId, encrypted }
+}
+
+// ObliviousDoHMessagePlaintext: dns_message<1..2^16-1>, padding<0..2^16-1> of zeros
+function encodePlaintext(dnsMessage, padding = 0) {
+  return concatBytes(u16(dnsMessage.length), dnsMessage, u16(padding), new Uint8Array(padding))
+}
+
+function decodePlaintext(buf) {
+  const [dnsMessage, off] = readOpaque16(buf, 0)
+  const [padding, end] = readOpaque16(buf, off)
+  if (end !== buf.length) throw new Error('trailing bytes')
+  if (!dnsMessage.length) throw new Error('empty dns message')
+  if (padding.some((b) => b !== 0)) throw new Error('non-zero padding')
+  return dnsMessage
+}
+
+function readOpaque16(buf, off) {
+  const len = readU16(buf, off)
+  if (off + 2 + len > buf.length) throw new Error('message truncated')
+  return [buf.subarray(off + 2, off + 2 + len), off + 2 + len]
+}
+
+function aad(type, keyId) {
+  return concatBytes(new Uint8Array([type]), u16(keyId.length), keyId)
+}
+
+// ObliviousDoHConfigContents for a public key, and its key_id (RFC 9230 §6.2)
+async function configContents(publicKey) {
+  const contents = concatBytes(u16(KEM_X25519_HKDF_SHA256), u16(KDF_HKDF_SHA256), u16(AEAD_AES_128_GCM), u16(publicKey.length), publicKey)
+  const keyId = await hkdfExpand(await hkdfExtract(new Uint8Array(0), contents), encoder.encode('odoh key id'), N_H)
+  return { contents, keyId }
+}
+
+// Answer keys from the query's HPKE context, the query plaintext and a fresh nonce (RFC 9230 §6.4)
+async function responseKeys(context, queryPlaintext, nonce) {
+  const secret = await context.export(encoder.encode('odoh response'), N_K)
+  const prk = await hkdfExtract(concatBytes(queryPlaintext, u16(nonce.length), nonce), secret)
+  const key = await hkdfExpand(prk, encoder.encode('odoh key'), N_K)
+  const iv = await hkdfExpand(prk, encoder.encode('odoh nonce'), N_N)
+  return { key: await crypto.subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']), iv }
+}
+
+// seed: bytes the key pair is derived from, so that restarts and every instance behind
+// one name publish the same configuration; without one a random key is generated.
+export async function createOdohTarget({ seed = null } = {}) {
+  const keyPair = seed ? await deriveKeyPair(seed) : await generateKeyPair()
+  const { contents, keyId } = await configContents(keyPair.publicKey)
+  const config = concatBytes(u16(ODOH_VERSION), u16(contents.length), contents)
+
+  return {
+    // ObliviousDoHConfigs, served at ODOH_CONFIGS_PATH
+    configs: concatBytes(u16(config.length), config),
+
+    // An ObliviousDoHMessage query -> { status: 200, query, seal(answer) } with the DNS
+    // query in the clear, or { status, error }: 401 for a key this target does not hold
+    // (the client should fetch the configuration again), 400 for anything else.
+    async open(body) {
+      let msg
+      try {
+        msg = decodeMessage(body)
+      } catch (err) {
+        return { status: 400, error: `malformed oblivious message: ${err.message}` }
+      }
+      if (msg.type !== MESSAGE_QUERY) return { status: 400, error: 'not an oblivious query' }
+      if (msg.keyId.length !== keyId.length || msg.keyId.some((b, i) => b !== keyId[i])) return { status: 401, error: 'unknown key id' }
+      if (msg.encrypted.length < N_ENC + N_TAG) return { status: 400, error: 'malformed oblivious message: message truncated' }
+      let context, plaintext, query
+      try {
+        context = await setupReceiver(msg.encrypted.subarray(0, N_ENC), keyPair, encoder.encode('odoh query'))
+        plaintext = await context.open(aad(MESSAGE_QUERY, keyId), msg.encrypted.subarray(N_ENC))
+        query = decodePlaintext(plaintext)
+      } catch {
+        return { status: 400, error: 'oblivious query does not decrypt' }
+      }
+      return {
+        status: 200,
+        query,
+        async seal(answer) {
+          const nonce = crypto.getRandomValues(new Uint8Array(Math.max(N_N, N_K)))
+          const { key, iv } = await responseKeys(context, plaintext, nonce)
+          const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: aad(MESSAGE_RESPONSE, nonce) }, key, encodePlaintext(answer))
+          return encodeMessage(MESSAGE_RESPONSE, nonce, new Uint8Array(encrypted))
+        },
+      }
+    },
+  }
+}
+
+// The client's side, for tests and tooling: seals query to the first supported config in
+// configs. Returns { message, open(response) } where open gives the DNS answer or throws.
+export async function sealOdohQuery(configs, query, padding = 0) {
+  const publicKey = supportedPublicKey(configs)
+  const { keyId } = await configContents(publicKey)
+  const context = await setupSender(publicKey, encoder.encode('odoh query'))
+  const plaintext = encodePlaintext(query, padding)
+  const encrypted = await context.seal(aad(MESSAGE_QUERY, keyId), plaintext)
+  return {
+    message: encodeMessage(MESSAGE_QUERY, keyId, concatBytes(context.enc, encrypted)),
+    async open(response) {
+      const msg = decodeMessage(response)
+      if (msg.type !== MESSAGE_RESPONSE) throw new Error('not an oblivious response')
+      const { key, iv } = await responseKeys(context, plaintext, msg.keyId)
+      const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: aad(MESSAGE_RESPONSE, msg.keyId) }, key, msg.encrypted)
+      return decodePlaintext(new Uint8Array(decrypted))
+    },
+  }
+}
+
+function supportedPublicKey(configs) {
+  const [list] = readOpaque16(configs, 0)
+  for (let off = 0; off < list.length;) {
+    const version = readU16(list, off)
+    const [contents, next] = readOpaque16(list, off + 2)
+    off = next
+    if (version !== ODOH_VERSION || contents.length < 8) continue
+    if (readU16(contents, 0) !== KEM_X25519_HKDF_SHA256 || readU16(contents, 2) !== KDF_HKDF_SHA256 || readU16(contents, 4) !== AEAD_AES_128_GCM) continue
+    const [publicKey] = readOpaque16(contents, 6)
+    if (publicKey.length === N_ENC) return publicKey
+  }
+  throw new Error('no supported ODoH configuration')
+}
@@ -0,0 +1,153 @@
+// Client onboarding: a DNS stamp, an Apple configuration profile and a JSON description
+// of this resolver, built from the origin it was reached on and the running configuration
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// origin is "scheme://host[:port]" as the client used it (URL.origin). DoH is HTTPS only
+// (RFC 8484 §3): stamps carry no scheme and DNSSettings profiles refuse http:// servers,
+// so callers check unusableOrigin first rather than hand out settings that cannot work.
+//
+// features describes the deployment without anything secret in it (no upstream URLs,
+// keys or client lists); each runtime assembles it from its own configuration:
+//   { endpoints: { doh, json, odohProxy, odohConfigs, dot, dns },
+//     ecs: { policy, v4Prefix, v6Prefix }, padding: { block, upstreamBlock },
+//     filtering: { blocklist, blockMode, aaaa, rewrites }, localZones, dnssec, dns64,
+//     ttl: { min, max }, cache, serveStale, rateLimit, queryLog }
+
+import { concatBytes } from './wire.js'
+
+export const DNS_STAMP_PATH = '/.well-known/dns-stamp'
+export const MOBILECONFIG_PATH = '/.well-known/mobileconfig'
+export const RESOLVER_INFO_PATH = '/.well-known/resolver'
+export const MOBILECONFIG_CONTENT_TYPE = 'application/x-apple-aspen-config'
+
+const encoder = new TextEncoder()
+
+// Why clients cannot be pointed at origin, or null when it is HTTPS
+export function unusableOrigin(origin) {
+  const { protocol } = new URL(origin)
+  return protocol === 'https:' ? null : `DNS over HTTPS needs https, but this request came over ${protocol.slice(0, -1)}`
+}
+
+// Whether answers may differ from what the upstream said, for the stamp's "no filter"
+// property; DNS64 and TTL clamping leave the records' meaning alone
+function filters(features) {
+  const f = features.filtering
+  return f.blocklist || f.aaaa || f.rewrites
+}
+
+// DoH stamp (https://dnscrypt.info/stamps-specifications): protocol 0x02 and the
+// properties (bit 0 DNSSEC validated, bit 1 no logs, bit 2 no filter), then no address
+// and no certificate hash, so clients resolve the host and check its certificate as for
+// any HTTPS site, then host[:port] and path
+export function dnsStamp(origin, features) {
+  const { host } = new URL(origin)
+  const props = (features.dnssec ? 1 : 0) | (features.queryLog ? 0 : 2) | (filters(features) ? 0 : 4)
+  const stamp = concatBytes(new Uint8Array([0x02, props, 0, 0, 0, 0, 0, 0, 0]), lp(''), lp(''), lp(host), lp(features.endpoints.doh))
+  return `sdns://${base64url(stamp)}`
+}
+
+// DNSSettings profile (iOS 14+, macOS 11+) sending every query to the DoH endpoint.
+// UUIDs are derived from the host, so installing the profile again replaces it.
+export async function appleDnsProfile(origin, features) {
+  const { host, hostname } = new URL(origin)
+  const identifier = hostname.split('.').reverse().join('.')
+  const profileUuid = await nameUuid(`${host} profile`)
+  const payloadUuid = await nameUuid(`${host} dns settings`)
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+  <key>PayloadContent</key>
+  <array>
+    <dict>
+      <key>DNSSettings</key>
+      <dict>
+        <key>DNSProtocol</key>
+        <string>HTTPS</string>
+        <key>ServerURL</key>
+        <string>${xml(`${origin}${features.endpoints.doh}`)}</string>
+      </dict>
+      <key>PayloadDisplayName</key>
+      <string>${xml(hostname)} DNS over HTTPS</string>
+      <key>PayloadIdentifier</key>
+      <string>${xml(identifier)}.dns-settings</string>
+      <key>PayloadType</key>
+      <string>com.apple.dnsSettings.managed</string>
+      <key>PayloadUUID</key>
+      <string>${payloadUuid}</string>
+      <key>PayloadVersion</key>
+      <integer>1</integer>
+    </dict>
+  </array>
+  <key>PayloadDescription</key>
+  <string>Encrypts DNS queries to ${xml(hostname)}</string>
+  <key>PayloadDisplayName</key>
+  <string>${xml(hostname)}</string>
+  <key>PayloadIdentifier</key>
+  <string>${xml(identifier)}</string>
+  <key>PayloadType</key>
+  <string>Configuration</string>
+  <key>PayloadUUID</key>
+  <string>${profileUuid}</string>
+  <key>PayloadVersion</key>
+  <integer>1</integer>
+</dict>
+</plist>
+`
+}
+
+// JSON description of the resolver: where to reach it and what it does to queries
+export function describeResolver(origin, features) {
+  const { endpoints } = features
+  const { host, hostname } = new URL(origin)
+  const url = (path) => `${origin}${path}`
+  return {
+    host,
+    endpoints: {
+      doh: { url: url(endpoints.doh), methods: ['GET', 'POST'], contentType: 'application/dns-message' },
+      ...(endpoints.json ? { json: { url: url(endpoints.json), methods: ['GET'], contentType: 'application/dns-json' } } : {}),
+      ...(endpoints.odohProxy ? { odohProxy: { url: url(endpoints.doh), methods: ['POST'], contentType: 'application/oblivious-dns-message' } } : {}),
+      ...(endpoints.odohConfigs ? { odohTarget: { url: url(endpoints.doh), configs: url(endpoints.odohConfigs) } } : {}),
+      ...(endpoints.dot ? { dot: { host: hostname, port: endpoints.dot } } : {}),
+      ...(endpoints.dns ? { dns: { port: endpoints.dns, transports: ['udp', 'tcp'] } } : {}),
+    },
+    stamp: dnsStamp(origin, features),
+    mobileconfig: url(MOBILECONFIG_PATH),
+    features: {
+      ecs: features.ecs,
+      padding: features.padding,
+      filtering: features.filtering,
+      localZones: features.localZones,
+      dnssecValidation: features.dnssec,
+      dns64: features.dns64,
+      ttl: features.ttl,
+      cache: features.cache,
+      serveStale: features.serveStale,
+      rateLimit: features.rateLimit,
+      queryLog: features.queryLog,
+    },
+  }
+}
+
+// Name-based UUID, version 8 (RFC 9562 §5.8) over SHA-256
+async function nameUuid(name) {
+  const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(name))).slice(0, 16)
+  hash[6] = (hash[6] & 0x0f) | 0x80
+  hash[8] = (hash[8] & 0x3f) | 0x80
+  const hex = Array.from(hash, (b) => b.toString(16).padStart(2, '0')).join('')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`.toUpperCase()
+}
+
+// Length-prefixed string of the stamp format
+function lp(text) {
+  const bytes = encoder.encode(text)
+  return concatBytes(new Uint8Array([bytes.length]), bytes)
+}
+
+function base64url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function xml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
@@ -0,0 +1,27 @@
+// DNS RR type mnemonics <-> codes
+// Pure Web APIs; shared by the edge function and the Node server.
+
+export const QTYPES = {
+  A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, HINFO: 13, MX: 15, TXT: 16,
+  AAAA: 28, SRV: 33, NAPTR: 35, DS: 43, RRSIG: 46, NSEC: 47, DNSKEY: 48,
+  NSEC3: 50, TLSA: 52, SVCB: 64, HTTPS: 65, ANY: 255, CAA: 257,
+}
+
+const NAMES = Object.fromEntries(Object.entries(QTYPES).map(([k, v]) => [v, k]))
+
+// 'AAAA' | 'TYPE28' | '28' | 28 -> 28; unknown -> null
+export function qtypeCode(t) {
+  if (typeof t === 'number') return t
+  const s = String(t).toUpperCase()
+  if (QTYPES[s] != null) return QTYPES[s]
+  if (/^\d+$/.test(s)) return Number(s)
+  const m = /^TYPE(\d+)$/.exec(s)
+  return m ? Number(m[1]) : null
+}
+
+// 28 | 'aaaa' -> 'AAAA'; unknown codes -> 'TYPE<n>' (RFC 3597)
+export function qtypeName(t) {
+  const code = qtypeCode(t)
+  if (code == null) return null
+  return NAMES[code] || `TYPE${code}`
+}
@@ -0,0 +1,132 @@
+// Structured query log: one NDJSON line per answered query
+// Pure Web APIs (WebCrypto for HMAC); shared by the edge function and the Node server.
+//
+// Client addresses never reach the sink raw. ipMode picks how they appear:
+//   truncate  the ECS-sized network, e.g. "203.0.113.0/24" (default)
+//   hmac      HMAC-SHA256 of the address under a key that rotates every keyRotateMs,
+//             so one client is linkable within a window but not across windows
+//   drop      the field is omitted
+// The ECS subnet sent upstream is treated the same way: cut to the same prefix lengths
+// (a client may have supplied a /32 or /128 under ECS_POLICY honor or clamp), then kept,
+// replaced by its HMAC or omitted.
+// Entries are sampled with probability sampleRate before any work is done.
+
+import { truncateAddress } from './client-ip.js'
+import { qtypeName } from './qtypes.js'
+
+export const IP_MODES = ['truncate', 'hmac', 'drop']
+
+export function normalizeIpMode(value) {
+  const mode = String(value || '').toLowerCase()
+  return IP_MODES.includes(mode) ? mode : 'truncate'
+}
+
+const encoder = new TextEncoder()
+
+export function createQueryLogger({
+  sink,
+  ipMode = 'truncate',
+  v4Prefix = 24,
+  v6Prefix = 56,
+  hmacSecret = '',
+  keyRotateMs = 86400000,
+  sampleRate = 1,
+  random = Math.random,
+} = {}) {
+  ipMode = normalizeIpMode(ipMode)
+  let keyPeriod = -1
+  let key = null
+
+  // With a secret every instance derives the same key per window; without one the
+  // key is random per instance and window
+  function periodKey(now) {
+    const period = Math.floor(now / keyRotateMs)
+    if (period !== keyPeriod) {
+      keyPeriod = period
+      key = (hmacSecret
+        ? hmac(importKey(encoder.encode(hmacSecret)), String(period))
+        : Promise.resolve(crypto.getRandomValues(new Uint8Array(32))))
+        .then((raw) => importKey(raw))
+    }
+    return key
+  }
+
+  async function anonymize(ip, now) {
+    if (!ip) return null
+    if (ipMode === 'truncate') return truncateAddress(ip, v4Prefix, v6Prefix) || null
+    return token(ip, now)
+  }
+
+  // "ip/prefix" as sent upstream, at most v4Prefix / v6Prefix bits of it
+  async function anonymizeSubnet(subnet, now) {
+    const [ip, prefix] = String(subnet).split('/')
+    const bits = Number(prefix)
+    const network = truncateAddress(ip, Math.min(bits, v4Prefix), Math.min(bits, v6Prefix)) || null
+    return ipMode === 'truncate' || !network ? network : token(network, now)
+  }
+
+  async function token(text, now) {
+    const mac = await hmac(periodKey(now), text)
+    return base64url(mac.subarray(0, 12))
+  }
+
+  return {
+    // entry.client is the raw client address and entry.ecs the subnet sent upstream;
+    // everything else is logged as given
+    async log(entry) {
+      if (!sink || !(sampleRate >= 1 || random() < sampleRate)) return
+      const { client, ts = Date.now(), ...rest } = entry
+      const line = { ts: new Date(ts).toISOString(), ...rest }
+      if (ipMode === 'drop') delete line.ecs
+      else if (line.ecs) line.ecs = await anonymizeSubnet(line.ecs, ts)
+      if (ipMode !== 'drop') line.client = await anonymize(client, ts)
+      try {
+        await sink(JSON.stringify(line), line)
+      } catch {}
+    },
+  }
+}
+
+const RCODE_NAMES = ['NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED', 'YXDOMAIN', 'YXRRSET', 'NXRRSET', 'NOTAUTH', 'NOTZONE']
+
+// meta, as collected while answering: { question: { name, type }, client: { ip, source },
+// upstream ('local' | 'blocked' | 'cache' | URL), wire (answer sent), ecs, ecsScope,
+// ecsAction, dnssec ('secure' | 'insecure' | 'bogus' | 'indeterminate'), transport
+// ('https' | 'udp' | 'tcp' | 'tls'; Node only), error }. rcode and answer count are read from the wire answer.
+export function queryLogEntry(meta, status, started) {
+  const wire = meta.wire && meta.wire.length >= 12 ? meta.wire : null
+  const rcode = wire ? wire[3] & 0x0f : null
+  return {
+    ts: started,
+    qname: meta.question.name,
+    qtype: qtypeName(meta.question.type) || String(meta.question.type),
+    rcode: rcode == null ? null : RCODE_NAMES[rcode] || `RCODE${rcode}`,
+    status,
+    upstream: meta.upstream || null,
+    latencyMs: Date.now() - started,
+    answers: wire ? (wire[6] << 8) | wire[7] : 0,
+    ecs: meta.ecs || null,
+    ecsScope: meta.ecsScope ?? null,
+    ecsAction: meta.ecsAction || null,
+    ipSource: meta.client ? meta.client.source : null,
+    client: meta.client ? meta.client.ip : '',
+    ...(meta.dnssec ? { dnssec: meta.dnssec } : {}),
+    ...(meta.dns64 ? { dns64: true } : {}),
+    ...(meta.transport ? { transport: meta.transport } : {}),
+    ...(meta.error ? { error: meta.error } : {}),
+  }
+}
+
+function importKey(raw) {
+  return crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+}
+
+async function hmac(keyPromise, text) {
+  return new Uint8Array(await crypto.subtle.sign('HMAC', await keyPromise, encoder.encode(text)))
+}
+
+function base64url(bytes) {
+  let bin = ''
+  for (const b of bytes) bin += String.fromCharCode(b)
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
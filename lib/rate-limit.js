@@ -0,0 +1,56 @@
+// Token-bucket rate limiting per client subnet
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// Clients are bucketed by the same network ECS would reveal (ECS_V4_PREFIX /
+// ECS_V6_PREFIX), so one abusive host cannot dodge the limit by rotating through
+// its own /64, and hosts behind one NAT share a budget. Each bucket holds up to
+// `burst` tokens and refills at `rate` tokens per second; a query costs one.
+//
+// The store is pluggable. A store is any object with
+//   take(key, { rate, burst, now }) -> boolean | Promise<boolean>
+// that atomically refills the bucket for `key`, takes one token if available and
+// reports whether it did. The built-in memory store is per process (per isolate on
+// the edge); a shared store (e.g. Redis) lets several Node instances enforce one limit.
+
+import { cidrListContains, truncateAddress } from './client-ip.js'
+
+export function createMemoryStore({ maxKeys = 100000 } = {}) {
+  // LRU: Map keeps insertion order, re-inserted on use
+  const buckets = new Map()
+  return {
+    take(key, { rate, burst, now }) {
+      const b = buckets.get(key)
+      let tokens = burst
+      if (b) {
+        tokens = Math.min(burst, b.tokens + ((now - b.last) / 1000) * rate)
+        buckets.delete(key)
+      }
+      const allowed = tokens >= 1
+      buckets.set(key, { tokens: allowed ? tokens - 1 : tokens, last: now })
+      while (buckets.size > maxKeys) buckets.delete(buckets.keys().next().value)
+      return allowed
+    },
+  }
+}
+
+// rate: tokens per second (0 disables limiting); burst: bucket size (defaults to rate)
+// exempt: parseCidrList() result of clients that are never limited
+export function createRateLimiter({ rate = 0, burst = 0, v4Prefix = 24, v6Prefix = 56, exempt = [], store = null, now = Date.now }) {
+  burst = burst > 0 ? burst : Math.max(1, rate)
+  store = store || createMemoryStore()
+  return {
+    enabled: rate > 0,
+    // Returns { limited, key }. Clients without a usable address are not limited, and
+    // a failing store lets the query through rather than taking the service down.
+    async check(ip) {
+      if (!(rate > 0) || !ip || cidrListContains(exempt, ip)) return { limited: false, key: null }
+      const key = truncateAddress(ip, v4Prefix, v6Prefix)
+      if (!key) return { limited: false, key: null }
+      try {
+        return { limited: !(await store.take(key, { rate, burst, now: now() })), key }
+      } catch {
+        return { limited: false, key }
+      }
+    },
+  }
+}
@@ -0,0 +1,194 @@
+// Response rewriting policies, applied to answers on their way to the client
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+//   - TTL clamping: every TTL except OPT's raised to minTtl and lowered to maxTtl
+//   - AAAA filtering (like Unbound's and BIND's filter-aaaa): AAAA records, and the
+//     RRSIGs over them, dropped from answers to clients in filterAaaaClients or to
+//     questions at or under filterAaaaDomains. Skipped when the client set DO: it would
+//     take the hole in a signed answer for an attack.
+//   - stripOptions: EDNS options removed from the answer's OPT record
+//   - rules, one per line or comma: 'name TYPE value' with TYPE A or AAAA replaces the
+//     addresses of name with every listed value, CNAME gives name a new target (the
+//     records after it in the chain are renamed to match). '*.example.com' matches every
+//     name under example.com. Rewritten data is not what was signed, so AD is cleared.
+//
+// The cache keeps answers as the upstream sent them; rewriting happens per response.
+
+import { cidrListContains, parseCidrList } from './client-ip.js'
+import {
+  TYPE_A, TYPE_AAAA, TYPE_CNAME, TYPE_OPT, TYPE_RRSIG,
+  buildMessage, concatBytes, encodeName, encodeRecord, expandRdata, nameText, readU16, walkMessage, writeU32,
+} from './wire.js'
+
+// Names accepted besides numeric option codes
+const OPTION_CODES = { nsid: 3, ecs: 8, cookie: 10, padding: 12, ede: 15 }
+const RULE_TYPES = { A: TYPE_A, AAAA: TYPE_AAAA, CNAME: TYPE_CNAME }
+
+// 'a.example A 10.0.0.1, *.b.example CNAME c.example' -> [{ name, wildcard, type, data }];
+// throws on malformed rules
+export function parseRewriteRules(text) {
+  return String(text || '')
+    .split(/[\n,]+/)
+    .map((line) => line.replace(/[#;].*$/, '').trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [owner, typeName, value, ...rest] = line.split(/\s+/)
+      const type = RULE_TYPES[String(typeName).toUpperCase()]
+      if (!type || !value || rest.length) throw new Error(`invalid rewrite rule "${line}": expected "name A|AAAA|CNAME value"`)
+      const wildcard = owner.startsWith('*.')
+      const name = owner.replace(/^\*\./, '').replace(/\.$/, '').toLowerCase()
+      let data
+      if (type === TYPE_CNAME) {
+        data = encodeName(value)
+      } else {
+        const ip = value.includes('/') ? null : parseCidrList(value)[0]
+        if (!ip || ip.family !== (type === TYPE_A ? 1 : 2)) throw new Error(`invalid rewrite rule "${line}": ${value} is not an ${typeName.toUpperCase()} address`)
+        data = ip.bytes
+      }
+      return { name, wildcard, type, data }
+    })
+}
+
+// 'ecs, nsid, 65001' -> Set of option codes
+export function parseOptionCodes(text) {
+  return new Set(String(text || '').split(/[\s,]+/).filter(Boolean).map((v) => {
+    const code = v.toLowerCase() in OPTION_CODES ? OPTION_CODES[v.toLowerCase()] : Number(v)
+    if (!Number.isInteger(code) || code < 0 || code > 65535) throw new Error(`invalid EDNS option ${v}`)
+    return code
+  }))
+}
+
+export function createResponseRewriter({
+  minTtl = 0,
+  maxTtl = 0,
+  filterAaaaClients = '',
+  filterAaaaDomains = '',
+  stripOptions = '',
+  rules = '',
+} = {}) {
+  const aaaaClients = parseCidrList(filterAaaaClients)
+  const aaaaDomains = String(filterAaaaDomains || '').split(/[\s,]+/).filter(Boolean).map((d) => d.replace(/\.$/, '').toLowerCase())
+  const strip = parseOptionCodes(stripOptions)
+  const ruleList = parseRewriteRules(rules)
+  const active = minTtl > 0 || maxTtl > 0 || aaaaClients.length > 0 || aaaaDomains.length > 0 || strip.size > 0 || ruleList.length > 0
+
+  function clampTtl(ttl) {
+    if (minTtl > 0 && ttl < minTtl) ttl = minTtl
+    if (maxTtl > 0 && ttl > maxTtl) ttl = maxTtl
+    return ttl
+  }
+
+  function matchRules(owner, type) {
+    return ruleList.filter((r) => r.type === type && (r.wildcard ? owner.endsWith(`.${r.name}`) : owner === r.name))
+  }
+
+  return {
+    active,
+
+    // answer: wire answer to query (the client's own query, for its DO bit); clientIp:
+    // who asked. Returns { wire, perClient }; perClient means the result depends on the
+    // client (or lost the ECS scope saying so) and must not be shared between clients.
+    rewrite(answer, { query, clientIp = '' }) {
+      if (!active) return { wire: answer, perClient: false }
+      let msg
+      try {
+        msg = walkMessage(answer)
+      } catch {
+        return { wire: answer, perClient: false }
+      }
+      const qname = msg.question ? nameText(msg.question.name) : ''
+      const byClient = aaaaClients.length > 0 && cidrListContains(aaaaClients, clientIp)
+      const byDomain = aaaaDomains.some((d) => qname === d || qname.endsWith(`.${d}`))
+      const filterAaaa = (byClient || byDomain) && !dnssecOk(query)
+
+      let structural = false
+      let dataRewritten = false
+      let perClient = false
+      const renames = new Map()
+      const replaced = new Set()
+      const sections = [[], [], []]
+      for (const r of msg.records) {
+        let owner = r.owner
+        const ownerText = nameText(owner)
+        if (r.section === 0 && renames.has(ownerText)) {
+          owner = renames.get(ownerText)
+          structural = true
+        }
+        const covered = r.type === TYPE_RRSIG && r.rdlen >= 2 ? readU16(answer, r.rdataStart) : 0
+        if (filterAaaa && r.section !== 1 && (r.type === TYPE_AAAA || covered === TYPE_AAAA)) {
+          structural = true
+          if (byClient) perClient = true
+          continue
+        }
+        if (r.section === 0 && (r.type === TYPE_A || r.type === TYPE_AAAA || r.type === TYPE_CNAME)) {
+          const matched = matchRules(nameText(owner), r.type)
+          if (matched.length) {
+            structural = dataRewritten = true
+            // The whole RRset is replaced at its first record
+            const key = `${nameText(owner)}/${r.type}`
+            if (replaced.has(key)) continue
+            replaced.add(key)
+            if (r.type === TYPE_CNAME) {
+              const target = matched[0].data
+              renames.set(nameText(expandRdata(answer, r)), target)
+              sections[0].push(encodeRecord(owner, r.type, r.klass, clampTtl(r.ttl), target))
+            } else {
+              for (const m of matched) sections[0].push(encodeRecord(owner, r.type, r.klass, clampTtl(r.ttl), m.data))
+            }
+            continue
+          }
+        }
+        if (covered && r.section === 0 && matchRules(nameText(owner), covered).length) {
+          // Signatures over rewritten data would only fail validation
+          structural = true
+          continue
+        }
+        if (r.type === TYPE_OPT) {
+          const options = optionList(answer, r)
+          const kept = options.filter((o) => !strip.has(o.code))
+          if (kept.length !== options.length) {
+            structural = true
+            const ecs = options.find((o) => o.code === 8 && strip.has(8))
+            if (ecs && ecs.bytes.length >= 8 && ecs.bytes[7] > 0) perClient = true
+          }
+          sections[2].push(encodeRecord(owner, r.type, r.klass, r.ttl, concatBytes(...kept.map((o) => o.bytes))))
+          continue
+        }
+        sections[r.section].push(encodeRecord(owner, r.type, r.klass, clampTtl(r.ttl), expandRdata(answer, r)))
+      }
+
+      if (!structural) {
+        // Only TTLs change: edit in place and keep the upstream's name compression
+        const out = new Uint8Array(answer)
+        for (const r of msg.records) if (r.type !== TYPE_OPT) writeU32(out, r.ttlOffset, clampTtl(r.ttl))
+        return { wire: out, perClient: false }
+      }
+      const header = new Uint8Array(answer.subarray(0, 12))
+      if (dataRewritten) header[3] &= ~0x20
+      const question = msg.question ? answer.subarray(12, msg.question.end) : new Uint8Array(0)
+      return { wire: buildMessage(header, question, sections), perClient }
+    },
+  }
+}
+
+// EDNS options of an OPT record as { code, bytes }, bytes being the whole TLV
+function optionList(buf, r) {
+  const options = []
+  const end = r.rdataStart + r.rdlen
+  for (let p = r.rdataStart; p + 4 <= end;) {
+    const next = p + 4 + readU16(buf, p + 2)
+    if (next > end) break
+    options.push({ code: readU16(buf, p), bytes: buf.subarray(p, next) })
+    p = next
+  }
+  return options
+}
+
+function dnssecOk(query) {
+  try {
+    const opt = walkMessage(query).records.find((r) => r.type === TYPE_OPT)
+    return !!(opt && opt.ttl & 0x8000)
+  } catch {
+    return false
+  }
+}
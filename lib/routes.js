@@ -0,0 +1,51 @@
+// Conditional forwarding: map qname suffixes (and optionally qtypes) to upstreams
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// Table format (JSON array), most specific suffix wins:
+//   [
+//     { "suffix": "corp.example", "upstream": "https://10.0.0.53/dns-query", "ecs": false },
+//     { "suffix": "svc.cluster.local", "qtypes": ["A", "AAAA", "SRV"], "upstream": ["https://a/dns-query", "https://b/dns-query"], "ecs": false },
+//     { "suffix": "example.net", "ecs": false }
+//   ]
+// "upstream" is optional (defaults to UPSTREAM_DOH); "ecs": false disables ECS
+// injection and strips any client-supplied subnet for that route.
+
+import { parseUpstreamList } from './upstreams.js'
+import { qtypeCode } from './qtypes.js'
+
+export function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/\.$/, '')
+}
+
+// Accepts a JSON string or an already parsed array; throws on malformed tables
+export function parseRoutes(value) {
+  if (!value) return []
+  const list = typeof value === 'string' ? JSON.parse(value) : value
+  if (!Array.isArray(list)) throw new Error('routes must be a JSON array')
+  return list.map((r, i) => {
+    if (!r || typeof r.suffix !== 'string') throw new Error(`route ${i}: missing suffix`)
+    const qtypes = r.qtypes ? r.qtypes.map(qtypeCode) : null
+    if (qtypes && qtypes.some((t) => t == null)) throw new Error(`route ${i}: unknown qtype`)
+    const upstreams = Array.isArray(r.upstream) ? r.upstream.flatMap(parseUpstreamList) : parseUpstreamList(r.upstream)
+    return {
+      id: i,
+      suffix: normalizeName(r.suffix),
+      qtypes,
+      upstreams: upstreams.length ? upstreams : null,
+      ecs: r.ecs !== false,
+    }
+  })
+}
+
+// Longest matching suffix; '' (or '.') matches every name
+export function matchRoute(routes, qname, qtype) {
+  const name = normalizeName(qname)
+  const code = qtypeCode(qtype)
+  let best = null
+  for (const r of routes) {
+    if (r.suffix && name !== r.suffix && !name.endsWith(`.${r.suffix}`)) continue
+    if (r.qtypes && !r.qtypes.includes(code)) continue
+    if (!best || r.suffix.length > best.suffix.length) best = r
+  }
+  return best
+}
@@ -0,0 +1,192 @@
+// Upstream pool: per-attempt deadlines, health-based ejection and selection strategies
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// Strategies:
+//   failover  try upstreams in configured order
+//   race      query the first two candidates at once, first success wins
+//   ewma      pick by inverse EWMA latency (weighted random), then fail over by latency
+
+export const STRATEGIES = ['failover', 'race', 'ewma']
+
+// "https://a/dns-query, https://b/dns-query" -> ['https://a/dns-query', 'https://b/dns-query']
+export function parseUpstreamList(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+}
+
+export function createUpstreamPool(urls, {
+  strategy = 'failover',
+  timeoutMs = 2000,
+  ejectAfter = 3,
+  ejectMs = 30000,
+  ewmaAlpha = 0.3,
+} = {}) {
+  if (!STRATEGIES.includes(strategy)) strategy = 'failover'
+  const members = urls.map((url, index) => ({
+    url,
+    index,
+    ewma: null,
+    failures: 0,
+    ejectedUntil: 0,
+    ejections: 0,
+  }))
+
+  function healthy(m, now) {
+    return m.ejectedUntil <= now
+  }
+
+  function recordSuccess(m, elapsed) {
+    m.ewma = m.ewma == null ? elapsed : m.ewma + ewmaAlpha * (elapsed - m.ewma)
+    m.failures = 0
+    m.ejections = 0
+  }
+
+  function recordFailure(m, elapsed, now) {
+    // Failures count as slow, so ewma steers away before ejection kicks in
+    const penalty = Math.max(elapsed, timeoutMs)
+    m.ewma = m.ewma == null ? penalty : m.ewma + ewmaAlpha * (penalty - m.ewma)
+    m.failures++
+    if (m.failures >= ejectAfter) {
+      // Back off exponentially while the upstream keeps failing its probe
+      m.ejectedUntil = now + ejectMs * 2 ** Math.min(m.ejections, 5)
+      m.ejections++
+      m.failures = 0
+    }
+  }
+
+  function ordered(now) {
+    const up = members.filter((m) => healthy(m, now))
+    // Everything ejected: still try, soonest-to-recover first
+    const down = members
+      .filter((m) => !healthy(m, now))
+      .sort((a, b) => a.ejectedUntil - b.ejectedUntil)
+    if (strategy !== 'ewma') return [...up, ...down]
+    // Unmeasured upstreams get probed first
+    const byLatency = up.slice().sort((a, b) => (a.ewma ?? -1) - (b.ewma ?? -1))
+    const first = weightedPick(byLatency)
+    return [...(first ? [first] : []), ...byLatency.filter((m) => m !== first), ...down]
+  }
+
+  async function attemptOne(m, attempt, outerSignal) {
+    const ctrl = new AbortController()
+    const onAbort = () => ctrl.abort(outerSignal.reason)
+    if (outerSignal) outerSignal.addEventListener('abort', onAbort, { once: true })
+    const timer = setTimeout(() => ctrl.abort(timeoutError(`upstream ${m.url} timeout after ${timeoutMs}ms`)), timeoutMs)
+    const start = Date.now()
+    try {
+      const result = await attempt(m.url, ctrl.signal)
+      if (result && result.ok === false) {
+        recordFailure(m, Date.now() - start, Date.now())
+        return { result, failed: true }
+      }
+      recordSuccess(m, Date.now() - start)
+      return { result, failed: false }
+    } catch (err) {
+      // Lost a race: not the upstream's fault
+      if (!(outerSignal && outerSignal.aborted)) recordFailure(m, Date.now() - start, Date.now())
+      throw err
+    } finally {
+      clearTimeout(timer)
+      if (outerSignal) outerSignal.removeEventListener('abort', onAbort)
+    }
+  }
+
+  async function race(pair, attempt) {
+    const losers = new AbortController()
+    const settled = pair.map((m) => attemptOne(m, attempt, losers.signal)
+      .then((r) => ({ m, ...r }), (error) => ({ m, error })))
+    // First success wins; otherwise wait for both and report them in order
+    const winner = await new Promise((resolve) => {
+      let pending = settled.length
+      for (const p of settled) {
+        p.then((r) => {
+          if (!r.error && !r.failed) resolve(r)
+          else if (--pending === 0) resolve(null)
+        })
+      }
+    })
+    if (winner) {
+      losers.abort(new Error('lost race'))
+      return [winner]
+    }
+    return Promise.all(settled)
+  }
+
+  return {
+    // attempt(url, signal) resolves with a result; a result with ok === false or a
+    // thrown error counts as an upstream failure and moves on to the next upstream.
+    // Resolves { result, upstream }; when every upstream failed, the last failed
+    // result is returned if there is one, otherwise the last error is thrown.
+    async exchange(attempt) {
+      const candidates = ordered(Date.now())
+      let lastErr = null
+      let lastFailed = null
+      let i = 0
+      while (i < candidates.length) {
+        const batch = strategy === 'race' && i === 0 ? candidates.slice(0, 2) : [candidates[i]]
+        i += batch.length
+        const outcomes = batch.length > 1
+          ? await race(batch, attempt)
+          : [await attemptOne(batch[0], attempt).then((r) => ({ m: batch[0], ...r }), (error) => ({ m: batch[0], error }))]
+        for (const o of outcomes) {
+          if (o.error) lastErr = o.error
+          else if (o.failed) lastFailed = { result: o.result, upstream: o.m.url }
+          else return { result: o.result, upstream: o.m.url }
+        }
+      }
+      if (lastFailed) return lastFailed
+      throw lastErr || new Error('no upstream configured')
+    },
+
+    stats() {
+      const now = Date.now()
+      return members.map((m) => ({
+        url: m.url,
+        healthy: healthy(m, now),
+        ewmaMs: m.ewma == null ? null : Math.round(m.ewma),
+        failures: m.failures,
+      }))
+    },
+  }
+}
+
+// RFC 8914 INFO-CODEs for queries no upstream answered
+export const EDE_NO_REACHABLE_AUTHORITY = 22
+export const EDE_NETWORK_ERROR = 23
+
+// Why exchange() produced no usable answer: `error` is what it threw, `result` the failed
+// result it returned. Gives an Extended DNS Error INFO-CODE with EXTRA-TEXT fit for the
+// client (no upstream URLs), and the full detail for logs. Timeouts are "No Reachable
+// Authority"; refused connections, TLS and HTTP errors and answers that are not usable
+// DNS messages are "Network Error".
+export function describeFailure({ error = null, result = null }) {
+  if (error) {
+    const detail = String((error && error.message) || error)
+    if (error && error.name === 'TimeoutError') return { infoCode: EDE_NO_REACHABLE_AUTHORITY, text: 'upstream timed out', detail }
+    return { infoCode: EDE_NETWORK_ERROR, text: 'upstream unreachable', detail }
+  }
+  if (result && result.error) return { infoCode: EDE_NETWORK_ERROR, text: 'invalid upstream answer', detail: result.error }
+  const text = `upstream returned HTTP ${result ? result.status : 'error'}`
+  return { infoCode: EDE_NETWORK_ERROR, text, detail: text }
+}
+
+function timeoutError(message) {
+  const err = new Error(message)
+  err.name = 'TimeoutError'
+  return err
+}
+
+function weightedPick(list) {
+  if (!list.length) return null
+  const unmeasured = list.find((m) => m.ewma == null)
+  if (unmeasured) return unmeasured
+  const weights = list.map((m) => 1 / Math.max(m.ewma, 1))
+  let r = Math.random() * weights.reduce((a, b) => a + b, 0)
+  for (let i = 0; i < list.length; i++) {
+    r -= weights[i]
+    if (r <= 0) return list[i]
+  }
+  return list[list.length - 1]
+}
@@ -0,0 +1,152 @@
+// DNS wire-format helpers for the lib modules that take answers apart and rebuild them
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// Rebuilt messages are written without name compression: names inside the records we
+// keep are expanded first, so dropping or resizing a record cannot leave a compression
+// pointer aimed at bytes that are gone.
+
+export const TYPE_A = 1
+export const TYPE_NS = 2
+export const TYPE_CNAME = 5
+export const TYPE_SOA = 6
+export const TYPE_PTR = 12
+export const TYPE_MX = 15
+export const TYPE_AAAA = 28
+export const TYPE_SRV = 33
+export const TYPE_DNAME = 39
+export const TYPE_OPT = 41
+export const TYPE_RRSIG = 46
+
+export function readU16(buf, off) {
+  if (off + 2 > buf.length) throw new Error('message truncated')
+  return (buf[off] << 8) | buf[off + 1]
+}
+
+export function readU32(buf, off) {
+  return readU16(buf, off) * 65536 + readU16(buf, off + 2)
+}
+
+export function writeU32(buf, off, value) {
+  buf.set([value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff], off)
+}
+
+// Name at off, decompressed into wire form; end is just past it at its original position.
+// Pointers must go strictly backwards, so a loop cannot occur.
+export function readName(buf, off) {
+  const parts = []
+  let o = off
+  let end = -1
+  let length = 1
+  for (;;) {
+    if (o >= buf.length) throw new Error('message truncated')
+    const len = buf[o]
+    if (len === 0) break
+    if ((len & 0xc0) === 0xc0) {
+      const target = readU16(buf, o) & 0x3fff
+      if (target >= o) throw new Error(`bad compression pointer at offset ${o}`)
+      if (end === -1) end = o + 2
+      o = target
+      continue
+    }
+    if (len & 0xc0 || o + 1 + len > buf.length) throw new Error(`bad label at offset ${o}`)
+    length += 1 + len
+    if (length > 255) throw new Error('name too long')
+    parts.push(buf.subarray(o, o + 1 + len))
+    o += 1 + len
+  }
+  return { wire: concatBytes(...parts, new Uint8Array(1)), end: end === -1 ? o + 1 : end }
+}
+
+// Wire name -> lower-case dotted text without the trailing dot ('' for the root)
+export function nameText(wire) {
+  const labels = []
+  for (let o = 0; wire[o]; o += wire[o] + 1) {
+    labels.push(String.fromCharCode(...wire.subarray(o + 1, o + 1 + wire[o])).toLowerCase())
+  }
+  return labels.join('.')
+}
+
+// 'www.example.com' -> wire name
+export function encodeName(text) {
+  const labels = String(text || '').replace(/\.$/, '').split('.').filter(Boolean)
+  return concatBytes(...labels.map((l) => {
+    const bytes = new TextEncoder().encode(l)
+    return concatBytes(new Uint8Array([bytes.length]), bytes)
+  }), new Uint8Array(1))
+}
+
+// First question and every record of a message; section: 0 answer, 1 authority,
+// 2 additional. Records carry their decompressed owner and where their fields sit.
+export function walkMessage(buf) {
+  const qd = readU16(buf, 4)
+  const counts = [readU16(buf, 6), readU16(buf, 8), readU16(buf, 10)]
+  let off = 12
+  let question = null
+  for (let i = 0; i < qd; i++) {
+    const { wire, end } = readName(buf, off)
+    if (!question) question = { name: wire, end: end + 4, type: readU16(buf, end), klass: readU16(buf, end + 2) }
+    off = end + 4
+  }
+  const records = []
+  for (let section = 0; section < 3; section++) {
+    for (let i = 0; i < counts[section]; i++) {
+      const start = off
+      const { wire, end } = readName(buf, off)
+      const rdlen = readU16(buf, end + 8)
+      if (end + 10 + rdlen > buf.length) throw new Error('message truncated')
+      records.push({ section, start, owner: wire, type: readU16(buf, end), klass: readU16(buf, end + 2), ttl: readU32(buf, end + 4), ttlOffset: end + 4, rdataStart: end + 10, rdlen })
+      off = end + 10 + rdlen
+    }
+  }
+  return { question, records }
+}
+
+// RDATA of a record with any names in it decompressed (RFC 3597 §4 lists the types that
+// may be compressed; SRV is included since some servers compress it anyway)
+export function expandRdata(buf, r) {
+  const rdata = buf.subarray(r.rdataStart, r.rdataStart + r.rdlen)
+  switch (r.type) {
+    case TYPE_NS:
+    case TYPE_CNAME:
+    case TYPE_PTR:
+    case TYPE_DNAME:
+      return readName(buf, r.rdataStart).wire
+    case TYPE_MX:
+      return concatBytes(rdata.subarray(0, 2), readName(buf, r.rdataStart + 2).wire)
+    case TYPE_SRV:
+      return concatBytes(rdata.subarray(0, 6), readName(buf, r.rdataStart + 6).wire)
+    case TYPE_SOA: {
+      const mname = readName(buf, r.rdataStart)
+      const rname = readName(buf, mname.end)
+      return concatBytes(mname.wire, rname.wire, buf.subarray(rname.end, rname.end + 20))
+    }
+  }
+  return rdata
+}
+
+export function encodeRecord(owner, type, klass, ttl, rdata) {
+  const fixed = new Uint8Array(10)
+  fixed.set([type >> 8, type & 0xff, klass >> 8, klass & 0xff])
+  writeU32(fixed, 4, ttl)
+  fixed.set([rdata.length >> 8, rdata.length & 0xff], 8)
+  return concatBytes(owner, fixed, rdata)
+}
+
+// Message from a 12-byte header (counts are filled in), the question section bytes and
+// the encoded records of each section
+export function buildMessage(header, question, sections) {
+  const out = new Uint8Array(header.subarray(0, 12))
+  out.set([0, question.length ? 1 : 0], 4)
+  sections.forEach((list, i) => out.set([list.length >> 8, list.length & 0xff], 6 + i * 2))
+  return concatBytes(out, question, ...sections.flat())
+}
+
+export function concatBytes(...arrays) {
+  const out = new Uint8Array(arrays.reduce((n, a) => n + a.length, 0))
+  let off = 0
+  for (const a of arrays) {
+    out.set(a, off)
+    off += a.length
+  }
+  return out
+}
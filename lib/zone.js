@@ -0,0 +1,348 @@
+// Local authoritative zones from RFC 1035 master files
+// Pure Web APIs; shared by the edge function and the Node server.
+//
+// Supported: $ORIGIN, $TTL, '@', relative names, blank owners, ( ) continuation,
+// ';' comments, quoted strings, BIND TTL units (1h30m), and the types
+// A AAAA CNAME PTR NS MX TXT SRV SOA. Record data uses the same shapes as
+// dns-packet, so the Node server can encode records directly:
+//   A/AAAA '1.2.3.4'   CNAME/PTR/NS 'target.example'   TXT ['str', ...]
+//   MX { preference, exchange }   SRV { priority, weight, port, target }
+//   SOA { mname, rname, serial, refresh, retry, expire, minimum }
+//
+// Each SOA owner is a zone apex. Records outside every SOA-declared zone get an
+// implicit zone rooted at their $ORIGIN (or their own name when there is none),
+// with a synthesized SOA, so a file of a few overrides only claims those names.
+
+import { parseCidrList } from './client-ip.js'
+import { qtypeName } from './qtypes.js'
+import { normalizeName } from './routes.js'
+
+const TYPES = new Set(['A', 'AAAA', 'CNAME', 'PTR', 'NS', 'MX', 'TXT', 'SRV', 'SOA'])
+const CLASSES = new Set(['IN', 'CH', 'HS', 'CS'])
+
+// Split master-file text into logical lines of tokens, honouring quotes,
+// comments and parentheses. Quoted tokens are tagged so TXT keeps them verbatim.
+function tokenize(text) {
+  const lines = []
+  let tokens = []
+  let blankOwner = false
+  let depth = 0
+  let lineNo = 1
+  let startLine = 1
+  let i = 0
+  const src = String(text || '')
+
+  function endLine() {
+    if (tokens.length) lines.push({ tokens, blankOwner, line: startLine })
+    tokens = []
+  }
+
+  while (i < src.length) {
+    const c = src[i]
+    if (c === '\n') {
+      lineNo++
+      i++
+      if (depth === 0) {
+        endLine()
+        startLine = lineNo
+        blankOwner = src[i] === ' ' || src[i] === '\t'
+      }
+      continue
+    }
+    if (c === ';') {
+      while (i < src.length && src[i] !== '\n') i++
+      continue
+    }
+    if (c === ' ' || c === '\t' || c === '\r') {
+      i++
+      continue
+    }
+    if (c === '(') {
+      depth++
+      i++
+      continue
+    }
+    if (c === ')') {
+      if (depth === 0) throw new Error(`zone line ${lineNo}: unbalanced ')'`)
+      depth--
+      i++
+      continue
+    }
+    if (c === '"') {
+      let s = ''
+      i++
+      while (i < src.length && src[i] !== '"') {
+        if (src[i] === '\\' && i + 1 < src.length) {
+          const dec = /^\d{3}/.exec(src.slice(i + 1, i + 4))
+          if (dec) {
+            s += String.fromCharCode(Number(dec[0]))
+            i += 4
+          } else {
+            s += src[i + 1]
+            i += 2
+          }
+          continue
+        }
+        if (src[i] === '\n') lineNo++
+        s += src[i++]
+      }
+      if (i >= src.length) throw new Error(`zone line ${lineNo}: unterminated string`)
+      i++
+      tokens.push({ value: s, quoted: true })
+      continue
+    }
+    let s = ''
+    while (i < src.length && !/[\s;()"]/.test(src[i])) s += src[i++]
+    tokens.push({ value: s, quoted: false })
+  }
+  if (depth !== 0) throw new Error(`zone line ${lineNo}: unbalanced '('`)
+  endLine()
+  return lines
+}
+
+// '1h30m' -> 5400; plain seconds pass through; null if not a TTL
+export function parseTtl(s) {
+  if (/^\d+$/.test(s)) return Number(s)
+  const m = String(s).toLowerCase().match(/^(\d+[smhdw])+$/)
+  if (!m) return null
+  const units = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 }
+  let total = 0
+  for (const [, n, u] of String(s).toLowerCase().matchAll(/(\d+)([smhdw])/g)) total += Number(n) * units[u]
+  return total
+}
+
+function absolute(name, origin) {
+  if (name === '@') return origin
+  if (name.endsWith('.')) return normalizeName(name)
+  return normalizeName(origin ? `${name}.${origin}` : name)
+}
+
+function rdataFor(type, args, origin, line) {
+  const need = (n) => {
+    if (args.length < n) throw new Error(`zone line ${line}: ${type} needs ${n} fields`)
+  }
+  const num = (s, what) => {
+    const v = parseTtl(s)
+    if (v == null) throw new Error(`zone line ${line}: bad ${what} '${s}'`)
+    return v
+  }
+  const v = args.map((t) => t.value)
+  switch (type) {
+    case 'A':
+      need(1)
+      if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(v[0]) || v[0].split('.').some((x) => Number(x) > 255)) {
+        throw new Error(`zone line ${line}: bad IPv4 address '${v[0]}'`)
+      }
+      return v[0]
+    case 'AAAA':
+      need(1)
+      if (!isIPv6(v[0])) throw new Error(`zone line ${line}: bad IPv6 address '${v[0]}'`)
+      return v[0].toLowerCase()
+    case 'CNAME':
+    case 'PTR':
+    case 'NS':
+      need(1)
+      return absolute(v[0], origin)
+    case 'MX':
+      need(2)
+      return { preference: num(v[0], 'preference'), exchange: absolute(v[1], origin) }
+    case 'TXT':
+      need(1)
+      return v
+    case 'SRV':
+      need(4)
+      return { priority: num(v[0], 'priority'), weight: num(v[1], 'weight'), port: num(v[2], 'port'), target: absolute(v[3], origin) }
+    case 'SOA':
+      need(7)
+      return {
+        mname: absolute(v[0], origin),
+        rname: absolute(v[1], origin),
+        serial: num(v[2], 'serial'),
+        refresh: num(v[3], 'refresh'),
+        retry: num(v[4], 'retry'),
+        expire: num(v[5], 'expire'),
+        minimum: num(v[6], 'minimum'),
+      }
+  }
+  throw new Error(`zone line ${line}: unsupported type ${type}`)
+}
+
+// Through the same parser as the wire encoders, so a record that loads also encodes
+function isIPv6(text) {
+  // parseCidrList takes lists and prefixes; a record holds one bare address
+  if (/[/,\s]/.test(text)) return false
+  try {
+    return parseCidrList(text)[0].family === 2
+  } catch {
+    return false
+  }
+}
+
+// Parse master-file text into records { name, type, class, ttl, data }. Each
+// record also carries `origin`, the $ORIGIN in effect, used for implicit zones.
+export function parseZone(text, { origin = '', defaultTtl = 3600 } = {}) {
+  let currentOrigin = normalizeName(origin)
+  let ttlDefault = null
+  let lastOwner = null
+  let lastTtl = null
+  const records = []
+
+  for (const { tokens, blankOwner, line } of tokenize(text)) {
+    const first = tokens[0].value
+    if (!tokens[0].quoted && first.startsWith('$')) {
+      const directive = first.toUpperCase()
+      if (directive === '$ORIGIN') {
+        if (!tokens[1]) throw new Error(`zone line ${line}: $ORIGIN needs a name`)
+        currentOrigin = absolute(tokens[1].value, currentOrigin)
+      } else if (directive === '$TTL') {
+        ttlDefault = tokens[1] ? parseTtl(tokens[1].value) : null
+        if (ttlDefault == null) throw new Error(`zone line ${line}: bad $TTL`)
+      } else {
+        throw new Error(`zone line ${line}: unsupported directive ${first}`)
+      }
+      continue
+    }
+
+    let idx = 0
+    let owner
+    if (blankOwner) {
+      if (lastOwner == null) throw new Error(`zone line ${line}: no previous owner name`)
+      owner = lastOwner
+    } else {
+      owner = absolute(tokens[idx++].value, currentOrigin)
+    }
+
+    // [ttl] [class] type, in either order
+    let ttl = null
+    let type = null
+    while (idx < tokens.length && type == null) {
+      const t = tokens[idx++].value
+      const up = t.toUpperCase()
+      if (TYPES.has(up)) type = up
+      else if (CLASSES.has(up)) {
+        if (up !== 'IN') throw new Error(`zone line ${line}: only class IN is supported`)
+      } else if (ttl == null && parseTtl(t) != null) ttl = parseTtl(t)
+      else throw new Error(`zone line ${line}: unknown type '${t}'`)
+    }
+    if (!type) throw new Error(`zone line ${line}: missing type`)
+
+    const data = rdataFor(type, tokens.slice(idx), currentOrigin, line)
+    if (ttl == null) ttl = ttlDefault != null ? ttlDefault : (lastTtl != null ? lastTtl : (type === 'SOA' ? data.minimum : defaultTtl))
+    lastOwner = owner
+    lastTtl = ttl
+    records.push({ name: owner, type, class: 'IN', ttl, data, origin: currentOrigin })
+  }
+  return records
+}
+
+function isAtOrBelow(name, apex) {
+  return !apex || name === apex || name.endsWith(`.${apex}`)
+}
+
+function syntheticSoa(apex, ttl) {
+  return {
+    name: apex,
+    type: 'SOA',
+    class: 'IN',
+    ttl,
+    data: { mname: apex || '.', rname: `hostmaster.${apex}`.replace(/\.$/, ''), serial: 1, refresh: 3600, retry: 600, expire: 86400, minimum: ttl },
+  }
+}
+
+function strip({ origin, ...rec }) {
+  return rec
+}
+
+// Authoritative lookups over one or more parsed zones
+export function createZoneSet(records, { negativeTtl = 300 } = {}) {
+  const zones = new Map()
+  for (const r of records) {
+    if (r.type === 'SOA' && !zones.has(r.name)) zones.set(r.name, { apex: r.name, soa: strip(r) })
+  }
+  // Implicit zones for records outside every SOA-declared zone, shortest first so
+  // a nested owner lands in its parent's implicit zone
+  const orphans = records
+    .filter((r) => ![...zones.keys()].some((apex) => isAtOrBelow(r.name, apex)))
+    .map((r) => (isAtOrBelow(r.name, r.origin) && r.origin ? r.origin : r.name))
+    .sort((a, b) => a.length - b.length)
+  for (const apex of orphans) {
+    if ([...zones.keys()].some((z) => isAtOrBelow(apex, z))) continue
+    zones.set(apex, { apex, soa: syntheticSoa(apex, negativeTtl) })
+  }
+
+  const byName = new Map()
+  for (const r of records) {
+    if (!byName.has(r.name)) byName.set(r.name, [])
+    byName.get(r.name).push(strip(r))
+  }
+  for (const z of zones.values()) if (!byName.has(z.apex)) byName.set(z.apex, [z.soa])
+
+  function zoneFor(name) {
+    let best = null
+    for (const z of zones.values()) {
+      if (isAtOrBelow(name, z.apex) && (!best || z.apex.length > best.apex.length)) best = z
+    }
+    return best
+  }
+
+  function negativeSoa(zone) {
+    const soa = zone.soa
+    return { ...soa, ttl: Math.min(soa.ttl, soa.data.minimum) }
+  }
+
+  // Owner or empty non-terminal
+  function exists(name) {
+    if (byName.has(name)) return true
+    for (const n of byName.keys()) if (n.endsWith(`.${name}`)) return true
+    return false
+  }
+
+  // Records at `name` ([] for an empty non-terminal), or synthesized from the
+  // wildcard at the closest encloser (RFC 4592); null if the name does not exist
+  function recordsAt(name, zone) {
+    if (exists(name)) return byName.get(name) || []
+    let parent = name
+    while (parent !== zone.apex && parent.includes('.')) {
+      parent = parent.slice(parent.indexOf('.') + 1)
+      if (!exists(parent)) continue
+      const wild = byName.get(`*.${parent}`)
+      return wild ? wild.map((r) => ({ ...r, name })) : null
+    }
+    return null
+  }
+
+  return {
+    apexes: [...zones.keys()],
+
+    // null when qname is outside every local zone, else
+    // { rcode: 'NOERROR' | 'NXDOMAIN' | 'SERVFAIL', answers, authorities }
+    lookup(qname, qtype) {
+      const type = qtypeName(qtype)
+      let name = normalizeName(qname)
+      let zone = zoneFor(name)
+      if (!zone) return null
+      const answers = []
+      const seen = new Set()
+      while (!seen.has(name)) {
+        seen.add(name)
+        const rrs = recordsAt(name, zone)
+        if (rrs == null) return { rcode: 'NXDOMAIN', answers, authorities: [negativeSoa(zone)] }
+        const matched = rrs.filter((r) => type === 'ANY' || r.type === type)
+        if (matched.length) {
+          answers.push(...matched)
+          return { rcode: 'NOERROR', answers, authorities: [] }
+        }
+        const cname = rrs.find((r) => r.type === 'CNAME')
+        if (!cname) return { rcode: 'NOERROR', answers, authorities: [negativeSoa(zone)] }
+        answers.push(cname)
+        // Chase the alias while it stays in our zones; otherwise the client follows it
+        const next = zoneFor(cname.data)
+        if (!next) return { rcode: 'NOERROR', answers, authorities: [] }
+        name = cname.data
+        zone = next
+      }
+      // CNAME loop
+      return { rcode: 'SERVFAIL', answers: [], authorities: [] }
+    },
+  }
+}
@@ -1,8 +1,18 @@
 // functions/resolve.js
-const GOOGLE_DOH_JSON = 'https://dns.google/resolve';
-const CF_DOH_JSON = 'https://cloudflare-dns.com/dns-query?ct=application%2Fdns-json';
-const V4_PREFIX = 24;
-const V6_PREFIX = 56;
+// Google 兼容 JSON API：构造 wire 查询，交给与 /dns-query 相同的处理流程
+// （本地区域、过滤、分流、ECS 注入、缓存、上游池），再把应答渲染为 JSON。
+import { readFileSync } from 'node:fs';
+import dnsPacket from 'dns-packet';
+import dnsTypes from 'dns-packet/types.js';
+import { onRequestPost as dnsQuery } from '../functions/dns-query.js';
+import { qtypeCode } from '../lib/qtypes.js';
+
+const JSON_TYPE = 'application/dns-json';
+const DNS_MESSAGE = 'application/dns-message';
+// 只把与客户端 IP 判定相关的头转交给 /dns-query 流程
+const FORWARDED_HEADERS = ['eo-connecting-ip', 'forwarded', 'x-forwarded-for', 'x-ecs-request'];
+
+let pipelineEnv = null;
 
 export async function onRequestGet({ request, clientIp, env }) {
   const rawUrl = request && request.url ? String(request.url) : '';
@@ -12,69 +22,199 @@ export async function onRequestGet({ request, clientIp, env }) {
   } catch {
     url = new URL(rawUrl || '/', getBaseFromHeaders(request && request.headers));
   }
-  const ip =
-    (clientIp && String(clientIp).trim()) ||
-    readHeader(request && request.headers, 'EO-Connecting-IP')?.trim() ||
-    readHeader(request && request.headers, 'eo-connecting-ip')?.trim() ||
-    '';
-
-  // 生成 edns_client_subnet=addr/prefix
-  const ecs = buildEcsParam(ip);
-  const upstreams = getJsonUpstreams(env);
-  const fwd = new URL(upstreams[0]);
-  url.searchParams.forEach((v, k) => fwd.searchParams.set(k, v));
-  if (ecs) fwd.searchParams.set('edns_client_subnet', ecs);
-  // 备份一个不带 ECS 的 search，供 4xx/5xx 回退使用
-  const fwdNoEcs = new URL(upstreams[0]);
-  url.searchParams.forEach((v, k) => fwdNoEcs.searchParams.set(k, v));
-
-  const outHeaders = new Headers();
-  const accept = readHeader(request && request.headers, 'Accept');
-  if (accept && /application\/dns-json/i.test(accept)) outHeaders.set('Accept', accept);
-  else outHeaders.set('Accept', 'application/dns-json');
+
+  const params = url.searchParams;
+  const qname = (params.get('name') || '').trim();
+  const qtype = qtypeCode(params.get('type') || '1');
+  if (!qname) return jsonResponse({ error: 'missing name param' }, 400);
+  if (qtype == null) return jsonResponse({ error: 'unknown type' }, 400);
+  const subnet = parseSubnetParam(params.get('edns_client_subnet'));
+  if (subnet === false) return jsonResponse({ error: 'invalid edns_client_subnet' }, 400);
 
   const offline = (env && env.DEV_OFFLINE) || (typeof process!=='undefined' && process.env && process.env.DEV_OFFLINE);
   if (offline) {
-    const qname = url.searchParams.get('name') || '';
-    const qtype = parseInt(url.searchParams.get('type') || '1', 10);
     const body = {
       Status: 0, TC: false, RD: true, RA: true, AD: false, CD: false,
-      Question: qname ? [{ name: qname, type: qtype }] : [],
+      Question: [{ name: fqdn(qname), type: qtype }],
       Answer: [],
       Comment: 'DEV_OFFLINE mock',
     };
-    const h = new Headers();
-    if (ecs) h.set('X-ECS', ecs);
-    h.set('Access-Control-Allow-Origin', '*');
-    h.set('Access-Control-Expose-Headers', 'X-ECS');
-    h.set('content-type', 'application/dns-json');
-    return new Response(JSON.stringify(body), { status: 200, headers: h });
+    return jsonResponse(body, 200);
+  }
+
+  // random_padding 只用于填充 URL 长度，忽略即可
+  let wire;
+  try {
+    wire = buildQuery(qname, qtype, {
+      cd: isTrue(params.get('cd')),
+      dnssecOk: isTrue(params.get('do')),
+      subnet,
+    });
+  } catch {
+    return jsonResponse({ error: 'invalid name' }, 400);
+  }
+
+  // edns_client_subnet 作为客户端自带的 ECS，是否采用由 ECS_POLICY 决定
+  const headers = new Headers({ 'content-type': DNS_MESSAGE, accept: DNS_MESSAGE });
+  const cfgEnv = getPipelineEnv(env);
+  const ipHeader = String(cfgEnv.CONNECTING_IP_HEADER || 'EO-Connecting-IP').toLowerCase();
+  for (const name of new Set([ipHeader, ...FORWARDED_HEADERS])) {
+    const v = readHeader(request && request.headers, name);
+    if (v) headers.set(name, v);
   }
+  const innerUrl = new URL('/dns-query', url);
+  if (params.get('ecs')) innerUrl.searchParams.set('ecs', params.get('ecs'));
+  const inner = new Request(innerUrl, { method: 'POST', headers, body: wire });
 
-  let resp;
+  let res;
   try {
-    resp = await fetchWithFallback(upstreams, fwd.search, { method: 'GET', headers: outHeaders, redirect: 'follow' });
+    res = await dnsQuery({ request: inner, env: cfgEnv, clientIp });
   } catch (e) {
-    // 带 ECS 失败则回退为不带 ECS 的查询
-    resp = await fetchWithFallback(upstreams, fwdNoEcs.search, { method: 'GET', headers: outHeaders, redirect: 'follow' });
+    return jsonResponse({ Status: 2, Comment: `upstream error: ${e && e.message ? e.message : e}` }, 502);
+  }
+  const body = new Uint8Array(await res.arrayBuffer());
+
+  const h = new Headers();
+  for (const name of ['Cache-Control', 'Vary', 'X-ECS', 'X-ECS-Scope', 'X-Cache']) {
+    const v = res.headers.get(name);
+    if (v) h.set(name, v);
   }
-  const h = new Headers(resp.headers);
-  if (ecs) h.set('X-ECS', ecs);
   h.set('Access-Control-Allow-Origin', '*');
-  h.set('Access-Control-Expose-Headers', 'X-ECS');
-  h.set('Cache-Control', 'no-store');
-  return new Response(resp.body, { status: resp.status, headers: h });
+  h.set('Access-Control-Expose-Headers', 'X-ECS, X-ECS-Scope');
+
+  if (res.status !== 200) {
+    h.set('content-type', JSON_TYPE);
+    h.set('Cache-Control', 'no-store');
+    return new Response(JSON.stringify({ Status: 2, Comment: `upstream HTTP ${res.status}` }), { status: 502, headers: h });
+  }
+  // ct=application/dns-message：直接返回 wire 格式
+  if (params.get('ct') === DNS_MESSAGE) {
+    h.set('content-type', DNS_MESSAGE);
+    return new Response(body, { status: 200, headers: h });
+  }
+
+  let packet;
+  try {
+    packet = dnsPacket.decode(Buffer.from(body));
+  } catch {
+    h.set('content-type', JSON_TYPE);
+    h.set('Cache-Control', 'no-store');
+    return new Response(JSON.stringify({ Status: 2, Comment: 'malformed upstream response' }), { status: 502, headers: h });
+  }
+  h.set('content-type', JSON_TYPE);
+  return new Response(JSON.stringify(renderJson(packet)), { status: 200, headers: h });
 }
 
-function buildEcsParam(ip) {
-  if (!ip) return '';
-  if (ip.includes(':')) {
-    const masked = maskIPv6ToPrefix(ip, V6_PREFIX);
-    return masked ? `${masked}/${V6_PREFIX}` : '';
-  } else {
-    const masked = maskIPv4ToPrefix(ip, V4_PREFIX);
-    return masked ? `${masked}/${V4_PREFIX}` : '';
+// LOCAL_ZONE_FILES 合并进 LOCAL_ZONES，其余变量原样交给 /dns-query 流程
+function getPipelineEnv(env) {
+  if (!pipelineEnv) {
+    const base = { ...(typeof process!=='undefined' && process.env ? process.env : {}), ...(env || {}) };
+    const files = String(base.LOCAL_ZONE_FILES || '').split(',').map((f) => f.trim()).filter(Boolean);
+    const texts = [base.LOCAL_ZONES, ...files.map((f) => readFileSync(f, 'utf8'))].filter(Boolean);
+    // 每个文件从根 origin 开始，避免继承上一个文件的 $ORIGIN
+    pipelineEnv = { ...base, LOCAL_ZONES: texts.join('\n$ORIGIN .\n') };
   }
+  return pipelineEnv;
+}
+
+function buildQuery(qname, qtype, { cd, dnssecOk, subnet }) {
+  return new Uint8Array(dnsPacket.encode({
+    type: 'query',
+    id: 0,
+    flags: dnsPacket.RECURSION_DESIRED | (cd ? dnsPacket.CHECKING_DISABLED : 0),
+    questions: [{ name: qname.replace(/\.$/, ''), type: dnsTypes.toString(qtype), class: 'IN' }],
+    additionals: [{
+      type: 'OPT',
+      name: '.',
+      udpPayloadSize: 1232,
+      flags: dnssecOk ? dnsPacket.DNSSEC_OK : 0,
+      options: subnet ? [{ code: 'CLIENT_SUBNET', ...subnet }] : [],
+    }],
+  }));
+}
+
+// "addr/prefix"（缺省前缀按 /32、/128）；0.0.0.0/0 表示不希望发送 ECS（RFC 7871 §7.1.2）
+// 返回 null 表示未提供，false 表示格式错误
+function parseSubnetParam(value) {
+  if (!value) return null;
+  const [addr, len] = value.trim().split('/');
+  const family = addr.includes(':') ? 2 : 1;
+  const max = family === 1 ? 32 : 128;
+  const prefix = len === undefined ? max : Number(len);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) return false;
+  const ip = family === 1 ? maskIPv4ToPrefix(addr, prefix) : maskIPv6ToPrefix(addr, prefix);
+  if (!ip) return false;
+  return { family, sourcePrefixLength: prefix, scopePrefixLength: 0, ip };
+}
+
+// Google JSON API 格式（名称带结尾点，类型为数值）
+function renderJson(packet) {
+  const rr = (r) => ({ name: fqdn(r.name), type: typeNumber(r.type), TTL: r.ttl, data: rdataText(r.type, r.data) });
+  const records = (list) => (list || []).filter((r) => r.type !== 'OPT').map(rr);
+  const body = {
+    Status: packet.flags & 0x0f,
+    TC: !!packet.flag_tc,
+    RD: !!packet.flag_rd,
+    RA: !!packet.flag_ra,
+    AD: !!packet.flag_ad,
+    CD: !!packet.flag_cd,
+    Question: (packet.questions || []).map((q) => ({ name: fqdn(q.name), type: typeNumber(q.type) })),
+  };
+  const answer = records(packet.answers);
+  const authority = records(packet.authorities);
+  const additional = records(packet.additionals);
+  if (answer.length) body.Answer = answer;
+  if (authority.length) body.Authority = authority;
+  if (additional.length) body.Additional = additional;
+  const opt = (packet.additionals || []).find((r) => r.type === 'OPT');
+  const ecs = opt && (opt.options || []).find((o) => o.code === 8);
+  if (ecs) body.edns_client_subnet = `${ecs.ip}/${ecs.sourcePrefixLength}`;
+  return body;
+}
+
+function typeNumber(type) {
+  const m = /^UNKNOWN_(\d+)$/.exec(type);
+  return m ? Number(m[1]) : dnsTypes.toType(type);
+}
+
+function rdataText(type, d) {
+  switch (type) {
+    case 'A': case 'AAAA': return d;
+    case 'CNAME': case 'DNAME': case 'PTR': case 'NS': return fqdn(d);
+    case 'MX': return `${d.preference} ${fqdn(d.exchange)}`;
+    case 'SRV': return `${d.priority} ${d.weight} ${d.port} ${fqdn(d.target)}`;
+    case 'SOA': return `${fqdn(d.mname)} ${fqdn(d.rname)} ${d.serial} ${d.refresh} ${d.retry} ${d.expire} ${d.minimum}`;
+    case 'TXT': return (Array.isArray(d) ? d : [d]).map(String).join('');
+    case 'CAA': return `${d.flags} ${d.tag} "${d.value}"`;
+    case 'DS': return `${d.keyTag} ${d.algorithm} ${d.digestType} ${d.digest.toString('hex').toUpperCase()}`;
+    case 'DNSKEY': return `${d.flags} 3 ${d.algorithm} ${d.key.toString('base64')}`;
+    case 'RRSIG':
+      return `${d.typeCovered} ${d.algorithm} ${d.labels} ${d.originalTTL} ${sigTime(d.expiration)} ${sigTime(d.inception)} ${d.keyTag} ${fqdn(d.signersName)} ${d.signature.toString('base64')}`;
+    case 'NSEC': return `${fqdn(d.nextDomain)} ${d.rrtypes.join(' ')}`;
+    default:
+      // RFC 3597 未知类型表示法
+      return Buffer.isBuffer(d) ? `\\# ${d.length} ${d.toString('hex')}` : String(d);
+  }
+}
+
+function sigTime(seconds) {
+  return new Date(seconds * 1000).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+function fqdn(name) {
+  return name.endsWith('.') ? name : name + '.';
+}
+
+function isTrue(v) {
+  return v === '1' || v === 'true';
+}
+
+function jsonResponse(obj, status) {
+  const h = new Headers();
+  h.set('Access-Control-Allow-Origin', '*');
+  h.set('content-type', JSON_TYPE);
+  h.set('Cache-Control', 'no-store');
+  return new Response(JSON.stringify(obj), { status, headers: h });
 }
 
 /* 简单 IPv4/IPv6 掩码工具 */
@@ -103,29 +243,3 @@ function readHeader(headers, name){
     return typeof v === 'string' ? v : '';
   }catch{ return ''; }
 }
-
-function getJsonUpstreams(env){
-  const u = [];
-  const envVal = (env && env.UPSTREAM_JSON) || (typeof process!=='undefined' && process.env && process.env.UPSTREAM_JSON) || '';
-  if (envVal) u.push(envVal);
-  // 仅使用明确支持 JSON 的上游
-  u.push(GOOGLE_DOH_JSON);
-  // u.push(CF_DOH_JSON);
-  return Array.from(new Set(u));
-}
-
-async function fetchWithFallback(baseList, search, init){
-  let lastErr;
-  for (const base of baseList){
-    try{
-      const url = base.includes('?') ? base + '&' + search.replace(/^\?/,'') : base + search;
-      const ctrl = new AbortController();
-      const to = setTimeout(()=>ctrl.abort(new Error('timeout')), 2000);
-      const r = await fetch(url, { ...init, signal: ctrl.signal });
-      clearTimeout(to);
-      if (r.ok) return r;
-      lastErr = new Error(`upstream ${base} status ${r.status}`);
-    }catch(e){ lastErr = e; }
-  }
-  throw lastErr || new Error('all upstreams failed');
-}
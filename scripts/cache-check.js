@@ -0,0 +1,142 @@
+/*
+ Check the edge response cache (functions/dns-query.js, lib/ecs-cache.js), offline.
+
+ Queries go through the edge handler with an in-process upstream that answers every
+ name with one A record and echoes the query's ECS option with a fixed SCOPE
+ PREFIX-LENGTH per name: geo16.example.com /16, global.example.com /0. Checked:
+   - an answer with scope /16 is reused for another /24 inside that /16, not outside it
+   - a cache hit carries the requester's ID, question casing and ECS subnet, never the
+     subnet of the client that filled the cache
+   - a client that sends no ECS gets no ECS option from a shared entry
+   - answers marked public carry no client subnet, neither in the body nor in X-ECS;
+     answers tailored to a subnet, or to a subnet the client supplied, are private
+   - with the upstream down, an expired answer served stale (RFC 8767) echoes the
+     requester's subnet like a cache hit does
+
+ node scripts/cache-check.js
+ */
+import http from 'node:http'
+import * as dnsPacket from 'dns-packet'
+import { onRequestGet } from '../functions/dns-query.js'
+
+const SCOPES = { 'geo16.example.com': 16, 'global.example.com': 0, 'stale16.example.com': 16 }
+// Answer TTLs other than 300, so entries expire during the run
+const TTLS = { 'stale16.example.com': 1 }
+
+let failed = 0
+function check(label, ok, detail = '') {
+  if (!ok) failed++
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}${detail ? `: ${detail}` : ''}`)
+}
+
+// Upstream queries seen, by lower-cased name; every query fails with 503 once down is set
+const asked = {}
+let down = false
+const upstream = http.createServer((req, res) => {
+  if (down) {
+    res.writeHead(503)
+    return res.end()
+  }
+  const chunks = []
+  req.on('data', (c) => chunks.push(c))
+  req.on('end', () => {
+    const query = dnsPacket.decode(Buffer.concat(chunks))
+    const q = query.questions[0]
+    const name = q.name.toLowerCase()
+    asked[name] = (asked[name] || 0) + 1
+    const opt = query.additionals.find((r) => r.type === 'OPT')
+    const ecs = opt && opt.options.find((o) => o.code === 8)
+    const answer = dnsPacket.encode({
+      type: 'response',
+      id: query.id,
+      flags: dnsPacket.RECURSION_DESIRED | dnsPacket.RECURSION_AVAILABLE,
+      questions: query.questions,
+      answers: [{ type: 'A', name: q.name, ttl: TTLS[name] ?? 300, data: '192.0.2.1' }],
+      additionals: opt
+        ? [{ type: 'OPT', name: '.', udpPayloadSize: 1232, options: ecs ? [{ code: 'CLIENT_SUBNET', family: ecs.family, sourcePrefixLength: ecs.sourcePrefixLength, scopePrefixLength: SCOPES[name] ?? 0, ip: ecs.ip }] : [] }]
+        : [],
+    })
+    res.writeHead(200, { 'content-type': 'application/dns-message' })
+    res.end(answer)
+  })
+})
+await new Promise((resolve) => upstream.listen(0, '127.0.0.1', resolve))
+const env = {
+  UPSTREAM_DOH: `http://127.0.0.1:${upstream.address().port}/dns-query`,
+  TRUSTED_PROXIES: '',
+  SERVE_STALE_S: '600',
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '')
+}
+
+// One GET from clientIp, optionally with ecs=; { status, headers, message, ecs } with
+// ecs as "ip/source scope N"
+async function ask(name, clientIp, id, ecsParam = '') {
+  const query = dnsPacket.encode({
+    type: 'query',
+    id,
+    flags: dnsPacket.RECURSION_DESIRED,
+    questions: [{ type: 'A', name }],
+    additionals: [{ type: 'OPT', name: '.', udpPayloadSize: 1232, options: [] }],
+  })
+  const request = new Request(`http://check/dns-query?dns=${b64url(query)}${ecsParam ? `&ecs=${ecsParam}` : ''}`)
+  const res = await onRequestGet({ request, env, clientIp })
+  const message = dnsPacket.decode(Buffer.from(await res.arrayBuffer()))
+  const opt = message.additionals.find((r) => r.type === 'OPT')
+  const ecs = opt && opt.options.find((o) => o.code === 8)
+  return { status: res.status, headers: res.headers, message, ecs: ecs ? `${ecs.ip}/${ecs.sourcePrefixLength} scope ${ecs.scopePrefixLength}` : 'none' }
+}
+
+async function scopeReuse() {
+  const first = await ask('geo16.example.com', '8.8.4.4', 1)
+  check('first /24 is a miss', first.headers.get('x-cache') === 'MISS', first.headers.get('x-cache'))
+  check('first answer echoes its own subnet', first.ecs === '8.8.4.0/24 scope 16', first.ecs)
+  check('scope /16 answer is private', /^private/.test(first.headers.get('cache-control')), first.headers.get('cache-control'))
+
+  const second = await ask('GEO16.example.COM', '8.8.5.5', 2)
+  check('other /24 in the /16 is a hit', second.headers.get('x-cache') === 'HIT' && asked['geo16.example.com'] === 1, second.headers.get('x-cache'))
+  check('hit carries the requester\'s ID', second.message.id === 2, String(second.message.id))
+  check('hit echoes the requester\'s question casing', second.message.questions[0].name === 'GEO16.example.COM', second.message.questions[0].name)
+  check('hit echoes the requester\'s subnet, cached scope', second.ecs === '8.8.5.0/24 scope 16', second.ecs)
+  check('X-ECS names the requester\'s subnet', second.headers.get('x-ecs') === '8.8.5.0/24; ip', second.headers.get('x-ecs'))
+  check('X-ECS-Scope is the cached scope', second.headers.get('x-ecs-scope') === '16', second.headers.get('x-ecs-scope'))
+
+  const outside = await ask('geo16.example.com', '8.9.0.1', 3)
+  check('/24 outside the /16 is a miss', outside.headers.get('x-cache') === 'MISS' && asked['geo16.example.com'] === 2, outside.headers.get('x-cache'))
+}
+
+async function sharedEntry() {
+  const shared = await ask('global.example.com', '8.8.4.4', 4)
+  check('scope 0 answer is public', /^public/.test(shared.headers.get('cache-control')), shared.headers.get('cache-control'))
+  check('public answer carries no ECS option', shared.ecs === 'none', shared.ecs)
+  check('public answer has no X-ECS headers', !shared.headers.has('x-ecs') && !shared.headers.has('x-ecs-scope'), shared.headers.get('x-ecs'))
+  const own = await ask('global.example.com', '8.8.4.4', 5, '198.51.100.0/24')
+  check('answer to a supplied subnet is private', /^private/.test(own.headers.get('cache-control')), own.headers.get('cache-control'))
+  // ECS_POLICY=override puts the client's own /24 in its place
+  check('client that supplied a subnet keeps the echo', own.ecs === '8.8.4.0/24 scope 0', own.ecs)
+  // A private address sends no ECS, so the query goes out as it came
+  const bare = await ask('global.example.com', '10.0.0.1', 5)
+  check('client without ECS hits the scope-0 entry', bare.headers.get('x-cache') === 'HIT', bare.headers.get('x-cache'))
+  check('client without ECS gets no ECS option', bare.ecs === 'none', bare.ecs)
+}
+
+async function staleAnswer() {
+  const fresh = await ask('stale16.example.com', '8.8.4.4', 6)
+  check('stale16 answer is cached', fresh.headers.get('x-cache') === 'MISS' && fresh.ecs === '8.8.4.0/24 scope 16', fresh.ecs)
+  await new Promise((resolve) => setTimeout(resolve, 2100))
+  down = true
+  const stale = await ask('stale16.example.com', '8.8.5.5', 7)
+  check('expired answer is served stale', stale.headers.get('x-cache') === 'STALE', stale.headers.get('x-cache'))
+  check('stale answer echoes the requester\'s subnet, cached scope', stale.ecs === '8.8.5.0/24 scope 16', stale.ecs)
+  check('stale X-ECS names the requester\'s subnet', stale.headers.get('x-ecs') === '8.8.5.0/24; ip', stale.headers.get('x-ecs'))
+}
+
+await scopeReuse()
+await sharedEntry()
+// Last: it takes the upstream down
+await staleAnswer()
+upstream.close()
+console.log(failed ? `${failed} check(s) failed` : 'all checks passed')
+process.exit(failed ? 1 : 0)
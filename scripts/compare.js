@@ -1,9 +1,11 @@
 /*
- Compare dns.google resolve JSON vs dns-query wire, with/without ECS
+ Compare dns.google resolve JSON vs dns-query wire, with/without ECS,
+ and check whether UPSTREAM_DOH honors ECS at all
  Domain: cdn.lin.pub
  */
 import { request as undiciRequest } from 'undici'
 import * as dnsPacket from 'dns-packet'
+import { ecsEchoMismatch } from '../lib/ecs-policy.js'
 
 const DOMAIN = process.env.DOMAIN || 'cdn.lin.pub'
 const UPSTREAM_DOH = process.env.UPSTREAM_DOH || 'https://dns.google/dns-query'
@@ -69,6 +71,39 @@ async function dohGet(base, wire) {
   return dnsPacket.decode(buf)
 }
 
+function ecsOf(decoded) {
+  const opt = (decoded.additionals || []).find((r) => r.type === 'OPT')
+  const o = opt && (opt.options || []).find((x) => x.code === 8)
+  return o ? { family: o.family, sourcePrefix: o.sourcePrefixLength, scopePrefix: o.scopePrefixLength, bytes: o.data.subarray(4), ip: o.ip } : null
+}
+
+// Sends the same question with two distant subnets and classifies the upstream:
+// ignores ECS (no option in the answer), violates RFC 7871 §7.3 (bad echo),
+// or honors it (echo present; a non-zero scope means the answer was tailored).
+async function checkEcsSupport(base, name) {
+  const probes = [['1.2.3.4', 1, 24], ['203.0.113.9', 1, 24], ['2001:db8::1', 2, 56]]
+  const results = []
+  for (const [ip, family, prefix] of probes) {
+    const wire = buildQueryWithECS(name, family === 1 ? 'A' : 'AAAA', ip, family, prefix)
+    const sent = ecsOf(dnsPacket.decode(wire))
+    const answer = await dohGet(base, wire)
+    const echoed = ecsOf(answer)
+    results.push({
+      subnet: `${ip}/${prefix}`,
+      echoed: !!echoed,
+      scope: echoed ? echoed.scopePrefix : null,
+      mismatch: ecsEchoMismatch(sent, echoed),
+      ips: extractIPs(answer)[family === 1 ? 'A' : 'AAAA'],
+    })
+  }
+  let verdict
+  if (results.some((r) => r.mismatch)) verdict = 'violates RFC 7871 §7.3 (ECS echo does not match the query)'
+  else if (!results.some((r) => r.echoed)) verdict = 'ignores ECS (no ECS option in answers)'
+  else if (results.some((r) => r.scope > 0)) verdict = 'honors ECS (answers tailored to the client subnet)'
+  else verdict = 'understands ECS, but answered with scope 0 (name not geo-dependent here)'
+  return { verdict, results }
+}
+
 async function resolveJSON(name, type, ecs) {
   const url = new URL(UPSTREAM_RESOLVE)
   url.searchParams.set('name', name)
@@ -118,6 +153,13 @@ async function main() {
   console.log('\nSummary:')
   console.log(' resolve no-ECS A vs dns-query no-ECS A ->', rA.ips, 'vs', ipNoEcs.A)
   console.log(' resolve ECS A vs dns-query ECS A ->', rAecs.ips, 'vs', ipWithEcs.A)
+
+  // Does the upstream honor ECS at all?
+  const support = await checkEcsSupport(UPSTREAM_DOH, DOMAIN)
+  console.log(`\nECS support of ${UPSTREAM_DOH}: ${support.verdict}`)
+  for (const r of support.results) {
+    console.log(` ${r.subnet} -> scope ${r.scope ?? '-'}${r.mismatch ? ` (${r.mismatch})` : ''}`, r.ips)
+  }
 }
 
 main().catch((e) => {
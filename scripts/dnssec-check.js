@@ -0,0 +1,104 @@
+/*
+ Replay recorded DNSSEC fixtures through the validator (src/dnssec.js), offline.
+
+ A fixture file holds the trust anchors, the time to validate at, the upstream
+ answers the validator may ask for ("<name> <TYPE>" -> base64 wire) and the cases:
+ an upstream answer to a client query and the verdict (and EDE code) it must get.
+ A case may override some of the shared answers to play a compromised upstream.
+ Each case starts with an empty validator cache; an answer the validator asks for
+ but the fixture lacks fails the case.
+
+ scripts/fixtures/dnssec-synthetic.json comes from scripts/dnssec-fixtures.js.
+ Real-world fixtures can be recorded through a DoH upstream:
+   DNSSEC_RECORD=www.isc.org/A,nx.ietf.org/AAAA UPSTREAM_DOH=https://dns.google/dns-query \
+     node scripts/dnssec-check.js scripts/fixtures/live.json
+ which stores every answer fetched plus the verdict observed, to be reviewed
+ before it is relied on.
+
+ node scripts/dnssec-check.js [fixture.json ...]
+ */
+import { readFileSync, writeFileSync } from 'node:fs'
+import * as dnsPacket from 'dns-packet'
+import { ROOT_TRUST_ANCHORS, createValidator, parseTrustAnchors } from '../src/dnssec.js'
+
+const DEFAULT_FIXTURES = [new URL('./fixtures/dnssec-synthetic.json', import.meta.url).pathname]
+
+function dnssecQuery(name, type) {
+  return dnsPacket.encode({
+    type: 'query',
+    id: 0,
+    flags: dnsPacket.RECURSION_DESIRED | dnsPacket.CHECKING_DISABLED,
+    questions: [{ name, type }],
+    additionals: [{ type: 'OPT', name: '.', udpPayloadSize: 1232, flags: dnsPacket.DNSSEC_OK, options: [] }],
+  })
+}
+
+async function replay(file) {
+  const fixture = JSON.parse(readFileSync(file, 'utf8'))
+  const trustAnchors = parseTrustAnchors(fixture.trustAnchors)
+  const now = Date.parse(fixture.now)
+  let failed = 0
+  for (const c of fixture.cases) {
+    const answers = { ...fixture.exchanges, ...c.exchanges }
+    const validator = createValidator({
+      trustAnchors,
+      now: () => now,
+      exchange: async (name, type) => {
+        const wire = answers[`${name} ${type}`]
+        if (!wire) throw new Error(`no recorded answer for ${name} ${type}`)
+        return Buffer.from(wire, 'base64')
+      },
+    })
+    const verdict = await validator.validate(Buffer.from(c.response, 'base64'))
+    const code = verdict.ede ? verdict.ede.code : null
+    const ok = verdict.state === c.expect && (c.ede == null || c.ede === code)
+    if (!ok) failed++
+    const detail = verdict.ede ? ` (EDE ${code}: ${verdict.ede.text})` : ''
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${c.name}: ${verdict.state}${detail}${ok ? '' : `, expected ${c.expect}${c.ede == null ? '' : ` (EDE ${c.ede})`}`}`)
+  }
+  console.log(`${file}: ${fixture.cases.length - failed}/${fixture.cases.length} passed`)
+  return failed
+}
+
+async function record(file, specs, upstream) {
+  const exchanges = {}
+  const fetchAnswer = async (name, type) => {
+    const res = await fetch(upstream, {
+      method: 'POST',
+      headers: { 'content-type': 'application/dns-message', 'accept': 'application/dns-message' },
+      body: dnssecQuery(name, type),
+    })
+    if (res.status !== 200) throw new Error(`upstream HTTP ${res.status} for ${name} ${type}`)
+    return Buffer.from(await res.arrayBuffer())
+  }
+  const validator = createValidator({
+    trustAnchors: parseTrustAnchors(process.env.DNSSEC_TRUST_ANCHORS || ROOT_TRUST_ANCHORS),
+    exchange: async (name, type) => {
+      const wire = await fetchAnswer(name, type)
+      exchanges[`${name} ${type}`] = wire.toString('base64')
+      return wire
+    },
+  })
+  const started = new Date().toISOString()
+  const cases = []
+  for (const spec of specs) {
+    const [name, type = 'A'] = spec.split('/')
+    const response = await fetchAnswer(name, type)
+    const verdict = await validator.validate(response)
+    console.log(`${name} ${type}: ${verdict.state}${verdict.ede ? ` (EDE ${verdict.ede.code}: ${verdict.ede.text})` : ''}`)
+    cases.push({ name: `${name} ${type}`, response: response.toString('base64'), expect: verdict.state, ...(verdict.ede ? { ede: verdict.ede.code } : {}) })
+  }
+  const fixture = { description: `Recorded from ${upstream}`, now: started, trustAnchors: process.env.DNSSEC_TRUST_ANCHORS || ROOT_TRUST_ANCHORS, exchanges, cases }
+  writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`)
+  console.log(`wrote ${file}`)
+}
+
+const files = process.argv.slice(2)
+if (process.env.DNSSEC_RECORD) {
+  if (files.length !== 1) throw new Error('DNSSEC_RECORD needs exactly one output file')
+  await record(files[0], process.env.DNSSEC_RECORD.split(',').filter(Boolean), process.env.UPSTREAM_DOH || 'https://dns.google/dns-query')
+} else {
+  let failed = 0
+  for (const file of files.length ? files : DEFAULT_FIXTURES) failed += await replay(file)
+  process.exitCode = failed ? 1 : 0
+}
@@ -0,0 +1,446 @@
+/*
+ Generate the offline DNSSEC fixtures replayed by scripts/dnssec-check.js.
+
+ Builds a small signed hierarchy with fresh keys, one zone per supported
+ algorithm, and records the upstream answers the validator (src/dnssec.js) asks
+ for, together with client answers and the verdict each must get:
+   .              RSA/SHA-256 KSK + ECDSA P-256 ZSK, NSEC; the trust anchor
+   test.          Ed25519, NSEC, wildcard *.wild.test., signed CNAME
+   p384.test.     ECDSA P-384, DS digest SHA-384
+   nsec3.test.    ECDSA P-256, NSEC3 (1 iteration, salted)
+   unsigned.test. delegation without DS, proven by NSEC
+ plus bogus variants: tampered RDATA, expired and missing signatures, missing
+ denial proofs, a forged DNSKEY set and a faked unsigned delegation.
+
+ Records and signed data are serialized with dns-packet, independently of the
+ validator's own canonical-form code.
+
+ node scripts/dnssec-fixtures.js > scripts/fixtures/dnssec-synthetic.json
+ */
+import { createHash, generateKeyPairSync, sign } from 'node:crypto'
+import * as dnsPacket from 'dns-packet'
+
+const NOW = Math.floor(Date.now() / 1000)
+const INCEPTION = NOW - 86400
+const EXPIRATION = NOW + 30 * 86400
+const TTL = 3600
+const ZONE_KEY = 256
+const SEP = 1
+
+function labelsOf(name) {
+  return name.split('.').filter(Boolean)
+}
+
+function child(label, origin) {
+  return origin === '.' ? label : `${label}.${origin}`
+}
+
+function nameLength(name) {
+  return labelsOf(name).reduce((n, l) => n + l.length + 1, 1)
+}
+
+function nameWire(name) {
+  return Buffer.concat([...labelsOf(name).map((l) => Buffer.concat([Buffer.from([l.length]), Buffer.from(l)])), Buffer.alloc(1)])
+}
+
+// RFC 4034 §6.1 order, on lowercase names
+function compareNames(a, b) {
+  const la = labelsOf(a).reverse()
+  const lb = labelsOf(b).reverse()
+  for (let i = 0; i < Math.min(la.length, lb.length); i++) {
+    const c = Buffer.compare(Buffer.from(la[i]), Buffer.from(lb[i]))
+    if (c) return c
+  }
+  return la.length - lb.length
+}
+
+// One record exactly as dns-packet puts it on the wire (uncompressed)
+function recordWire(rr) {
+  return dnsPacket.encode({ type: 'response', answers: [{ class: 'IN', ttl: TTL, ...rr }] }).subarray(12)
+}
+
+function rdataOf(rr) {
+  return recordWire(rr).subarray(nameLength(rr.name) + 10)
+}
+
+function keyTag(rdata) {
+  let ac = 0
+  for (let i = 0; i < rdata.length; i++) ac += i & 1 ? rdata[i] : rdata[i] << 8
+  ac += (ac >> 16) & 0xffff
+  return ac & 0xffff
+}
+
+function makeKey(algorithm, flags) {
+  const pair = algorithm === 8
+    ? generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : algorithm === 15
+      ? generateKeyPairSync('ed25519')
+      : generateKeyPairSync('ec', { namedCurve: algorithm === 13 ? 'P-256' : 'P-384' })
+  const jwk = pair.publicKey.export({ format: 'jwk' })
+  const b = (s) => Buffer.from(s, 'base64url')
+  const e = algorithm === 8 ? b(jwk.e) : null
+  const key = algorithm === 8
+    ? Buffer.concat([Buffer.from([e.length]), e, b(jwk.n)])
+    : algorithm === 15 ? b(jwk.x) : Buffer.concat([b(jwk.x), b(jwk.y)])
+  const data = { flags, algorithm, key }
+  return { algorithm, flags, privateKey: pair.privateKey, data, tag: keyTag(rdataOf({ name: '.', type: 'DNSKEY', data })) }
+}
+
+function signData(key, data) {
+  const hash = { 8: 'sha256', 13: 'sha256', 14: 'sha384', 15: null }[key.algorithm]
+  const options = key.algorithm === 13 || key.algorithm === 14 ? { key: key.privateKey, dsaEncoding: 'ieee-p1363' } : key.privateKey
+  return sign(hash, data, options)
+}
+
+function signRrset(records, zone, key, { expiration = EXPIRATION, inception = INCEPTION } = {}) {
+  const { name, type } = records[0]
+  const labels = labelsOf(name).filter((l, i) => !(i === 0 && l === '*')).length
+  const sig = { typeCovered: type, algorithm: key.algorithm, labels, originalTTL: TTL, expiration, inception, keyTag: key.tag, signersName: zone, signature: Buffer.alloc(0) }
+  const wires = records.map((rr) => recordWire(rr)).sort((a, b) => Buffer.compare(a.subarray(nameLength(name) + 10), b.subarray(nameLength(name) + 10)))
+  const data = Buffer.concat([rdataOf({ name: zone, type: 'RRSIG', data: sig }), ...wires])
+  return { name, type: 'RRSIG', class: 'IN', ttl: TTL, data: { ...sig, signature: signData(key, data) } }
+}
+
+function dsFor(zone, key, digestType) {
+  const digest = createHash({ 1: 'sha1', 2: 'sha256', 4: 'sha384' }[digestType])
+    .update(nameWire(zone))
+    .update(rdataOf({ name: zone, type: 'DNSKEY', data: key.data }))
+    .digest()
+  return { keyTag: key.tag, algorithm: key.algorithm, digestType, digest }
+}
+
+function nsec3Hash(name, salt, iterations) {
+  let digest = createHash('sha1').update(nameWire(name)).update(salt).digest()
+  for (let i = 0; i < iterations; i++) digest = createHash('sha1').update(digest).update(salt).digest()
+  return digest
+}
+
+function base32hex(buf) {
+  const alphabet = '0123456789abcdefghijklmnopqrstuv'
+  let bits = 0
+  let value = 0
+  let out = ''
+  for (const byte of buf) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      out += alphabet[(value >> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits) out += alphabet[(value << (5 - bits)) & 31]
+  return out
+}
+
+class Zone {
+  constructor(origin, keys, { nsec3 = null } = {}) {
+    this.origin = origin
+    this.keys = keys
+    this.ksk = keys.find((k) => k.flags & SEP) || keys[0]
+    this.zsk = keys.find((k) => !(k.flags & SEP)) || keys[0]
+    this.nsec3 = nsec3
+    this.records = []
+    this.add(origin, 'SOA', { mname: child('ns', origin), rname: child('hostmaster', origin), serial: 1, refresh: 3600, retry: 600, expire: 86400, minimum: 300 })
+    this.add(origin, 'NS', child('ns', origin))
+    for (const k of keys) this.add(origin, 'DNSKEY', k.data)
+  }
+
+  add(name, type, data) {
+    this.records.push({ name, type, class: 'IN', ttl: TTL, data })
+    return this
+  }
+
+  delegate(name, dsSet) {
+    this.add(name, 'NS', child('ns', name))
+    for (const ds of dsSet) this.add(name, 'DS', ds)
+    return this
+  }
+
+  rrset(name, type) {
+    return this.records.filter((rr) => rr.name === name && rr.type === type)
+  }
+
+  // RRset and its RRSIG; DNSKEY sets are signed by the KSK
+  signed(name, type, options) {
+    const set = this.rrset(name, type)
+    if (!set.length) throw new Error(`no ${name} ${type}`)
+    return [...set, signRrset(set, this.origin, type === 'DNSKEY' ? this.ksk : this.zsk, options)]
+  }
+
+  isDelegation(name) {
+    return name !== this.origin && this.rrset(name, 'NS').length > 0
+  }
+
+  typesAt(name) {
+    const types = new Set(this.records.filter((rr) => rr.name === name).map((rr) => rr.type))
+    // A delegation's NS set is not authoritative and not signed; an NSEC always is
+    if (!this.nsec3 || !this.isDelegation(name) || types.has('DS')) types.add('RRSIG')
+    if (!this.nsec3) types.add('NSEC')
+    if (this.nsec3 && name === this.origin) types.add('NSEC3PARAM')
+    return [...types]
+  }
+
+  // NSEC or NSEC3 chain over every owner name
+  denialChain() {
+    const owners = [...new Set(this.records.map((rr) => rr.name))]
+    if (!this.nsec3) {
+      owners.sort(compareNames)
+      return owners.map((name, i) => ({
+        name,
+        type: 'NSEC',
+        class: 'IN',
+        ttl: TTL,
+        data: { nextDomain: owners[(i + 1) % owners.length], rrtypes: this.typesAt(name) },
+      }))
+    }
+    const { salt, iterations } = this.nsec3
+    const hashed = owners.map((name) => ({ name, hash: nsec3Hash(name, salt, iterations) })).sort((a, b) => Buffer.compare(a.hash, b.hash))
+    return hashed.map(({ name, hash }, i) => ({
+      name: `${base32hex(hash)}.${this.origin}`,
+      type: 'NSEC3',
+      class: 'IN',
+      ttl: TTL,
+      data: { algorithm: 1, flags: 0, iterations, salt, nextDomain: hashed[(i + 1) % hashed.length].hash, rrtypes: this.typesAt(name) },
+    }))
+  }
+
+  // The signed NSEC record at `name`, or the one covering it
+  nsecFor(name) {
+    const chain = this.denialChain()
+    const exact = chain.find((n) => n.name === name)
+    const record = exact || chain.find((n) => compareNames(n.name, name) < 0 &&
+      (compareNames(name, n.data.nextDomain) < 0 || compareNames(n.data.nextDomain, n.name) <= 0))
+    return [record, signRrset([record], this.origin, this.zsk)]
+  }
+
+  // The signed NSEC3 record matching `name`'s hash, or the one covering it
+  nsec3For(name) {
+    const { salt, iterations } = this.nsec3
+    const hash = nsec3Hash(name, salt, iterations)
+    const chain = this.denialChain()
+    const exact = chain.find((n) => labelsOf(n.name)[0] === base32hex(hash))
+    const record = exact || chain.find((n) => {
+      const owner = Buffer.from(base32hexDecode(labelsOf(n.name)[0]))
+      return Buffer.compare(owner, hash) < 0 && (Buffer.compare(hash, n.data.nextDomain) < 0 || Buffer.compare(n.data.nextDomain, owner) <= 0)
+    })
+    return [record, signRrset([record], this.origin, this.zsk)]
+  }
+}
+
+function base32hexDecode(text) {
+  const alphabet = '0123456789abcdefghijklmnopqrstuv'
+  const out = []
+  let bits = 0
+  let value = 0
+  for (const ch of text) {
+    value = (value << 5) | alphabet.indexOf(ch)
+    bits += 5
+    if (bits >= 8) {
+      out.push((value >> (bits - 8)) & 0xff)
+      bits -= 8
+    }
+  }
+  return out
+}
+
+const RCODES = { NOERROR: 0, NXDOMAIN: 3 }
+
+function message(name, type, { rcode = 'NOERROR', answers = [], authorities = [] } = {}) {
+  return dnsPacket.encode({
+    type: 'response',
+    id: 0,
+    flags: dnsPacket.RECURSION_DESIRED | dnsPacket.RECURSION_AVAILABLE | dnsPacket.CHECKING_DISABLED | RCODES[rcode],
+    questions: [{ name, type, class: 'IN' }],
+    answers: dedupe(answers),
+    authorities: dedupe(authorities),
+    additionals: [{ type: 'OPT', name: '.', udpPayloadSize: 1232, flags: dnsPacket.DNSSEC_OK, options: [] }],
+  }).toString('base64')
+}
+
+function dedupe(records) {
+  const seen = new Set()
+  return records.filter((rr) => {
+    const key = recordWire(rr).toString('hex')
+    return !seen.has(key) && seen.add(key)
+  })
+}
+
+// ---- The hierarchy ----
+
+const rootKsk = makeKey(8, ZONE_KEY | SEP)
+const rootZsk = makeKey(13, ZONE_KEY)
+const testKey = makeKey(15, ZONE_KEY | SEP)
+const p384Key = makeKey(14, ZONE_KEY | SEP)
+const nsec3Key = makeKey(13, ZONE_KEY | SEP)
+const forgedKey = makeKey(15, ZONE_KEY | SEP)
+
+const root = new Zone('.', [rootKsk, rootZsk]).delegate('test', [dsFor('test', testKey, 2)])
+
+const test = new Zone('test', [testKey])
+  .delegate('p384.test', [dsFor('p384.test', p384Key, 4)])
+  .delegate('nsec3.test', [dsFor('nsec3.test', nsec3Key, 2)])
+  .delegate('unsigned.test', [])
+  .add('www.test', 'A', '192.0.2.1')
+  .add('expired.test', 'A', '192.0.2.2')
+  .add('nosig.test', 'A', '192.0.2.3')
+  .add('alias.test', 'CNAME', 'www.p384.test')
+  .add('*.wild.test', 'A', '192.0.2.4')
+
+const p384 = new Zone('p384.test', [p384Key]).add('www.p384.test', 'AAAA', '2001:db8::1')
+
+const nsec3 = new Zone('nsec3.test', [nsec3Key], { nsec3: { salt: Buffer.from('aabbccdd', 'hex'), iterations: 1 } })
+  .add('www.nsec3.test', 'A', '192.0.2.5')
+
+const soa = (zone) => zone.signed(zone.origin, 'SOA')
+
+// DS NODATA: an existing name with no DS (signed NSEC at the name), or an empty non-terminal
+function noDs(zone, name) {
+  return message(name, 'DS', { authorities: [...soa(zone), ...zone.nsecFor(name)] })
+}
+
+const exchanges = {
+  '. DNSKEY': message('.', 'DNSKEY', { answers: root.signed('.', 'DNSKEY') }),
+  'test DS': message('test', 'DS', { answers: root.signed('test', 'DS') }),
+  'test DNSKEY': message('test', 'DNSKEY', { answers: test.signed('test', 'DNSKEY') }),
+  'p384.test DS': message('p384.test', 'DS', { answers: test.signed('p384.test', 'DS') }),
+  'p384.test DNSKEY': message('p384.test', 'DNSKEY', { answers: p384.signed('p384.test', 'DNSKEY') }),
+  'nsec3.test DS': message('nsec3.test', 'DS', { answers: test.signed('nsec3.test', 'DS') }),
+  'nsec3.test DNSKEY': message('nsec3.test', 'DNSKEY', { answers: nsec3.signed('nsec3.test', 'DNSKEY') }),
+  'unsigned.test DS': noDs(test, 'unsigned.test'),
+  'www.test DS': noDs(test, 'www.test'),
+  'nosig.test DS': noDs(test, 'nosig.test'),
+  'wild.test DS': message('wild.test', 'DS', { authorities: soa(test) }),
+  'foo.wild.test DS': message('foo.wild.test', 'DS', { authorities: soa(test) }),
+  'nx2.test DS': message('nx2.test', 'DS', { rcode: 'NXDOMAIN', authorities: soa(test) }),
+}
+
+const wildcardAnswer = (() => {
+  const [record, sig] = test.signed('*.wild.test', 'A')
+  return [{ ...record, name: 'foo.wild.test' }, { ...sig, name: 'foo.wild.test' }]
+})()
+
+const tampered = test.signed('www.test', 'A').map((rr) => (rr.type === 'A' ? { ...rr, data: '198.51.100.1' } : rr))
+
+const forgedDnskey = new Zone('test', [forgedKey])
+
+const cases = [
+  {
+    name: 'positive answer, Ed25519 zone under an RSA/P-256 root',
+    response: message('www.test', 'A', { answers: test.signed('www.test', 'A') }),
+    expect: 'secure',
+  },
+  {
+    name: 'P-384 zone with a SHA-384 DS, reached through a signed CNAME',
+    response: message('alias.test', 'AAAA', { answers: [...test.signed('alias.test', 'CNAME'), ...p384.signed('www.p384.test', 'AAAA')] }),
+    expect: 'secure',
+  },
+  {
+    name: 'NXDOMAIN proven by NSEC (name and wildcard)',
+    response: message('nx.test', 'A', { rcode: 'NXDOMAIN', authorities: [...soa(test), ...test.nsecFor('nx.test'), ...test.nsecFor('*.test')] }),
+    expect: 'secure',
+  },
+  {
+    name: 'NODATA proven by NSEC',
+    response: message('www.test', 'TXT', { authorities: [...soa(test), ...test.nsecFor('www.test')] }),
+    expect: 'secure',
+  },
+  {
+    name: 'wildcard expansion with NSEC proof that the name does not exist',
+    response: message('foo.wild.test', 'A', { answers: wildcardAnswer, authorities: test.nsecFor('foo.wild.test') }),
+    expect: 'secure',
+  },
+  {
+    name: 'positive answer in an NSEC3 zone',
+    response: message('www.nsec3.test', 'A', { answers: nsec3.signed('www.nsec3.test', 'A') }),
+    expect: 'secure',
+  },
+  {
+    name: 'NXDOMAIN proven by NSEC3 closest encloser',
+    response: message('nx.nsec3.test', 'A', {
+      rcode: 'NXDOMAIN',
+      authorities: [...soa(nsec3), ...nsec3.nsec3For('nsec3.test'), ...nsec3.nsec3For('nx.nsec3.test'), ...nsec3.nsec3For('*.nsec3.test')],
+    }),
+    expect: 'secure',
+  },
+  {
+    name: 'NODATA proven by NSEC3',
+    response: message('www.nsec3.test', 'MX', { authorities: [...soa(nsec3), ...nsec3.nsec3For('www.nsec3.test')] }),
+    expect: 'secure',
+  },
+  {
+    name: 'unsigned answer below a proven unsigned delegation',
+    response: message('host.unsigned.test', 'A', { answers: [{ name: 'host.unsigned.test', type: 'A', class: 'IN', ttl: TTL, data: '192.0.2.6' }] }),
+    expect: 'insecure',
+  },
+  {
+    name: 'tampered RDATA',
+    response: message('www.test', 'A', { answers: tampered }),
+    expect: 'bogus',
+    ede: 6,
+  },
+  {
+    name: 'expired signature',
+    response: message('expired.test', 'A', { answers: test.signed('expired.test', 'A', { inception: NOW - 40 * 86400, expiration: NOW - 3600 }) }),
+    expect: 'bogus',
+    ede: 7,
+  },
+  {
+    name: 'signature not yet valid',
+    response: message('expired.test', 'A', { answers: test.signed('expired.test', 'A', { inception: NOW + 3600, expiration: EXPIRATION }) }),
+    expect: 'bogus',
+    ede: 8,
+  },
+  {
+    name: 'unsigned answer in a signed zone',
+    response: message('nosig.test', 'A', { answers: test.rrset('nosig.test', 'A') }),
+    expect: 'bogus',
+    ede: 10,
+  },
+  {
+    name: 'signatures stripped from a signed answer',
+    response: message('www.test', 'A', { answers: test.rrset('www.test', 'A') }),
+    expect: 'bogus',
+    ede: 10,
+  },
+  {
+    name: 'NXDOMAIN without a denial proof',
+    response: message('nx2.test', 'A', { rcode: 'NXDOMAIN', authorities: soa(test) }),
+    expect: 'bogus',
+    ede: 12,
+  },
+  {
+    name: 'wildcard expansion without a proof',
+    response: message('foo.wild.test', 'A', { answers: wildcardAnswer }),
+    expect: 'bogus',
+    ede: 12,
+  },
+  {
+    name: 'NXDOMAIN whose NSEC does not cover the name',
+    response: message('nx.test', 'A', { rcode: 'NXDOMAIN', authorities: [...soa(test), ...test.nsecFor('www.test'), ...test.nsecFor('*.test')] }),
+    expect: 'bogus',
+    ede: 12,
+  },
+  {
+    name: 'DNSKEY set replaced by keys the DS does not match',
+    response: message('www.test', 'A', { answers: [...test.rrset('www.test', 'A'), signRrset(test.rrset('www.test', 'A'), 'test', forgedKey)] }),
+    exchanges: { 'test DNSKEY': message('test', 'DNSKEY', { answers: forgedDnskey.signed('test', 'DNSKEY') }) },
+    expect: 'bogus',
+    ede: 9,
+  },
+  {
+    name: 'signed delegation passed off as unsigned (DS stripped)',
+    response: message('www.p384.test', 'AAAA', { answers: p384.signed('www.p384.test', 'AAAA') }),
+    exchanges: { 'p384.test DS': message('p384.test', 'DS', { authorities: soa(test) }) },
+    expect: 'bogus',
+    ede: 9,
+  },
+]
+
+const rootDs = dsFor('.', rootKsk, 2)
+process.stdout.write(`${JSON.stringify({
+  description: 'Synthetic signed hierarchy generated by scripts/dnssec-fixtures.js',
+  now: new Date(NOW * 1000).toISOString(),
+  trustAnchors: `. IN DS ${rootDs.keyTag} ${rootDs.algorithm} ${rootDs.digestType} ${rootDs.digest.toString('hex').toUpperCase()}`,
+  exchanges,
+  cases,
+}, null, 2)}\n`)
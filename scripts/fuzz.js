@@ -0,0 +1,310 @@
+/*
+ Fuzz the edge wire parser (functions/dns-query.js) against dns-packet.
+
+ Random queries are generated with dns-packet, then truncated, bit-flipped,
+ given bogus counts, compression pointers or trailing garbage, and sent through
+ the edge handler with an in-process upstream. Each input is classified the way
+ the Node server (src/server.js) sees it:
+   framing  bad header counts, QR set, records overrunning the message or leaving
+            trailing bytes, misplaced or duplicate OPT, options overrunning OPT RDATA
+   content  framing is fine but dns-packet cannot decode a name, RDATA or option
+   accept   both parse it
+ Properties checked per case:
+   - the handler never throws and never answers with HTTP 5xx
+   - every answer is a DNS message carrying the query's ID
+   - framing errors are answered FORMERR; accepted queries never are, and
+     unmutated queries are always accepted
+   - an accepted query reaches the upstream decodable, with its question intact
+ The edge does not interpret RDATA or option contents, so content errors may be
+ forwarded as they are; those are only counted. With FUZZ_NODE_URL the same inputs
+ are also POSTed to a running Node server (started with
+ UPSTREAM_DOH=http://127.0.0.1:$FUZZ_UPSTREAM_PORT/dns-query), which must answer
+ FORMERR exactly for framing and content errors.
+
+ FUZZ_SEED=1 FUZZ_ITERATIONS=2000 node scripts/fuzz.js
+ */
+import http from 'node:http'
+import * as dnsPacket from 'dns-packet'
+import { onRequestGet, onRequestPost } from '../functions/dns-query.js'
+
+const SEED = Number(process.env.FUZZ_SEED || Date.now() % 1e9)
+const ITERATIONS = Number(process.env.FUZZ_ITERATIONS || 2000)
+const UPSTREAM_PORT = Number(process.env.FUZZ_UPSTREAM_PORT || 0)
+const NODE_URL = process.env.FUZZ_NODE_URL || ''
+
+const FORMERR = 1
+const TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'NS', 'PTR', 'SOA', 'SRV', 'TXT', 'CAA', 'DS', 'DNSKEY', 'HTTPS', 'ANY']
+const POLICIES = ['override', 'honor', 'clamp', 'strip']
+
+// mulberry32: small, seedable, good enough to make failures reproducible
+function prng(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+const random = prng(SEED)
+const int = (n) => Math.floor(random() * n)
+const pick = (list) => list[int(list.length)]
+const chance = (p) => random() < p
+
+function randomName() {
+  const labels = []
+  const count = 1 + int(4)
+  for (let i = 0; i < count; i++) {
+    const len = chance(0.05) ? 63 : 1 + int(12)
+    let label = ''
+    for (let j = 0; j < len; j++) label += 'abcdefghijklmnopqrstuvwxyz0123456789-'[int(37)]
+    labels.push(label)
+  }
+  return labels.join('.')
+}
+
+function randomOption() {
+  switch (int(3)) {
+    case 0: {
+      const family = chance(0.5) ? 1 : 2
+      const ip = family === 1 ? `${int(224)}.${int(256)}.${int(256)}.0` : `2001:db8:${int(65536).toString(16)}::`
+      return { code: 'CLIENT_SUBNET', family, sourcePrefixLength: int(family === 1 ? 33 : 129), ip }
+    }
+    case 1:
+      return { code: 'COOKIE', data: Buffer.from(Array.from({ length: 8 }, () => int(256))) }
+    default:
+      return { code: 'PADDING', length: int(64) }
+  }
+}
+
+function randomQuery() {
+  const name = randomName()
+  const additionals = []
+  if (chance(0.7)) {
+    const options = Array.from({ length: int(3) }, randomOption)
+    additionals.push({ type: 'OPT', name: '.', udpPayloadSize: pick([512, 1232, 4096]), flags: chance(0.3) ? dnsPacket.DNSSEC_OK : 0, options })
+  }
+  return dnsPacket.encode({
+    type: 'query',
+    id: int(65536),
+    flags: (chance(0.9) ? dnsPacket.RECURSION_DESIRED : 0) | (chance(0.1) ? dnsPacket.CHECKING_DISABLED : 0),
+    // A repeated name makes the encoder emit compression pointers
+    questions: [{ type: pick(TYPES), name }],
+    answers: chance(0.05) ? [{ type: 'A', name, ttl: 60, data: '192.0.2.1' }] : [],
+    additionals,
+  })
+}
+
+function mutate(buf) {
+  const out = Buffer.from(buf)
+  switch (int(7)) {
+    case 0:
+      return out.subarray(0, int(out.length))
+    case 1: {
+      for (let i = 1 + int(4); i > 0; i--) out[int(out.length)] ^= 1 << int(8)
+      return out
+    }
+    case 2:
+      out.writeUInt16BE(pick([0, 1, 2, 0xffff, int(65536)]), pick([4, 6, 8, 10]))
+      return out
+    case 3: {
+      // A compression pointer anywhere, often at or after itself
+      const at = 12 + int(Math.max(1, out.length - 13))
+      out[at] = 0xc0 | int(0x40)
+      if (at + 1 < out.length) out[at + 1] = chance(0.5) ? at & 0xff : int(256)
+      return out
+    }
+    case 4:
+      return Buffer.concat([out, Buffer.from(Array.from({ length: 1 + int(8) }, () => int(256)))])
+    case 5: {
+      // Oversized RDLENGTH on the last record
+      if (out.length >= 14) out.writeUInt16BE(pick([out.length, 0xffff, int(65536)]), out.length - 2 - int(2))
+      return out
+    }
+    default:
+      return Buffer.from(Array.from({ length: int(64) }, () => int(256)))
+  }
+}
+
+// The Node server's view of a query: null (not even an ID), 'framing', 'content' or 'accept'
+function classify(buf) {
+  if (buf.length < 2) return null
+  try {
+    checkQueryFraming(buf)
+  } catch {
+    return 'framing'
+  }
+  try {
+    dnsPacket.decode(buf)
+    return dnsPacket.decode.bytes === buf.length ? 'accept' : 'content'
+  } catch {
+    return 'content'
+  }
+}
+
+// Same checks as checkQueryFraming in src/server.js, which cannot be imported here
+function checkQueryFraming(buf) {
+  if (buf.length < 12) throw new Error('short')
+  if (buf[2] & 0x80) throw new Error('QR')
+  const [qd, an, ns, ar] = [4, 6, 8, 10].map((o) => buf.readUInt16BE(o))
+  if (qd !== 1) throw new Error('QDCOUNT')
+  let off = skipWireName(buf, 12) + 4
+  let opts = 0
+  for (let i = 0; i < an + ns + ar; i++) {
+    const owner = off
+    off = skipWireName(buf, off)
+    if (off + 10 > buf.length) throw new Error('truncated')
+    const end = off + 10 + buf.readUInt16BE(off + 8)
+    if (end > buf.length) throw new Error('RDLENGTH')
+    if (buf.readUInt16BE(off) === 41) {
+      if (i < an + ns || ++opts > 1 || buf[owner] !== 0) throw new Error('OPT')
+      for (let p = off + 10; p < end; p += 4 + buf.readUInt16BE(p + 2)) {
+        if (p + 4 > end || p + 4 + buf.readUInt16BE(p + 2) > end) throw new Error('option')
+      }
+    }
+    off = end
+  }
+  if (off !== buf.length) throw new Error('length')
+}
+
+function skipWireName(buf, off) {
+  for (;;) {
+    if (off >= buf.length) throw new Error('truncated')
+    if (buf[off] === 0) return off + 1
+    if ((buf[off] & 0xc0) === 0xc0) return off + 2
+    off += 1 + buf[off]
+  }
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/g, '')
+}
+
+// Upstream: decodes what the edge forwards and answers with the query's own bytes
+// (QR and RA set), so question and ECS are echoed exactly, binary labels included
+let forwarded = null
+const upstream = http.createServer((req, res) => {
+  const chunks = []
+  req.on('data', (c) => chunks.push(c))
+  req.on('end', () => {
+    const body = Buffer.concat(chunks)
+    try {
+      forwarded = { ok: true, query: dnsPacket.decode(body) }
+      body[2] |= 0x80
+      body[3] |= 0x80
+      res.writeHead(200, { 'content-type': 'application/dns-message' })
+      res.end(body)
+    } catch (err) {
+      forwarded = { ok: false, error: err.message, body }
+      res.writeHead(400)
+      res.end()
+    }
+  })
+})
+await new Promise((resolve) => upstream.listen(UPSTREAM_PORT, '127.0.0.1', resolve))
+const env = {
+  UPSTREAM_DOH: `http://127.0.0.1:${upstream.address().port}/dns-query`,
+  CACHE_SIZE: '0',
+  TRUSTED_PROXIES: '',
+}
+
+async function edge(buf, useGet) {
+  env.ECS_POLICY = pick(POLICIES)
+  const clientIp = pick(['', '203.0.113.9', '198.51.100.7', '8.8.8.8', '2001:4860::1', '10.0.0.1'])
+  if (useGet) {
+    const request = new Request(`http://fuzz/dns-query?dns=${b64url(buf)}`, { headers: { accept: 'application/dns-message' } })
+    return onRequestGet({ request, env, clientIp })
+  }
+  const request = new Request('http://fuzz/dns-query', { method: 'POST', body: buf, headers: { 'content-type': 'application/dns-message' } })
+  return onRequestPost({ request, env, clientIp })
+}
+
+async function nodeFormErr(buf) {
+  const res = await fetch(NODE_URL, { method: 'POST', body: buf, headers: { 'content-type': 'application/dns-message' } })
+  const answer = Buffer.from(await res.arrayBuffer())
+  return res.status === 200 && answer.length === 12 && (answer[3] & 0x0f) === FORMERR
+}
+
+const failures = []
+const counts = { cases: 0, formerr: 0, forwarded: 0, rejected400: 0, contentForwarded: 0 }
+function fail(reason, buf, detail = '') {
+  failures.push({ reason, hex: Buffer.from(buf).toString('hex'), detail })
+}
+
+for (let i = 0; i < ITERATIONS; i++) {
+  const original = randomQuery()
+  const mutated = chance(0.2) ? original : mutate(original)
+  const verdict = classify(mutated)
+  forwarded = null
+  counts.cases++
+
+  let res
+  try {
+    res = await edge(mutated, chance(0.3))
+  } catch (err) {
+    fail('handler threw', mutated, err.stack)
+    continue
+  }
+  if (verdict === null) {
+    if (res.status !== 400) fail(`expected 400 for a ${mutated.length}-byte body, got ${res.status}`, mutated)
+    counts.rejected400++
+    continue
+  }
+  if (res.status >= 500) {
+    fail(`HTTP ${res.status}`, mutated)
+    continue
+  }
+  if (forwarded) counts.forwarded++
+  if (forwarded && verdict === 'content') counts.contentForwarded++
+  // The upstream refuses what it cannot decode; only content errors may get that far
+  if (forwarded && !forwarded.ok) {
+    if (verdict !== 'content') fail(`forwarded message does not decode: ${forwarded.error}`, mutated)
+    continue
+  }
+  if (res.status !== 200) {
+    fail(`HTTP ${res.status}`, mutated)
+    continue
+  }
+  const answer = Buffer.from(await res.arrayBuffer())
+  let decoded
+  try {
+    decoded = dnsPacket.decode(answer)
+  } catch (err) {
+    fail('answer does not decode', mutated, err.message)
+    continue
+  }
+  if (decoded.id !== mutated.readUInt16BE(0)) fail('answer ID differs from query ID', mutated)
+
+  const formerr = decoded.rcode === 'FORMERR' && !forwarded
+  if (formerr) counts.formerr++
+  if (mutated === original && verdict !== 'accept') fail(`unmutated query classified ${verdict}`, mutated)
+  if (verdict === 'framing' && !formerr) fail('framing error not answered FORMERR', mutated)
+  if (verdict === 'accept' && formerr) fail('valid query answered FORMERR', mutated)
+
+  if (verdict === 'accept' && forwarded) {
+    const q = dnsPacket.decode(mutated).questions[0]
+    const fq = forwarded.query.questions[0]
+    if (fq.name !== q.name || fq.type !== q.type || fq.class !== q.class) fail('forwarded question differs', mutated, `${fq.name} ${fq.type}`)
+  }
+
+  if (NODE_URL && (await nodeFormErr(mutated)) !== (verdict !== 'accept')) {
+    fail(`Node server disagrees with the ${verdict} verdict`, mutated)
+  }
+}
+
+// Bad HTTP inputs: GET with invalid base64url and an empty POST
+for (const dns of ['@@@@', 'AAAA*', 'A', 'a b', '%00']) {
+  const res = await onRequestGet({ request: new Request(`http://fuzz/dns-query?dns=${dns}`), env })
+  if (res.status !== 400) fail(`GET dns=${dns} answered HTTP ${res.status}`, Buffer.alloc(0))
+}
+const empty = await onRequestPost({ request: new Request('http://fuzz/dns-query', { method: 'POST', body: new Uint8Array(0), headers: { 'content-type': 'application/dns-message' } }), env })
+if (empty.status !== 400) fail(`empty POST answered HTTP ${empty.status}`, Buffer.alloc(0))
+
+upstream.close()
+console.log(`seed ${SEED}: ${counts.cases} cases, ${counts.formerr} FORMERR, ${counts.forwarded} forwarded (${counts.contentForwarded} with content errors), ${counts.rejected400} HTTP 400`)
+for (const f of failures.slice(0, 10)) console.log(`FAIL ${f.reason}\n  ${f.hex}${f.detail ? `\n  ${f.detail}` : ''}`)
+if (failures.length) {
+  console.log(`${failures.length} failures; rerun with FUZZ_SEED=${SEED}`)
+  process.exit(1)
+}
@@ -0,0 +1,83 @@
+/*
+ Check the Oblivious DoH crypto (lib/hpke.js, lib/odoh.js), offline.
+
+ HPKE is run against the RFC 9180 §A.1.1 test vector (DHKEM(X25519, HKDF-SHA256),
+ HKDF-SHA256, AES-128-GCM, base mode): derived keys, the first two sealed messages and
+ an exported secret. Then ODoH queries are sealed to a target and answered through it,
+ and tampered, truncated or misaddressed messages must be turned away.
+
+ node scripts/odoh-check.js
+ */
+import { deriveKeyPair, setupReceiver, setupSender } from '../lib/hpke.js'
+import { createOdohTarget, sealOdohQuery } from '../lib/odoh.js'
+
+const VECTOR = {
+  ikmE: '7268600d403fce431561aef583ee1613527cff655c1343f29812e66706df3234',
+  pkEm: '37fda3567bdbd628e88668c3c8d7e97d1d1253b6d4ea6d44c150f741f1bf4431',
+  ikmR: '6db9df30aa07dd42ee5e8181afdb977e538f5e1fec8a06223f33f7013e525037',
+  info: '4f6465206f6e2061204772656369616e2055726e',
+  pt: '4265617574792069732074727574682c20747275746820626561757479',
+  encryptions: [
+    { aad: '436f756e742d30', ct: 'f938558b5d72f1a23810b4be2ab4f84331acc02fc97babc53a52ae8218a355a96d8770ac83d07bea87e13c512a' },
+    { aad: '436f756e742d31', ct: 'af2d7e9ac9ae7e270f46ba1f975be53c09f8d875bdc8535458c2494e8a6eab251c03d0c22a56b8ca42c2063b84' },
+  ],
+  exports: [{ context: '', length: 32, value: '3853fe2b4035195a573ffc53856e77058e15d9ea064de3e59f4961d0095250ee' }],
+}
+
+const hex = (s) => Uint8Array.from(Buffer.from(s, 'hex'))
+const toHex = (bytes) => Buffer.from(bytes).toString('hex')
+
+let failed = 0
+function check(label, ok, detail = '') {
+  if (!ok) failed++
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}${detail ? `: ${detail}` : ''}`)
+}
+
+async function hpkeVector() {
+  const ephemeral = await deriveKeyPair(hex(VECTOR.ikmE))
+  const recipient = await deriveKeyPair(hex(VECTOR.ikmR))
+  check('HPKE ephemeral key from ikmE', toHex(ephemeral.publicKey) === VECTOR.pkEm, toHex(ephemeral.publicKey))
+  const sender = await setupSender(recipient.publicKey, hex(VECTOR.info), ephemeral)
+  const receiver = await setupReceiver(sender.enc, recipient, hex(VECTOR.info))
+  for (const [seq, { aad, ct }] of VECTOR.encryptions.entries()) {
+    const sealed = toHex(await sender.seal(hex(aad), hex(VECTOR.pt)))
+    check(`HPKE seal, sequence ${seq}`, sealed === ct, sealed)
+    const opened = toHex(await receiver.open(hex(aad), hex(ct)))
+    check(`HPKE open, sequence ${seq}`, opened === VECTOR.pt, opened)
+  }
+  for (const { context, length, value } of VECTOR.exports) {
+    const exported = toHex(await receiver.export(hex(context), length))
+    check(`HPKE export, context "${context}"`, exported === value, exported)
+  }
+}
+
+async function odohRoundTrip() {
+  const seed = hex('11'.repeat(32))
+  const target = await createOdohTarget({ seed })
+  check('ODoH key from a seed is stable', toHex((await createOdohTarget({ seed })).configs) === toHex(target.configs))
+  const query = hex('abcd01000001000000000000076578616d706c6503636f6d0000010001')
+  const answer = hex('abcd81800001000100000000076578616d706c6503636f6d0000010001c00c000100010000012c0004c0000201')
+
+  const client = await sealOdohQuery(target.configs, query, 64)
+  const opened = await target.open(client.message)
+  check('ODoH query opens', opened.status === 200 && toHex(opened.query) === toHex(query), opened.error)
+  const response = await opened.seal(answer)
+  check('ODoH answer opens', toHex(await client.open(response)) === toHex(answer))
+
+  const tampered = new Uint8Array(client.message)
+  tampered[tampered.length - 1] ^= 1
+  check('tampered query is 400', (await target.open(tampered)).status === 400)
+  check('truncated query is 400', (await target.open(client.message.subarray(0, 40))).status === 400)
+  const stranger = await sealOdohQuery((await createOdohTarget()).configs, query)
+  check('query for another key is 401', (await target.open(stranger.message)).status === 401)
+  const badResponse = new Uint8Array(response)
+  badResponse[badResponse.length - 1] ^= 1
+  check('tampered answer is rejected', await client.open(badResponse).then(() => false, () => true))
+  const other = await sealOdohQuery(target.configs, query)
+  check('answer to another query is rejected', await other.open(response).then(() => false, () => true))
+}
+
+await hpkeVector()
+await odohRoundTrip()
+console.log(failed ? `${failed} check(s) failed` : 'all checks passed')
+process.exit(failed ? 1 : 0)
@@ -0,0 +1,123 @@
+/*
+ Check what the Node server sends to each kind of upstream, offline.
+
+ Starts src/server.js once per upstream scheme against an in-process upstream that
+ records the queries it receives and answers each with one A record. Checked:
+   - udp:// and tcp:// upstreams get no EDNS Padding (option 12): padding only hides
+     anything on encrypted hops (RFC 8467), and a client's own Padding is removed too
+   - https:// upstreams get queries padded to UPSTREAM_PADDING_BLOCK
+
+ node scripts/upstream-check.js
+ */
+import { spawn } from 'node:child_process'
+import dgram from 'node:dgram'
+import http from 'node:http'
+import net from 'node:net'
+import * as dnsPacket from 'dns-packet'
+import { frameReader } from '../src/dns-listener.js'
+
+let failed = 0
+function check(label, ok, detail = '') {
+  if (!ok) failed++
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}${detail ? `: ${detail}` : ''}`)
+}
+
+// Queries the upstreams received, as wire buffers
+const received = []
+
+function answer(wire) {
+  received.push(wire)
+  const query = dnsPacket.decode(wire)
+  return dnsPacket.encode({
+    type: 'response',
+    id: query.id,
+    flags: dnsPacket.RECURSION_DESIRED | dnsPacket.RECURSION_AVAILABLE,
+    questions: query.questions,
+    answers: [{ type: 'A', name: query.questions[0].name, ttl: 300, data: '192.0.2.1' }],
+  })
+}
+
+const udp = dgram.createSocket('udp4')
+udp.on('message', (msg, rinfo) => udp.send(answer(msg), rinfo.port, rinfo.address))
+await new Promise((resolve) => udp.bind(0, '127.0.0.1', resolve))
+
+const tcp = net.createServer((socket) => {
+  socket.on('error', () => {})
+  socket.on('data', frameReader((msg) => {
+    const out = answer(msg)
+    const length = Buffer.alloc(2)
+    length.writeUInt16BE(out.length, 0)
+    socket.write(Buffer.concat([length, out]))
+  }))
+})
+await new Promise((resolve) => tcp.listen(0, '127.0.0.1', resolve))
+
+const doh = http.createServer((req, res) => {
+  const chunks = []
+  req.on('data', (c) => chunks.push(c))
+  req.on('end', () => {
+    res.writeHead(200, { 'content-type': 'application/dns-message' })
+    res.end(answer(Buffer.concat(chunks)))
+  })
+})
+await new Promise((resolve) => doh.listen(0, '127.0.0.1', resolve))
+
+async function freePort() {
+  const probe = net.createServer()
+  await new Promise((resolve) => probe.listen(0, '127.0.0.1', resolve))
+  const { port } = probe.address()
+  await new Promise((resolve) => probe.close(resolve))
+  return port
+}
+
+// Runs the server against upstream, sends one padded query through /dns-query and
+// returns the wire the upstream received, or null
+async function forward(upstream) {
+  const port = await freePort()
+  const server = spawn(process.execPath, ['src/server.js'], {
+    env: { ...process.env, PORT: String(port), UPSTREAM_DOH: upstream, UPSTREAM_PADDING_BLOCK: '128' },
+    stdio: 'ignore',
+  })
+  try {
+    const base = `http://127.0.0.1:${port}`
+    for (let i = 0; i < 50; i++) {
+      const up = await fetch(`${base}/healthz`).then(() => true, () => false)
+      if (up) break
+      await new Promise((resolve) => setTimeout(resolve, 100))
+    }
+    const query = dnsPacket.encode({
+      type: 'query',
+      id: 1,
+      flags: dnsPacket.RECURSION_DESIRED,
+      questions: [{ type: 'A', name: 'example.com' }],
+      additionals: [{ type: 'OPT', name: '.', udpPayloadSize: 1232, options: [{ code: 'PADDING', length: 40 }] }],
+    })
+    received.length = 0
+    const res = await fetch(`${base}/dns-query`, { method: 'POST', headers: { 'content-type': 'application/dns-message' }, body: query })
+    await res.arrayBuffer()
+    return received[0] || null
+  } finally {
+    server.kill()
+  }
+}
+
+function paddingOf(wire) {
+  const opt = dnsPacket.decode(wire).additionals.find((r) => r.type === 'OPT')
+  return opt ? opt.options.find((o) => o.code === 12) : null
+}
+
+for (const scheme of ['udp', 'tcp']) {
+  const port = scheme === 'udp' ? udp.address().port : tcp.address().port
+  const wire = await forward(`${scheme}://127.0.0.1:${port}`)
+  check(`${scheme}:// upstream is asked`, !!wire)
+  check(`${scheme}:// query carries no Padding option`, !!wire && !paddingOf(wire))
+}
+const wire = await forward(`http://127.0.0.1:${doh.address().port}/dns-query`)
+check('DoH upstream is asked', !!wire)
+check('DoH query is padded to the block', !!wire && !!paddingOf(wire) && wire.length % 128 === 0, wire ? `${wire.length} bytes` : '')
+
+udp.close()
+tcp.close()
+doh.close()
+console.log(failed ? `${failed} check(s) failed` : 'all checks passed')
+process.exit(failed ? 1 : 0)
@@ -0,0 +1,74 @@
+/*
+ Check the master-file parser for local zones (lib/zone.js), offline.
+
+ A small zone is parsed and every record encoded with dns-packet, so what loads also
+ goes on the wire; then lines with malformed data must be refused at load time with the
+ line number, not fail later on every query for the name.
+
+ node scripts/zone-check.js
+ */
+import * as dnsPacket from 'dns-packet'
+import { parseZone } from '../lib/zone.js'
+
+let failed = 0
+function check(label, ok, detail = '') {
+  if (!ok) failed++
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${label}${detail ? `: ${detail}` : ''}`)
+}
+
+const ZONE = `
+$ORIGIN home.arpa.
+$TTL 1h
+@        IN SOA ns hostmaster 1 3600 600 86400 300
+         IN NS  ns
+ns          A    192.0.2.53
+nas         A    192.0.2.10
+            AAAA 2001:db8::10
+mapped      AAAA ::ffff:192.0.2.11
+www      5m CNAME nas
+@           MX   10 nas
+_smb._tcp   SRV  0 0 445 nas
+nas         TXT  "model=ds" "rack 2"
+`
+
+const records = parseZone(ZONE)
+check('every record is parsed', records.length === 10, String(records.length))
+const aaaa = records.filter((r) => r.type === 'AAAA').map((r) => r.data)
+check('AAAA data kept', aaaa.join(' ') === '2001:db8::10 ::ffff:192.0.2.11', aaaa.join(' '))
+const www = records.find((r) => r.name === 'www.home.arpa')
+check('relative names and TTL units', !!www && www.data === 'nas.home.arpa' && www.ttl === 300, www && `${www.data} ${www.ttl}`)
+let encodes = true
+for (const r of records) {
+  try {
+    dnsPacket.encode({ type: 'response', answers: [{ name: r.name, type: r.type, class: r.class, ttl: r.ttl, data: r.data }] })
+  } catch (err) {
+    encodes = false
+    console.log(`  ${r.name} ${r.type}: ${err.message}`)
+  }
+}
+check('every record encodes', encodes)
+
+const BAD = [
+  ['x A 192.0.2.256', /bad IPv4 address/],
+  ['x A 192.0.2', /bad IPv4 address/],
+  ['x AAAA 1:::2', /bad IPv6 address/],
+  ['x AAAA ::::', /bad IPv6 address/],
+  ['x AAAA 1.2.3.4:', /bad IPv6 address/],
+  ['x AAAA 2001:db8::1:2:3:4:5:6:7', /bad IPv6 address/],
+  ['x AAAA 2001:db8::/64', /bad IPv6 address/],
+  ['x AAAA 192.0.2.1', /bad IPv6 address/],
+  ['x MX mail', /MX needs 2 fields/],
+  ['x CH A 192.0.2.1', /only class IN/],
+]
+for (const [line, expected] of BAD) {
+  let message = ''
+  try {
+    parseZone(`$ORIGIN example.\n${line}\n`)
+  } catch (err) {
+    message = err.message
+  }
+  check(`refused: ${line}`, expected.test(message) && message.startsWith('zone line 2:'), message || 'accepted')
+}
+
+console.log(failed ? `${failed} check(s) failed` : 'all checks passed')
+process.exit(failed ? 1 : 0)
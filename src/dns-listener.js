@@ -0,0 +1,242 @@
+// Plain DNS (RFC 1035) over UDP and TCP for clients that cannot speak DoH
+//
+// Queries go through the same pipeline as /dns-query via `handle`. Behind a load
+// balancer the client address comes from a PROXY protocol v2 header (in front of every
+// datagram on UDP, once per connection on TCP), honoured only from trusted proxies.
+// UDP answers larger than the client's EDNS buffer size are truncated with TC set so
+// the client retries over TCP; TCP uses 2-byte length framing and may carry pipelined
+// queries (RFC 7766). createDotListener serves the same framing over TLS (RFC 7858).
+
+import dgram from 'node:dgram'
+import net from 'node:net'
+import tls from 'node:tls'
+import * as dnsPacket from 'dns-packet'
+import ipaddr from 'ipaddr.js'
+import { cidrListContains } from '../lib/client-ip.js'
+
+const PROXY_V2_SIGNATURE = Buffer.from('0d0a0d0a000d0a515549540a', 'hex')
+
+// PROXY protocol v2 header at the start of buf: null if there is none, { incomplete }
+// if more bytes are needed, else { length, ip } with ip null for LOCAL connections
+// (load balancer health checks) and address families we cannot use. Throws if malformed.
+export function parseProxyV2(buf) {
+  const head = buf.subarray(0, Math.min(buf.length, 12))
+  if (!PROXY_V2_SIGNATURE.subarray(0, head.length).equals(head)) return null
+  if (buf.length < 16) return { incomplete: true }
+  const length = 16 + buf.readUInt16BE(14)
+  if (buf.length < length) return { incomplete: true }
+  if (buf[12] >> 4 !== 2) throw new Error('unsupported PROXY protocol version')
+  const command = buf[12] & 0x0f
+  if (command === 0) return { length, ip: null }
+  if (command !== 1) throw new Error('unsupported PROXY protocol command')
+  const family = buf[13] >> 4
+  if (family === 1 && length >= 16 + 12) return { length, ip: addressFromBytes(buf.subarray(16, 20)) }
+  if (family === 2 && length >= 16 + 36) return { length, ip: addressFromBytes(buf.subarray(16, 32)) }
+  return { length, ip: null }
+}
+
+function addressFromBytes(bytes) {
+  return ipaddr.process(ipaddr.fromByteArray([...bytes]).toString()).toString()
+}
+
+// Largest UDP answer the client takes: its EDNS buffer size, or 512 without EDNS
+// (RFC 6891 §6.2.5), capped at maxPayload
+export function udpPayloadLimit(query, maxPayload) {
+  let size = 512
+  try {
+    const opt = dnsPacket.decode(query).additionals.find((r) => r.type === 'OPT')
+    if (opt) size = Math.max(512, opt.udpPayloadSize)
+  } catch {}
+  return Math.min(size, Math.max(512, maxPayload))
+}
+
+// TC set and every record dropped except OPT (RFC 2181 §9), so the client retries over TCP
+export function truncateAnswer(answer) {
+  try {
+    const packet = dnsPacket.decode(answer)
+    packet.flags |= dnsPacket.TRUNCATED_RESPONSE
+    packet.answers = []
+    packet.authorities = []
+    packet.additionals = packet.additionals.filter((r) => r.type === 'OPT')
+    return dnsPacket.encode(packet)
+  } catch {
+    const out = Buffer.alloc(12)
+    answer.copy(out, 0, 0, 4)
+    out[2] |= 0x02
+    return out
+  }
+}
+
+// handle(query, client, transport) -> Promise<Buffer | null>: the answer, or null to send
+// nothing. client is { ip, source, reason } like resolveClientIp's result.
+export function createDnsListeners({
+  host = '0.0.0.0',
+  port = 53,
+  proxyProtocol = false,
+  trustedProxies = [],
+  maxUdpPayload = 1232,
+  tcpIdleMs = 10000,
+  handle,
+  log,
+}) {
+  const udp = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4')
+  const tcp = net.createServer(onConnection)
+
+  function direct(peer) {
+    return { ip: normalizeAddress(peer), source: 'socket', reason: proxyProtocol ? 'peer is not a trusted proxy' : 'plain DNS peer' }
+  }
+
+  function proxied(header, peer) {
+    if (!header.ip) return { ip: normalizeAddress(peer), source: 'socket', reason: 'PROXY header without a client address' }
+    return { ip: header.ip, source: 'proxy-protocol', reason: 'PROXY v2 header from trusted proxy' }
+  }
+
+  function expectsHeader(peer) {
+    return proxyProtocol && cidrListContains(trustedProxies, peer)
+  }
+
+  udp.on('message', async (msg, rinfo) => {
+    let query = msg
+    let client = direct(rinfo.address)
+    if (expectsHeader(rinfo.address)) {
+      let header
+      try {
+        header = parseProxyV2(msg)
+      } catch (err) {
+        log.debug({ err: err.message }, 'bad PROXY header')
+        return
+      }
+      if (header && header.incomplete) return
+      if (header) {
+        query = msg.subarray(header.length)
+        client = proxied(header, rinfo.address)
+      }
+    }
+    try {
+      let answer = await handle(query, client, 'udp')
+      if (!answer) return
+      if (answer.length > udpPayloadLimit(query, maxUdpPayload)) answer = truncateAnswer(answer)
+      udp.send(answer, rinfo.port, rinfo.address)
+    } catch (err) {
+      log.error({ err }, 'udp query failed')
+    }
+  })
+  udp.on('error', (err) => log.error({ err }, 'udp socket error'))
+
+  function onConnection(socket) {
+    const peer = socket.remoteAddress
+    let client = direct(peer)
+    let header = expectsHeader(peer) ? Buffer.alloc(0) : null
+    const read = frameReader((query) => answerStream(socket, query, client, 'tcp', handle, log))
+
+    socket.setTimeout(tcpIdleMs, () => socket.destroy())
+    socket.on('error', () => {})
+    socket.on('data', (chunk) => {
+      if (header) {
+        header = Buffer.concat([header, chunk])
+        let parsed
+        try {
+          parsed = parseProxyV2(header)
+        } catch (err) {
+          log.debug({ err: err.message }, 'bad PROXY header')
+          return socket.destroy()
+        }
+        if (parsed && parsed.incomplete) return
+        if (parsed) client = proxied(parsed, peer)
+        chunk = parsed ? header.subarray(parsed.length) : header
+        header = null
+      }
+      read(chunk)
+    })
+  }
+
+  return {
+    async listen() {
+      await new Promise((resolve, reject) => {
+        udp.once('error', reject)
+        udp.bind(port, host, () => {
+          udp.off('error', reject)
+          resolve()
+        })
+      })
+      await listenStream(tcp, port, host)
+      return `${host}:${port}`
+    },
+    close() {
+      udp.close()
+      tcp.close()
+    },
+  }
+}
+
+// DNS over TLS (RFC 7858) on `port`: the same framing as TCP, the TLS peer address is the
+// client. setCertificate({ cert, key }) swaps the certificate for new connections only.
+export function createDotListener({ host = '0.0.0.0', port = 853, cert, key, idleMs = 10000, handle, log }) {
+  const server = tls.createServer({ cert, key, handshakeTimeout: idleMs }, (socket) => {
+    const client = { ip: normalizeAddress(socket.remoteAddress), source: 'socket', reason: 'TLS peer' }
+    const read = frameReader((query) => answerStream(socket, query, client, 'tls', handle, log))
+    socket.setTimeout(idleMs, () => socket.destroy())
+    socket.on('error', () => {})
+    socket.on('data', read)
+  })
+  server.on('tlsClientError', (err) => log.debug({ err: err.message }, 'TLS handshake failed'))
+
+  return {
+    async listen() {
+      await listenStream(server, port, host)
+      return `${host}:${port}`
+    },
+    setCertificate({ cert, key }) {
+      server.setSecureContext({ cert, key })
+    },
+    close() {
+      server.close()
+    },
+  }
+}
+
+// Feeds stream chunks in, calls onMessage with each complete 2-byte length-prefixed message
+export function frameReader(onMessage) {
+  let pending = Buffer.alloc(0)
+  return (chunk) => {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk
+    while (pending.length >= 2 && pending.length >= 2 + pending.readUInt16BE(0)) {
+      const message = Buffer.from(pending.subarray(2, 2 + pending.readUInt16BE(0)))
+      pending = pending.subarray(2 + message.length)
+      onMessage(message)
+    }
+  }
+}
+
+// Pipelined queries are answered as each one completes, so possibly out of order (RFC 7766 §6.2.1.1).
+// A query that gets no answer is skipped; the connection stays open for the others.
+async function answerStream(socket, query, client, transport, handle, log) {
+  try {
+    const answer = await handle(query, client, transport)
+    if (!answer || socket.destroyed) return
+    const length = Buffer.alloc(2)
+    length.writeUInt16BE(answer.length, 0)
+    socket.write(Buffer.concat([length, answer]))
+  } catch (err) {
+    log.error({ err }, `${transport} query failed`)
+    socket.destroy()
+  }
+}
+
+function listenStream(server, port, host) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, () => {
+      server.off('error', reject)
+      resolve()
+    })
+  })
+}
+
+function normalizeAddress(ip) {
+  try {
+    return ipaddr.process(ip).toString()
+  } catch {
+    return ip || ''
+  }
+}
@@ -0,0 +1,173 @@
+// Classic DNS upstreams for the Node server: udp://host[:port], tcp://host[:port] and
+// tls://host[:port][?servername=name] (DNS over TLS, RFC 7858)
+//
+// Every query leaves with a random ID, and only an answer carrying that ID and the same
+// question is accepted, so a spoofed or stray datagram cannot stand in for the real one.
+// UDP uses a fresh socket (and source port) per query and retries over TCP when the
+// answer comes back truncated. TCP and TLS keep one connection per upstream open between
+// queries and pipeline over it, matching answers by ID as they arrive (RFC 7766).
+
+import { randomInt } from 'node:crypto'
+import dgram from 'node:dgram'
+import net from 'node:net'
+import tls from 'node:tls'
+import { frameReader } from './dns-listener.js'
+
+const DEFAULT_PORTS = { 'udp:': 53, 'tcp:': 53, 'tls:': 853 }
+
+export function isSocketUpstream(url) {
+  return /^(udp|tcp|tls):\/\//i.test(url)
+}
+
+// 'tls://[2606:4700::1111]?servername=one.one.one.one' -> { protocol, host, port, servername }
+export function parseSocketUpstream(url) {
+  const u = new URL(url)
+  const protocol = u.protocol.toLowerCase()
+  if (!(protocol in DEFAULT_PORTS) || !u.hostname) throw new Error(`invalid DNS upstream ${url}`)
+  const host = u.hostname.replace(/^\[(.*)\]$/, '$1')
+  const port = u.port ? Number(u.port) : DEFAULT_PORTS[protocol]
+  const servername = u.searchParams.get('servername') || (net.isIP(host) ? undefined : host)
+  return { protocol, host, port, servername }
+}
+
+// exchange(url, query, signal) resolves with the upstream's answer to the wire query,
+// under the query's own ID; it rejects on timeout (signal), network errors and closed
+// connections. idleMs closes pooled TCP/TLS connections nobody has used for that long.
+export function createSocketUpstreams({ idleMs = 10000 } = {}) {
+  const targets = new Map()
+  const connections = new Map()
+
+  function target(url) {
+    let t = targets.get(url)
+    if (!t) targets.set(url, (t = { url, ...parseSocketUpstream(url) }))
+    return t
+  }
+
+  function connection(t, protocol) {
+    const key = `${protocol}//${t.host}:${t.port}`
+    const existing = connections.get(key)
+    if (existing && !existing.socket.destroyed) return { conn: existing, reused: true }
+    const socket = protocol === 'tls:'
+      ? tls.connect({ host: t.host, port: t.port, servername: t.servername })
+      : net.connect({ host: t.host, port: t.port })
+    const conn = { socket, pending: new Map() }
+    connections.set(key, conn)
+    socket.setNoDelay(true)
+    socket.setTimeout(idleMs, () => socket.destroy())
+    socket.on('error', () => {})
+    socket.on('data', frameReader((answer) => {
+      const p = answer.length >= 12 && conn.pending.get(answer.readUInt16BE(0))
+      if (p && sameQuestion(p.wire, answer)) p.settle(null, answer)
+    }))
+    socket.on('close', () => {
+      if (connections.get(key) === conn) connections.delete(key)
+      for (const p of conn.pending.values()) p.settle(Object.assign(new Error(`connection to ${t.url} closed`), { code: 'ECONNCLOSED' }))
+    })
+    return { conn, reused: false }
+  }
+
+  function exchangeStream(t, protocol, query, signal) {
+    const { conn, reused } = connection(t, protocol)
+    const id = freeId(conn.pending)
+    const wire = withId(query, id)
+    return new Promise((resolve, reject) => {
+      const settle = (err, answer) => {
+        conn.pending.delete(id)
+        if (signal) signal.removeEventListener('abort', onAbort)
+        err ? reject(err) : resolve(answer)
+      }
+      const onAbort = () => settle(signal.reason)
+      if (signal) signal.addEventListener('abort', onAbort, { once: true })
+      conn.pending.set(id, { wire, settle })
+      const length = Buffer.alloc(2)
+      length.writeUInt16BE(wire.length, 0)
+      conn.socket.write(Buffer.concat([length, wire]))
+    }).catch((err) => {
+      // The upstream may close an idle connection just as we reuse it: one retry on a fresh one
+      if (reused && err.code === 'ECONNCLOSED' && !(signal && signal.aborted)) return exchangeStream(t, protocol, query, signal)
+      throw err
+    })
+  }
+
+  function exchangeUdp(t, query, signal) {
+    const wire = withId(query, randomInt(0, 65536))
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket(net.isIPv6(t.host) ? 'udp6' : 'udp4')
+      let done = false
+      const settle = (err, answer) => {
+        if (done) return
+        done = true
+        socket.close()
+        if (signal) signal.removeEventListener('abort', onAbort)
+        err ? reject(err) : resolve(answer)
+      }
+      const onAbort = () => settle(signal.reason)
+      if (signal) signal.addEventListener('abort', onAbort, { once: true })
+      // connect() also makes the kernel drop datagrams from any other address
+      socket.on('message', (answer) => {
+        if (answer.length >= 12 && answer.readUInt16BE(0) === wire.readUInt16BE(0) && sameQuestion(wire, answer)) settle(null, answer)
+      })
+      socket.on('error', (err) => settle(err))
+      socket.connect(t.port, t.host, () => socket.send(wire))
+    })
+  }
+
+  return {
+    async exchange(url, query, signal) {
+      const t = target(url)
+      let answer
+      if (t.protocol === 'udp:') {
+        answer = await exchangeUdp(t, query, signal)
+        // TC: the full answer only fits over TCP (RFC 7766 §5)
+        if (answer[2] & 0x02) answer = await exchangeStream(t, 'tcp:', query, signal)
+      } else {
+        answer = await exchangeStream(t, t.protocol, query, signal)
+      }
+      return withId(answer, query.readUInt16BE(0))
+    },
+
+    close() {
+      for (const conn of connections.values()) conn.socket.destroy()
+      connections.clear()
+    },
+  }
+}
+
+function withId(buf, id) {
+  const out = Buffer.from(buf)
+  out.writeUInt16BE(id, 0)
+  return out
+}
+
+// A random ID not already in flight on this connection
+function freeId(pending) {
+  let id
+  do id = randomInt(0, 65536)
+  while (pending.has(id))
+  return id
+}
+
+// Same question section, names compared case-insensitively (the answer may echo 0x20 mixing)
+function sameQuestion(query, answer) {
+  if (query.readUInt16BE(4) === 0) return true
+  const end = questionEnd(query)
+  if (end < 0 || answer.length < end || answer.readUInt16BE(4) !== query.readUInt16BE(4)) return false
+  for (let i = 12; i < end - 4; i++) {
+    if (lower(query[i]) !== lower(answer[i])) return false
+  }
+  return query.readUInt32BE(end - 4) === answer.readUInt32BE(end - 4)
+}
+
+// Offset just past the first question (uncompressed name, type, class), or -1
+function questionEnd(buf) {
+  let i = 12
+  while (i < buf.length && buf[i] !== 0) {
+    if (buf[i] & 0xc0) return -1
+    i += buf[i] + 1
+  }
+  return i + 5 <= buf.length ? i + 5 : -1
+}
+
+function lower(byte) {
+  return byte >= 0x41 && byte <= 0x5a ? byte | 0x20 : byte
+}
@@ -0,0 +1,760 @@
+// DNSSEC validation (RFC 4033-4035, RFC 5155, RFC 6840) for the Node server
+//
+// validate(response) walks the chain of trust from the configured trust anchors
+// (DS records for the root) down to the zone that signed each RRset, fetching DS
+// and DNSKEY sets through `exchange`, and checks NSEC/NSEC3 proofs for denials and
+// wildcard expansions. The verdict is one of
+//   secure         every RRset and proof verified up to a trust anchor
+//   insecure       the data sits below a provably unsigned delegation, or the zone
+//                  only uses algorithms/digests we do not implement
+//   bogus          a signature, key or proof failed; must not reach the client
+//   indeterminate  keys or proofs could not be fetched
+// together with an RFC 8914 Extended DNS Error { code, text } for the last two.
+//
+// Supported algorithms: RSA/SHA-256 (8), RSA/SHA-512 (10), ECDSA P-256/SHA-256 (13),
+// ECDSA P-384/SHA-384 (14), Ed25519 (15). DS digests: SHA-1 (1), SHA-256 (2), SHA-384 (4).
+
+import { createHash, createPublicKey, verify } from 'node:crypto'
+
+// IANA root KSKs: KSK-2017 (20326) and KSK-2024 (38696)
+export const ROOT_TRUST_ANCHORS = `
+. IN DS 20326 8 2 E06D44B80B8F1D39A95C0B0D7C65D08458E880409BBC683457104237C7F8EC8D
+. IN DS 38696 8 2 683D2D0ACB8C9B712A1948B27F741219298D0A450D612C483AF444A4C0FB2B16
+`
+
+const T = { A: 1, NS: 2, CNAME: 5, SOA: 6, PTR: 12, MX: 15, TXT: 16, AAAA: 28, SRV: 33, DNAME: 39, DS: 43, RRSIG: 46, NSEC: 47, DNSKEY: 48, NSEC3: 50, ANY: 255 }
+
+// RFC 8914 INFO-CODEs
+export const EDE = {
+  UNSUPPORTED_ALGORITHM: 1,
+  UNSUPPORTED_DIGEST: 2,
+  BOGUS: 6,
+  SIGNATURE_EXPIRED: 7,
+  SIGNATURE_NOT_YET_VALID: 8,
+  DNSKEY_MISSING: 9,
+  RRSIGS_MISSING: 10,
+  NSEC_MISSING: 12,
+  NO_REACHABLE_AUTHORITY: 22,
+  UNSUPPORTED_NSEC3_ITERATIONS: 27,
+}
+
+const ALGORITHMS = new Set([8, 10, 13, 14, 15])
+const DIGESTS = { 1: 'sha1', 2: 'sha256', 4: 'sha384' }
+// RFC 9276: validators may treat NSEC3 chains with more iterations as insecure
+const MAX_NSEC3_ITERATIONS = 150
+
+// "<owner> [ttl] [IN] DS <tag> <alg> <digest type> <hex digest>" per line; ';' starts a comment
+export function parseTrustAnchors(text) {
+  return String(text || '')
+    .split('\n')
+    .map((line) => line.replace(/;.*/, '').trim())
+    .filter(Boolean)
+    .map((line) => {
+      const fields = line.split(/\s+/)
+      const at = fields.findIndex((f) => f.toUpperCase() === 'DS')
+      if (at < 1 || fields.length < at + 5) throw new Error(`invalid trust anchor: ${line}`)
+      const [keyTag, algorithm, digestType] = fields.slice(at + 1, at + 4).map(Number)
+      const digest = Buffer.from(fields.slice(at + 4).join(''), 'hex')
+      if (![keyTag, algorithm, digestType].every(Number.isInteger) || !digest.length) throw new Error(`invalid trust anchor: ${line}`)
+      return { owner: textToLabels(fields[0]), keyTag, algorithm, digestType, digest }
+    })
+}
+
+// exchange(name, type) -> Promise<Buffer>: a DO+CD query for name/type, answered by the
+// same upstream the client's query went to
+export function createValidator({ exchange, trustAnchors, now = Date.now, maxCacheTtl = 3600, maxCacheEntries = 5000 }) {
+  const anchors = trustAnchors.filter((ds) => ds.owner.length === 0)
+  // zone key (text) -> { result, expires }: outcome of looking for a delegation there
+  const cuts = new Map()
+
+  const nowSeconds = () => Math.floor(now() / 1000)
+
+  function cached(key) {
+    const hit = cuts.get(key)
+    if (hit && hit.expires > now()) return hit.result
+    if (hit) cuts.delete(key)
+    return null
+  }
+
+  function remember(key, result, ttl) {
+    cuts.set(key, { result, expires: now() + Math.min(ttl, maxCacheTtl) * 1000 })
+    while (cuts.size > maxCacheEntries) cuts.delete(cuts.keys().next().value)
+  }
+
+  async function fetchMessage(labels, type) {
+    return parseMessage(await exchange(labelsToText(labels), type))
+  }
+
+  // Validated DNSKEYs of `zone`, anchored by a validated DS set
+  async function keysFromDs(zone, dsSet) {
+    const usable = dsSet.filter((ds) => DIGESTS[ds.digestType] && ALGORITHMS.has(ds.algorithm))
+    if (!usable.length) {
+      const digestKnown = dsSet.some((ds) => DIGESTS[ds.digestType])
+      return insecure(digestKnown ? EDE.UNSUPPORTED_ALGORITHM : EDE.UNSUPPORTED_DIGEST, `${labelsToText(zone)}: no supported DS`)
+    }
+    const msg = await fetchMessage(zone, 'DNSKEY')
+    const rrset = msg.sections[0].filter((rr) => rr.type === T.DNSKEY && sameName(rr.name, zone))
+    if (!rrset.length) return bogus(EDE.DNSKEY_MISSING, `${labelsToText(zone)}: no DNSKEY`)
+    const keys = rrset.map(parseDnskey).filter(Boolean)
+    const anchored = keys.filter((k) => usable.some((ds) => ds.keyTag === k.tag && ds.algorithm === k.algorithm &&
+      dsDigest(zone, k.rdata, ds.digestType).equals(ds.digest)))
+    if (!anchored.length) return bogus(EDE.DNSKEY_MISSING, `${labelsToText(zone)}: no DNSKEY matches the DS set`)
+    const sigs = rrsigsFor(msg.sections[0], zone, T.DNSKEY).filter((s) => sameName(s.signer, zone))
+    if (!sigs.length) return bogus(EDE.RRSIGS_MISSING, `${labelsToText(zone)}: DNSKEY set is unsigned`)
+    const check = verifyRrset(rrset, sigs, anchored, nowSeconds())
+    if (!check.ok) return bogus(check.ede, `${labelsToText(zone)} DNSKEY: ${check.text}`)
+    return { state: 'secure', zone, keys, ttl: minTtl(rrset) }
+  }
+
+  async function rootKeys() {
+    const hit = cached('.')
+    if (hit) return hit
+    if (!anchors.length) return insecure(EDE.DNSKEY_MISSING, 'no root trust anchor')
+    const result = await keysFromDs([], anchors)
+    if (result.state !== 'indeterminate') remember('.', result, result.ttl || 60)
+    return result
+  }
+
+  // Below a secure `zone`, is `child` a signed delegation (secure, with its keys), an
+  // unsigned one (insecure), no zone cut at all (nocut), or nonexistent (nxdomain)?
+  async function delegation(child, zone, zoneKeys) {
+    const key = labelsToText(child)
+    const hit = cached(key)
+    if (hit) return hit
+    const msg = await fetchMessage(child, 'DS')
+    let result
+    const ds = msg.sections[0].filter((rr) => rr.type === T.DS && sameName(rr.name, child))
+    if (ds.length) {
+      const sigs = rrsigsFor(msg.sections[0], child, T.DS).filter((s) => sameName(s.signer, zone))
+      const check = sigs.length ? verifyRrset(ds, sigs, zoneKeys, nowSeconds()) : { ok: false, ede: EDE.RRSIGS_MISSING, text: 'DS set is unsigned' }
+      result = check.ok ? await keysFromDs(child, ds.map((rr) => parseDs(rr.rdata))) : bogus(check.ede, `${key} DS: ${check.text}`)
+    } else if (msg.rcode === 3) {
+      result = { state: 'nxdomain', ttl: 60 }
+    } else {
+      // Only a signed denial turns "no DS" into an insecure delegation; anything else is
+      // taken as "no zone cut here", which fails closed if it was a lie
+      result = { state: noDsIsInsecure(msg, child, zone, zoneKeys) ? 'insecure' : 'nocut', ttl: 300 }
+    }
+    if (result.state !== 'indeterminate') remember(key, result, result.ttl || 60)
+    return result
+  }
+
+  function noDsIsInsecure(msg, child, zone, zoneKeys) {
+    const proofs = verifiedDenials(msg.sections[1], zone, zoneKeys)
+    const nsec = proofs.nsec.find((n) => sameName(n.name, child))
+    if (nsec) return nsec.types.has(T.NS) && !nsec.types.has(T.DS) && !nsec.types.has(T.SOA)
+    if (!proofs.nsec3.length) return false
+    const chain = nsec3Chain(proofs.nsec3)
+    if (!chain || chain.iterations > MAX_NSEC3_ITERATIONS) return false
+    const match = chain.match(child)
+    if (match) return match.types.has(T.NS) && !match.types.has(T.DS) && !match.types.has(T.SOA)
+    // Opt-out: an unsigned delegation may have no NSEC3 of its own (RFC 5155 §6)
+    const proof = chain.closestEncloser(child)
+    return !!(proof && proof.nextCloser && proof.optOut)
+  }
+
+  // NSEC/NSEC3 RRsets of `section` whose signatures verify under the zone's keys
+  function verifiedDenials(section, zone, zoneKeys) {
+    const out = { nsec: [], nsec3: [] }
+    for (const set of groupRrsets(section)) {
+      if (set.type !== T.NSEC && set.type !== T.NSEC3) continue
+      const sigs = rrsigsFor(section, set.name, set.type).filter((s) => sameName(s.signer, zone))
+      if (!sigs.length || !verifyRrset(set.records, sigs, zoneKeys, nowSeconds()).ok) continue
+      if (set.type === T.NSEC) out.nsec.push(...set.records.map(parseNsec))
+      else out.nsec3.push(...set.records.map(parseNsec3))
+    }
+    return out
+  }
+
+  // Deepest secure zone enclosing `labels`, walking down from the root; insecure as soon
+  // as an unsigned delegation is proven
+  async function securityOf(labels) {
+    let current = await rootKeys()
+    if (current.state !== 'secure') return current
+    for (let i = 1; i <= labels.length; i++) {
+      const child = labels.slice(labels.length - i)
+      const step = await delegation(child, current.zone, current.keys)
+      if (step.state === 'secure') current = step
+      else if (step.state === 'nxdomain') break
+      else if (step.state !== 'nocut') return step
+    }
+    return current
+  }
+
+  // One answer/authority RRset against its RRSIGs
+  async function validateRrset(set, section) {
+    const sigs = rrsigsFor(section, set.name, set.type)
+    if (!sigs.length) {
+      const sec = await securityOf(set.name)
+      if (sec.state !== 'secure') return sec
+      return bogus(EDE.RRSIGS_MISSING, `${labelsToText(set.name)} ${typeName(set.type)} is unsigned`)
+    }
+    const signer = sigs[0].signer
+    if (!isSubdomain(set.name, signer)) return bogus(EDE.BOGUS, `${labelsToText(set.name)} signed by ${labelsToText(signer)}`)
+    const sec = await securityOf(signer)
+    if (sec.state !== 'secure') return sec
+    if (!sameName(sec.zone, signer)) return bogus(EDE.DNSKEY_MISSING, `no chain of trust to ${labelsToText(signer)}`)
+    const check = verifyRrset(set.records, sigs.filter((s) => sameName(s.signer, signer)), sec.keys, nowSeconds())
+    if (!check.ok) return bogus(check.ede, `${labelsToText(set.name)} ${typeName(set.type)}: ${check.text}`)
+    return { state: 'secure', zone: sec.zone, keys: sec.keys, wildcard: check.wildcard }
+  }
+
+  // Denial of `name`/`qtype`, or of closer matches for a wildcard expansion, from the
+  // authority section. kind: 'nxdomain' | 'nodata' | 'wildcard'
+  async function proveDenial(msg, name, qtype, kind, wildcard) {
+    const auth = msg.sections[1]
+    const sets = groupRrsets(auth).filter((s) => s.type === T.NSEC || s.type === T.NSEC3)
+    if (!sets.length) {
+      const sec = await securityOf(name)
+      if (sec.state !== 'secure') return sec
+      return bogus(EDE.NSEC_MISSING, `no NSEC/NSEC3 proof for ${labelsToText(name)}`)
+    }
+    let zone = null
+    for (const set of groupRrsets(auth).filter((s) => s.type === T.SOA || s.type === T.NSEC || s.type === T.NSEC3)) {
+      const v = await validateRrset(set, auth)
+      if (v.state !== 'secure') return v
+      zone = zone || v.zone
+    }
+    if (!isSubdomain(name, zone)) return bogus(EDE.BOGUS, `denial from ${labelsToText(zone)} for ${labelsToText(name)}`)
+    const nsec = sets.filter((s) => s.type === T.NSEC).flatMap((s) => s.records.map(parseNsec))
+    const nsec3 = sets.filter((s) => s.type === T.NSEC3).flatMap((s) => s.records.map(parseNsec3))
+    const failure = nsec3.length ? nsec3Denial(nsec3, name, qtype, kind, wildcard) : nsecDenial(nsec, name, qtype, kind, wildcard)
+    if (failure === 'insecure') return insecure(null, 'opt-out')
+    if (failure && failure.ede) return failure
+    return failure ? bogus(EDE.NSEC_MISSING, `${labelsToText(name)}: ${failure}`) : { state: 'secure' }
+  }
+
+  return {
+    // response: upstream wire answer to a DO+CD query
+    async validate(response) {
+      try {
+        return await validateMessage(parseMessage(response))
+      } catch (err) {
+        if (err instanceof WireError) return bogus(EDE.BOGUS, err.message)
+        return { state: 'indeterminate', ede: { code: EDE.NO_REACHABLE_AUTHORITY, text: String((err && err.message) || err) } }
+      }
+    },
+  }
+
+  async function validateMessage(msg) {
+    const q = msg.questions[0]
+    if (!q) return bogus(EDE.BOGUS, 'no question')
+    if (msg.rcode !== 0 && msg.rcode !== 3) return { state: 'insecure' }
+    const answer = msg.sections[0]
+    let insecureSeen = null
+    const dnames = []
+    const wildcards = []
+    for (const set of groupRrsets(answer)) {
+      if (set.type === T.RRSIG) continue
+      // A CNAME synthesized from a validated DNAME is unsigned by design (RFC 6672)
+      if (set.type === T.CNAME && !rrsigsFor(answer, set.name, T.CNAME).length &&
+        dnames.some((d) => synthesizes(d, set.records[0]))) continue
+      const v = await validateRrset(set, answer)
+      if (v.state === 'bogus' || v.state === 'indeterminate') return v
+      if (v.state === 'insecure') insecureSeen = insecureSeen || v
+      if (v.state === 'secure' && set.type === T.DNAME) dnames.push(set.records[0])
+      if (v.state === 'secure' && v.wildcard) wildcards.push({ name: set.name, labels: v.wildcard })
+    }
+
+    // Follow the CNAME chain to the name the final answer or denial is about
+    let name = q.name
+    if (q.type !== T.CNAME && q.type !== T.ANY) {
+      for (let hops = 0; hops < 16; hops++) {
+        const cname = answer.find((rr) => rr.type === T.CNAME && sameName(rr.name, name))
+        if (!cname) break
+        name = readName(cname.msg, cname.rdStart).labels
+      }
+    }
+    if (insecureSeen) return { state: 'insecure', ede: insecureSeen.ede || null }
+
+    for (const w of wildcards) {
+      const v = await proveDenial(msg, w.name, q.type, 'wildcard', w.labels)
+      if (v.state !== 'secure') return v
+    }
+    const positive = answer.some((rr) => sameName(rr.name, name) && rr.type !== T.RRSIG && (rr.type === q.type || q.type === T.ANY))
+    if (positive) return { state: 'secure' }
+    return proveDenial(msg, name, q.type, msg.rcode === 3 ? 'nxdomain' : 'nodata')
+  }
+}
+
+// ---- Denial proofs; each returns null when proven, else a reason ----
+
+function nsecDenial(nsecs, name, qtype, kind, wildcardLabels) {
+  if (kind === 'wildcard') {
+    // The expanded name must not exist (RFC 4035 §5.3.4)
+    return nsecs.some((n) => nsecCovers(n, name)) ? null : 'no NSEC proves the wildcard expansion'
+  }
+  const match = nsecs.find((n) => sameName(n.name, name))
+  if (match) {
+    if (kind === 'nxdomain') return 'NSEC shows the name exists'
+    return typesAbsent(match.types, qtype)
+  }
+  const cover = nsecs.find((n) => nsecCovers(n, name))
+  if (!cover) return 'no NSEC covers the name'
+  const ce = longerName(commonAncestor(name, cover.name), commonAncestor(name, cover.next))
+  const wildcard = [Buffer.from('*'), ...ce]
+  const wildcardNsec = nsecs.find((n) => sameName(n.name, wildcard))
+  if (kind === 'nxdomain') {
+    if (wildcardNsec) return 'a wildcard exists'
+    return nsecs.some((n) => nsecCovers(n, wildcard)) ? null : 'no NSEC denies the wildcard'
+  }
+  // NODATA answered from a wildcard
+  return wildcardNsec ? typesAbsent(wildcardNsec.types, qtype) : 'no NSEC proves NODATA'
+}
+
+function nsec3Denial(records, name, qtype, kind, wildcardLabels) {
+  const chain = nsec3Chain(records)
+  if (!chain) return 'unusable NSEC3 parameters'
+  if (chain.iterations > MAX_NSEC3_ITERATIONS) {
+    return { state: 'insecure', ede: { code: EDE.UNSUPPORTED_NSEC3_ITERATIONS, text: `${chain.iterations} NSEC3 iterations` } }
+  }
+  if (kind === 'wildcard') {
+    // The next closer name below the wildcard's parent must be covered (RFC 5155 §8.8)
+    const nextCloser = name.slice(name.length - wildcardLabels - 1)
+    return chain.cover(nextCloser) ? null : 'no NSEC3 covers the next closer name'
+  }
+  const match = chain.match(name)
+  if (match) {
+    if (kind === 'nxdomain') return 'NSEC3 shows the name exists'
+    return typesAbsent(match.types, qtype)
+  }
+  const proof = chain.closestEncloser(name)
+  if (!proof || !proof.nextCloser) return 'no closest encloser proof'
+  const wildcard = [Buffer.from('*'), ...proof.ce]
+  if (kind === 'nxdomain') return chain.cover(wildcard) ? null : 'no NSEC3 denies the wildcard'
+  // NODATA for DS under an opt-out span proves an unsigned delegation (RFC 5155 §8.6)
+  if (qtype === T.DS && proof.optOut) return 'insecure'
+  const wild = chain.match(wildcard)
+  return wild ? typesAbsent(wild.types, qtype) : 'no NSEC3 proves NODATA'
+}
+
+function typesAbsent(types, qtype) {
+  if (types.has(qtype)) return 'the type exists'
+  if (types.has(T.CNAME)) return 'the name is a CNAME'
+  // An NSEC from the parent side of a delegation says nothing about the child (RFC 6840 §4.1)
+  if (qtype !== T.DS && types.has(T.NS) && !types.has(T.SOA)) return 'proof from the parent side of a delegation'
+  if (qtype === T.DS && types.has(T.SOA)) return 'DS denial from the child zone'
+  return null
+}
+
+function nsecCovers(nsec, name) {
+  if (compareNames(nsec.name, name) >= 0) return false
+  // The last NSEC of a zone points back to the apex
+  return compareNames(name, nsec.next) < 0 || compareNames(nsec.next, nsec.name) <= 0
+}
+
+function nsec3Chain(records) {
+  const { algorithm, iterations, salt } = records[0]
+  if (algorithm !== 1 || records.some((r) => r.algorithm !== algorithm || r.iterations !== iterations || !r.salt.equals(salt))) return null
+  const zone = records[0].name.slice(1)
+  const hashes = new Map()
+  const hash = (labels) => {
+    const key = labelsToText(labels)
+    if (!hashes.has(key)) hashes.set(key, nsec3Hash(labels, salt, iterations))
+    return hashes.get(key)
+  }
+  const chain = {
+    iterations,
+    match: (labels) => records.find((r) => r.hash && r.hash.equals(hash(labels))) || null,
+    cover: (labels) => {
+      const h = hash(labels)
+      return records.find((r) => r.hash && Buffer.compare(r.hash, h) < 0 &&
+        (Buffer.compare(h, r.next) < 0 || Buffer.compare(r.next, r.hash) <= 0)) || null
+    },
+    // RFC 5155 §8.3: the closest provable encloser and whether the next closer is covered
+    closestEncloser: (labels) => {
+      if (!isSubdomain(labels, zone)) return null
+      for (let i = 1; i <= labels.length - zone.length; i++) {
+        const ce = labels.slice(i)
+        if (!chain.match(ce)) continue
+        const cover = chain.cover(labels.slice(i - 1))
+        return { ce, nextCloser: !!cover, optOut: !!(cover && cover.flags & 1) }
+      }
+      return null
+    },
+  }
+  return chain
+}
+
+function nsec3Hash(labels, salt, iterations) {
+  let digest = createHash('sha1').update(nameWire(labels)).update(salt).digest()
+  for (let i = 0; i < iterations; i++) digest = createHash('sha1').update(digest).update(salt).digest()
+  return digest
+}
+
+// ---- Signatures ----
+
+function verifyRrset(records, sigs, keys, nowSec) {
+  let failure = { ok: false, ede: EDE.BOGUS, text: 'no signature verifies' }
+  for (const sig of sigs) {
+    const owner = records[0].name
+    if (sig.labels > owner.length) continue
+    if (!serialLte(sig.inception, nowSec)) {
+      failure = { ok: false, ede: EDE.SIGNATURE_NOT_YET_VALID, text: 'signature not yet valid' }
+      continue
+    }
+    if (!serialLte(nowSec, sig.expiration)) {
+      failure = { ok: false, ede: EDE.SIGNATURE_EXPIRED, text: 'signature expired' }
+      continue
+    }
+    const candidates = keys.filter((k) => k.tag === sig.keyTag && k.algorithm === sig.algorithm)
+    if (!candidates.length) {
+      if (failure.ede === EDE.BOGUS) failure = { ok: false, ede: EDE.DNSKEY_MISSING, text: `no DNSKEY with tag ${sig.keyTag}` }
+      continue
+    }
+    const data = signedData(records, sig)
+    if (candidates.some((k) => verifySignature(k, data, sig.signature))) {
+      return { ok: true, wildcard: sig.labels < owner.length ? sig.labels : 0 }
+    }
+    failure = { ok: false, ede: EDE.BOGUS, text: 'signature does not verify' }
+  }
+  return failure
+}
+
+// RFC 4034 §3.1.8.1: RRSIG RDATA without the signature, then the RRset in canonical
+// form and order, each with the original TTL
+function signedData(records, sig) {
+  const owner = records[0].name
+  const ownerWire = nameWire(sig.labels < owner.length ? [Buffer.from('*'), ...owner.slice(owner.length - sig.labels)] : owner)
+  const rdatas = [...new Map(records.map((rr) => {
+    const rdata = canonicalRdata(rr)
+    return [rdata.toString('hex'), rdata]
+  })).values()].sort(Buffer.compare)
+  const parts = [sig.rdataWithoutSignature]
+  for (const rdata of rdatas) {
+    const fixed = Buffer.alloc(10)
+    fixed.writeUInt16BE(records[0].type, 0)
+    fixed.writeUInt16BE(records[0].class, 2)
+    fixed.writeUInt32BE(sig.originalTtl, 4)
+    fixed.writeUInt16BE(rdata.length, 8)
+    parts.push(ownerWire, fixed, rdata)
+  }
+  return Buffer.concat(parts)
+}
+
+function verifySignature(key, data, signature) {
+  if (!key.key) return false
+  try {
+    switch (key.algorithm) {
+      case 8: return verify('sha256', data, key.key, signature)
+      case 10: return verify('sha512', data, key.key, signature)
+      case 13: return verify('sha256', data, { key: key.key, dsaEncoding: 'ieee-p1363' }, signature)
+      case 14: return verify('sha384', data, { key: key.key, dsaEncoding: 'ieee-p1363' }, signature)
+      case 15: return verify(null, data, key.key, signature)
+    }
+  } catch {}
+  return false
+}
+
+function publicKey(algorithm, pub) {
+  const jwk = (fields) => createPublicKey({ key: fields, format: 'jwk' })
+  const b64 = (b) => Buffer.from(b).toString('base64url')
+  try {
+    if (algorithm === 8 || algorithm === 10) {
+      // RFC 3110: exponent length (1 octet, or 0 then 2 octets), exponent, modulus
+      const long = pub[0] === 0
+      const elen = long ? pub.readUInt16BE(1) : pub[0]
+      const start = long ? 3 : 1
+      let n = pub.subarray(start + elen)
+      while (n.length && n[0] === 0) n = n.subarray(1)
+      return jwk({ kty: 'RSA', e: b64(pub.subarray(start, start + elen)), n: b64(n) })
+    }
+    const curve = { 13: ['P-256', 64], 14: ['P-384', 96] }[algorithm]
+    if (curve && pub.length === curve[1]) {
+      const half = curve[1] / 2
+      return jwk({ kty: 'EC', crv: curve[0], x: b64(pub.subarray(0, half)), y: b64(pub.subarray(half)) })
+    }
+    if (algorithm === 15 && pub.length === 32) return jwk({ kty: 'OKP', crv: 'Ed25519', x: b64(pub) })
+  } catch {}
+  return null
+}
+
+// RFC 4034 Appendix B
+function keyTag(rdata) {
+  let ac = 0
+  for (let i = 0; i < rdata.length; i++) ac += i & 1 ? rdata[i] : rdata[i] << 8
+  ac += (ac >> 16) & 0xffff
+  return ac & 0xffff
+}
+
+function dsDigest(owner, dnskeyRdata, digestType) {
+  return createHash(DIGESTS[digestType]).update(nameWire(owner)).update(dnskeyRdata).digest()
+}
+
+// RFC 1982 serial number arithmetic for RRSIG validity times
+function serialLte(a, b) {
+  return ((b - a) >>> 0) < 0x80000000
+}
+
+// ---- RDATA ----
+
+function parseDnskey(rr) {
+  const rdata = rr.rdata
+  if (rdata.length < 4) return null
+  const flags = rdata.readUInt16BE(0)
+  // Only zone keys (bit 7) of protocol 3 may verify RRSIGs
+  if (!(flags & 0x0100) || rdata[2] !== 3) return null
+  const algorithm = rdata[3]
+  return { flags, algorithm, tag: keyTag(rdata), rdata, key: ALGORITHMS.has(algorithm) ? publicKey(algorithm, rdata.subarray(4)) : null }
+}
+
+function parseDs(rdata) {
+  if (rdata.length < 5) throw new WireError('short DS')
+  return { keyTag: rdata.readUInt16BE(0), algorithm: rdata[2], digestType: rdata[3], digest: rdata.subarray(4) }
+}
+
+function parseRrsig(rr) {
+  const d = rr.rdata
+  if (d.length < 19) throw new WireError('short RRSIG')
+  const { labels: signer, end } = readName(rr.msg, rr.rdStart + 18)
+  return {
+    name: rr.name,
+    typeCovered: d.readUInt16BE(0),
+    algorithm: d[2],
+    labels: d[3],
+    originalTtl: d.readUInt32BE(4),
+    expiration: d.readUInt32BE(8),
+    inception: d.readUInt32BE(12),
+    keyTag: d.readUInt16BE(16),
+    signer,
+    rdataWithoutSignature: Buffer.concat([d.subarray(0, 18), nameWire(signer)]),
+    signature: rr.msg.subarray(end, rr.rdStart + rr.rdlen),
+  }
+}
+
+function parseNsec(rr) {
+  const { labels: next, end } = readName(rr.msg, rr.rdStart)
+  return { name: rr.name, next, types: typeBitmap(rr.msg.subarray(end, rr.rdStart + rr.rdlen)) }
+}
+
+function parseNsec3(rr) {
+  const d = rr.rdata
+  if (d.length < 5) throw new WireError('short NSEC3')
+  const saltLen = d[4]
+  const hashLen = d[5 + saltLen]
+  if (5 + saltLen + 1 + hashLen > d.length) throw new WireError('short NSEC3')
+  return {
+    name: rr.name,
+    hash: base32hexDecode(rr.name.length ? rr.name[0].toString('latin1') : ''),
+    algorithm: d[0],
+    flags: d[1],
+    iterations: d.readUInt16BE(2),
+    salt: d.subarray(5, 5 + saltLen),
+    next: d.subarray(6 + saltLen, 6 + saltLen + hashLen),
+    types: typeBitmap(d.subarray(6 + saltLen + hashLen)),
+  }
+}
+
+function typeBitmap(buf) {
+  const types = new Set()
+  for (let p = 0; p + 2 <= buf.length;) {
+    const window = buf[p]
+    const len = buf[p + 1]
+    if (p + 2 + len > buf.length) throw new WireError('bad type bitmap')
+    for (let i = 0; i < len; i++) {
+      for (let bit = 0; bit < 8; bit++) if (buf[p + 2 + i] & (0x80 >> bit)) types.add(window * 256 + i * 8 + bit)
+    }
+    p += 2 + len
+  }
+  return types
+}
+
+function base32hexDecode(text) {
+  const alphabet = '0123456789abcdefghijklmnopqrstuv'
+  const out = []
+  let bits = 0
+  let value = 0
+  for (const ch of text.toLowerCase()) {
+    const v = alphabet.indexOf(ch)
+    if (v < 0) return null
+    value = (value << 5) | v
+    bits += 5
+    if (bits >= 8) {
+      out.push((value >> (bits - 8)) & 0xff)
+      bits -= 8
+    }
+  }
+  return Buffer.from(out)
+}
+
+// Canonical RDATA (RFC 4034 §6.2, as amended by RFC 6840 §5.1): embedded names
+// decompressed and, for these types, lowercased
+function canonicalRdata(rr) {
+  const { msg, rdStart, rdlen } = rr
+  const name = (off) => readName(msg, off)
+  switch (rr.type) {
+    case T.NS:
+    case T.CNAME:
+    case T.PTR:
+    case T.DNAME:
+      return nameWire(name(rdStart).labels)
+    case T.MX: {
+      if (rdlen < 3) break
+      return Buffer.concat([msg.subarray(rdStart, rdStart + 2), nameWire(name(rdStart + 2).labels)])
+    }
+    case T.SRV: {
+      if (rdlen < 7) break
+      return Buffer.concat([msg.subarray(rdStart, rdStart + 6), nameWire(name(rdStart + 6).labels)])
+    }
+    case T.SOA: {
+      const mname = name(rdStart)
+      const rname = name(mname.end)
+      if (rname.end + 20 > rdStart + rdlen) throw new WireError('short SOA')
+      return Buffer.concat([nameWire(mname.labels), nameWire(rname.labels), msg.subarray(rname.end, rname.end + 20)])
+    }
+  }
+  return rr.rdata
+}
+
+function synthesizes(dname, cname) {
+  const target = readName(dname.msg, dname.rdStart).labels
+  if (!isSubdomain(cname.name, dname.name) || sameName(cname.name, dname.name)) return false
+  const expected = [...cname.name.slice(0, cname.name.length - dname.name.length), ...target]
+  return sameName(readName(cname.msg, cname.rdStart).labels, expected)
+}
+
+// ---- Wire parsing (bounds-checked; names as arrays of lowercased label buffers) ----
+
+class WireError extends Error {}
+
+function parseMessage(buf) {
+  if (buf.length < 12) throw new WireError('short message')
+  const counts = [4, 6, 8, 10].map((o) => buf.readUInt16BE(o))
+  let off = 12
+  const questions = []
+  for (let i = 0; i < counts[0]; i++) {
+    const { labels, end } = readName(buf, off)
+    if (end + 4 > buf.length) throw new WireError('truncated question')
+    questions.push({ name: labels, type: buf.readUInt16BE(end), class: buf.readUInt16BE(end + 2) })
+    off = end + 4
+  }
+  const sections = [[], [], []]
+  for (let s = 0; s < 3; s++) {
+    for (let i = 0; i < counts[s + 1]; i++) {
+      const { labels, end } = readName(buf, off)
+      if (end + 10 > buf.length) throw new WireError('truncated record')
+      const rdStart = end + 10
+      const rdlen = buf.readUInt16BE(end + 8)
+      if (rdStart + rdlen > buf.length) throw new WireError('RDATA overruns the message')
+      sections[s].push({
+        name: labels,
+        type: buf.readUInt16BE(end),
+        class: buf.readUInt16BE(end + 2),
+        ttl: buf.readUInt32BE(end + 4),
+        rdStart,
+        rdlen,
+        rdata: buf.subarray(rdStart, rdStart + rdlen),
+        msg: buf,
+      })
+      off = rdStart + rdlen
+    }
+  }
+  return { rcode: buf[3] & 0x0f, questions, sections }
+}
+
+function readName(buf, off) {
+  const labels = []
+  let o = off
+  let run = off
+  let end = -1
+  let wireLen = 1
+  for (;;) {
+    if (o >= buf.length) throw new WireError('truncated name')
+    const len = buf[o]
+    if (len === 0) break
+    if ((len & 0xc0) === 0xc0) {
+      if (o + 1 >= buf.length) throw new WireError('truncated name')
+      if (end === -1) end = o + 2
+      const target = ((len & 0x3f) << 8) | buf[o + 1]
+      if (target >= run) throw new WireError('bad compression pointer')
+      o = run = target
+      continue
+    }
+    if (len & 0xc0 || o + 1 + len > buf.length) throw new WireError('bad label')
+    wireLen += 1 + len
+    if (wireLen > 255) throw new WireError('name too long')
+    labels.push(lower(buf.subarray(o + 1, o + 1 + len)))
+    o += 1 + len
+  }
+  return { labels, end: end === -1 ? o + 1 : end }
+}
+
+function lower(label) {
+  const out = Buffer.from(label)
+  for (let i = 0; i < out.length; i++) if (out[i] >= 0x41 && out[i] <= 0x5a) out[i] |= 0x20
+  return out
+}
+
+function textToLabels(text) {
+  return String(text).split('.').filter(Boolean).map((l) => lower(Buffer.from(l, 'latin1')))
+}
+
+function labelsToText(labels) {
+  return labels.length ? labels.map((l) => l.toString('latin1')).join('.') : '.'
+}
+
+function nameWire(labels) {
+  const parts = []
+  for (const l of labels) parts.push(Buffer.from([l.length]), l)
+  parts.push(Buffer.alloc(1))
+  return Buffer.concat(parts)
+}
+
+function sameName(a, b) {
+  return a.length === b.length && a.every((l, i) => l.equals(b[i]))
+}
+
+function isSubdomain(name, zone) {
+  return zone.length <= name.length && sameName(name.slice(name.length - zone.length), zone)
+}
+
+// RFC 4034 §6.1 canonical order: compare label by label from the root
+function compareNames(a, b) {
+  for (let i = 1; i <= Math.min(a.length, b.length); i++) {
+    const c = Buffer.compare(a[a.length - i], b[b.length - i])
+    if (c) return c
+  }
+  return a.length - b.length
+}
+
+function commonAncestor(a, b) {
+  let n = 0
+  while (n < a.length && n < b.length && a[a.length - 1 - n].equals(b[b.length - 1 - n])) n++
+  return a.slice(a.length - n)
+}
+
+function longerName(a, b) {
+  return a.length >= b.length ? a : b
+}
+
+function groupRrsets(section) {
+  const sets = new Map()
+  for (const rr of section) {
+    const key = `${labelsToText(rr.name)}|${rr.type}|${rr.class}`
+    if (!sets.has(key)) sets.set(key, { name: rr.name, type: rr.type, records: [] })
+    sets.get(key).records.push(rr)
+  }
+  return [...sets.values()]
+}
+
+function rrsigsFor(section, name, type) {
+  return section
+    .filter((rr) => rr.type === T.RRSIG && sameName(rr.name, name) && rr.rdlen >= 2 && rr.rdata.readUInt16BE(0) === type)
+    .map(parseRrsig)
+}
+
+function minTtl(records) {
+  return Math.min(...records.map((rr) => rr.ttl))
+}
+
+function typeName(type) {
+  return Object.keys(T).find((k) => T[k] === type) || `TYPE${type}`
+}
+
+function bogus(code, text) {
+  return { state: 'bogus', ede: { code, text } }
+}
+
+function insecure(code, text) {
+  return { state: 'insecure', ede: code ? { code, text } : null }
+}
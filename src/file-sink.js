@@ -0,0 +1,55 @@
+// Size-rotated append-only file for NDJSON logs: <path>, <path>.1 ... <path>.<keep>
+// Lines go through an append stream, so logging a query never blocks the event loop;
+// rotation renames the files in the background while new lines wait in memory.
+import { createWriteStream, statSync } from 'node:fs'
+import { rename, rm } from 'node:fs/promises'
+
+export function createRotatingFileSink({ path, maxBytes = 10 * 1024 * 1024, keep = 5, onError = () => {} }) {
+  let size = 0
+  try {
+    size = statSync(path).size
+  } catch {}
+  let stream = open()
+  // Set while a rotation runs; lines logged meanwhile are written once it is done
+  let rotating = null
+  let waiting = []
+
+  function open() {
+    return createWriteStream(path, { flags: 'a' }).on('error', onError)
+  }
+
+  async function rotate() {
+    const old = stream
+    await new Promise((resolve) => old.end(resolve))
+    try {
+      if (keep <= 0) {
+        await rm(path, { force: true })
+      } else {
+        await rm(`${path}.${keep}`, { force: true })
+        // Files that do not exist yet are skipped
+        for (let i = keep - 1; i >= 1; i--) await rename(`${path}.${i}`, `${path}.${i + 1}`).catch(() => {})
+        await rename(path, `${path}.1`).catch(() => {})
+      }
+    } finally {
+      stream = open()
+    }
+  }
+
+  return (line) => {
+    const data = `${line}\n`
+    const bytes = Buffer.byteLength(data)
+    if (!rotating && size > 0 && size + bytes > maxBytes) {
+      size = 0
+      rotating = rotate()
+        .catch(onError)
+        .finally(() => {
+          for (const pending of waiting) stream.write(pending)
+          waiting = []
+          rotating = null
+        })
+    }
+    size += bytes
+    if (rotating) waiting.push(data)
+    else stream.write(data)
+  }
+}
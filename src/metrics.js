@@ -0,0 +1,85 @@
+// Minimal Prometheus registry: counters, callback gauges and histograms with labels,
+// rendered in the text exposition format (version 0.0.4)
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+
+export function createRegistry() {
+  const metrics = []
+
+  function register(metric) {
+    metrics.push(metric)
+    return metric
+  }
+
+  return {
+    counter(name, help, labelNames = []) {
+      const values = new Map()
+      return register({
+        name,
+        help,
+        type: 'counter',
+        inc(labels = {}, n = 1) {
+          const key = labelKey(labelNames, labels)
+          values.set(key, (values.get(key) || 0) + n)
+        },
+        samples: () => [...values].map(([key, v]) => [name, key, v]),
+      })
+    },
+
+    // collect() returns [[labels, value], ...] at scrape time
+    gauge(name, help, labelNames, collect) {
+      return register({
+        name,
+        help,
+        type: 'gauge',
+        samples: () => collect().map(([labels, v]) => [name, labelKey(labelNames, labels), v]),
+      })
+    },
+
+    histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]) {
+      const series = new Map()
+      return register({
+        name,
+        help,
+        type: 'histogram',
+        observe(labels, value) {
+          const key = labelKey(labelNames, labels)
+          let s = series.get(key)
+          if (!s) series.set(key, (s = { counts: buckets.map(() => 0), sum: 0, count: 0 }))
+          buckets.forEach((b, i) => {
+            if (value <= b) s.counts[i]++
+          })
+          s.sum += value
+          s.count++
+        },
+        samples: () => [...series].flatMap(([key, s]) => [
+          ...buckets.map((b, i) => [`${name}_bucket`, withLabel(key, 'le', String(b)), s.counts[i]]),
+          [`${name}_bucket`, withLabel(key, 'le', '+Inf'), s.count],
+          [`${name}_sum`, key, s.sum],
+          [`${name}_count`, key, s.count],
+        ]),
+      })
+    },
+
+    render() {
+      const out = []
+      for (const m of metrics) {
+        out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`)
+        for (const [name, key, v] of m.samples()) out.push(`${name}${key ? `{${key}}` : ''} ${v}`)
+      }
+      return `${out.join('\n')}\n`
+    },
+  }
+}
+
+function labelKey(labelNames, labels) {
+  return labelNames.map((l) => `${l}="${escapeLabel(labels[l] ?? '')}"`).join(',')
+}
+
+function withLabel(key, name, value) {
+  return key ? `${key},${name}="${value}"` : `${name}="${value}"`
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
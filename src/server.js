@@ -1,25 +1,435 @@
+import { readFileSync } from 'node:fs'
+import { resolve } from 'node:path'
+import { pathToFileURL } from 'node:url'
 import Fastify from 'fastify'
-import { request as undiciRequest } from 'undici'
+import { Agent, request as undiciRequest } from 'undici'
 import * as dnsPacket from 'dns-packet'
 import ipaddr from 'ipaddr.js'
+import { createUpstreamPool, describeFailure, parseUpstreamList } from '../lib/upstreams.js'
+import { createEcsCache } from '../lib/ecs-cache.js'
+import { matchRoute, parseRoutes } from '../lib/routes.js'
+import { createFilterSource } from '../lib/blocklist.js'
+import { createZoneSet, parseZone } from '../lib/zone.js'
+import { DEFAULT_TRUSTED_PROXIES, isTrustedProxy, parseCidrList, resolveClientIp } from '../lib/client-ip.js'
+import { createQueryLogger, queryLogEntry } from '../lib/query-log.js'
+import { createRateLimiter } from '../lib/rate-limit.js'
+import { DEFAULT_DNS64_EXCLUDE, DNS64_WELL_KNOWN_PREFIX, createDns64 } from '../lib/dns64.js'
+import { createResponseRewriter } from '../lib/rewrite.js'
+import { ODOH_CONFIGS_PATH, ODOH_CONTENT_TYPE, createOdohTarget } from '../lib/odoh.js'
+import { DNS_STAMP_PATH, MOBILECONFIG_CONTENT_TYPE, MOBILECONFIG_PATH, RESOLVER_INFO_PATH, appleDnsProfile, describeResolver, dnsStamp, unusableOrigin } from '../lib/onboarding.js'
+import { signCms } from '../lib/cms.js'
+import { createRotatingFileSink } from './file-sink.js'
+import { CONTENT_TYPE as METRICS_CONTENT_TYPE, createRegistry } from './metrics.js'
+import { createDnsListeners, createDotListener } from './dns-listener.js'
+import { createSocketUpstreams, isSocketUpstream, parseSocketUpstream } from './dns-upstream.js'
+import { EDE as DNSSEC_EDE, ROOT_TRUST_ANCHORS, createValidator, parseTrustAnchors } from './dnssec.js'
+import { ECS_REQUEST_HEADER, decideEcs, ecsEchoMismatch, ecsHeaderValue, normalizeEcsPolicy, parseSubnet } from '../lib/ecs-policy.js'
 
 // Config via env
 const PORT = process.env.PORT ? Number(process.env.PORT) : 8787
-// Upstream DoH endpoint. Google supports ECS, including embedded ECS in DNS wire message.
-const UPSTREAM_DOH = process.env.UPSTREAM_DOH || 'https://dns.google/dns-query'
+// Upstream DoH endpoints (comma separated). Google supports ECS, including embedded ECS in DNS wire message.
+// udp://, tcp:// and tls:// URIs name classic DNS and DoT resolvers instead.
+const UPSTREAM_DOH = parseUpstreamList(process.env.UPSTREAM_DOH || 'https://dns.google/dns-query')
+// Upstream selection: failover | race | ewma, with a per-attempt deadline and health ejection
+const UPSTREAM_STRATEGY = process.env.UPSTREAM_STRATEGY || 'failover'
+const UPSTREAM_TIMEOUT_MS = process.env.UPSTREAM_TIMEOUT_MS ? Number(process.env.UPSTREAM_TIMEOUT_MS) : 2000
+const UPSTREAM_EJECT_FAILURES = process.env.UPSTREAM_EJECT_FAILURES ? Number(process.env.UPSTREAM_EJECT_FAILURES) : 3
+const UPSTREAM_EJECT_MS = process.env.UPSTREAM_EJECT_MS ? Number(process.env.UPSTREAM_EJECT_MS) : 30000
+// Upstream DoH connections: at most UPSTREAM_CONNECTIONS per origin (0 = unlimited), each
+// kept alive for UPSTREAM_KEEPALIVE_MS and carrying up to UPSTREAM_PIPELINING requests at
+// once; UPSTREAM_HTTP2=1 negotiates HTTP/2 and multiplexes instead
+const UPSTREAM_CONNECTIONS = process.env.UPSTREAM_CONNECTIONS ? Number(process.env.UPSTREAM_CONNECTIONS) : 16
+const UPSTREAM_KEEPALIVE_MS = process.env.UPSTREAM_KEEPALIVE_MS ? Number(process.env.UPSTREAM_KEEPALIVE_MS) : 60000
+const UPSTREAM_PIPELINING = process.env.UPSTREAM_PIPELINING ? Number(process.env.UPSTREAM_PIPELINING) : 1
+const UPSTREAM_HTTP2 = /^(1|true|yes|on)$/i.test(process.env.UPSTREAM_HTTP2 || '')
+// Serve-stale (RFC 8767): when no upstream answers, reuse an answer that expired less than
+// SERVE_STALE_S seconds ago (0 = off); up to CACHE_SIZE answers are kept for this
+const SERVE_STALE_S = process.env.SERVE_STALE_S ? Number(process.env.SERVE_STALE_S) : 0
+const CACHE_SIZE = process.env.CACHE_SIZE ? Number(process.env.CACHE_SIZE) : 5000
 // Default ECS prefix lengths
 const ECS_V4_PREFIX = process.env.ECS_V4_PREFIX ? Number(process.env.ECS_V4_PREFIX) : 24
 const ECS_V6_PREFIX = process.env.ECS_V6_PREFIX ? Number(process.env.ECS_V6_PREFIX) : 56
+// Client-supplied ECS handling: override | honor | clamp | strip
+const ECS_POLICY = normalizeEcsPolicy(process.env.ECS_POLICY)
 // Header name carrying original client IP from EdgeOne
 const CONNECTING_IP_HEADER = process.env.CONNECTING_IP_HEADER || 'EO-Connecting-IP'
+// Peers whose forwarding headers (CONNECTING_IP_HEADER, Forwarded, X-Forwarded-For) are believed
+const TRUSTED_PROXIES = parseCidrList(process.env.TRUSTED_PROXIES || DEFAULT_TRUSTED_PROXIES)
+// Split-horizon routing table: JSON in ROUTES, or a JSON file at ROUTES_FILE
+const ROUTES = parseRoutes(process.env.ROUTES_FILE ? readFileSync(process.env.ROUTES_FILE, 'utf8') : process.env.ROUTES)
+// Filtering: inline lists (newline or comma separated), local files and remote URLs
+const BLOCKLIST_TEXTS = [(process.env.BLOCKLIST || '').replace(/,/g, '\n'), ...readListFiles(process.env.BLOCKLIST_FILES)]
+const ALLOWLIST_TEXTS = [(process.env.ALLOWLIST || '').replace(/,/g, '\n'), ...readListFiles(process.env.ALLOWLIST_FILES)]
+const BLOCKLIST_URLS = parseUpstreamList(process.env.BLOCKLIST_URLS)
+const ALLOWLIST_URLS = parseUpstreamList(process.env.ALLOWLIST_URLS)
+const BLOCKLIST_REFRESH_S = process.env.BLOCKLIST_REFRESH_S ? Number(process.env.BLOCKLIST_REFRESH_S) : 3600
+// How blocked names are answered: nxdomain | refused | null (0.0.0.0 / ::)
+const BLOCK_MODE = (process.env.BLOCK_MODE || 'nxdomain').toLowerCase()
+const BLOCK_TTL = process.env.BLOCK_TTL ? Number(process.env.BLOCK_TTL) : 300
 
-const fastify = Fastify({ logger: true })
+// Local authoritative zones: master-file text in LOCAL_ZONES and/or files in LOCAL_ZONE_FILES
+const LOCAL_ZONE_TEXTS = [process.env.LOCAL_ZONES || '', ...readListFiles(process.env.LOCAL_ZONE_FILES)].filter(Boolean)
 
-// health
-fastify.get('/healthz', async () => ({ ok: true }))
+// Opt-in NDJSON query log: stdout | file; client addresses are anonymized (QUERY_LOG_IP)
+const QUERY_LOG = (process.env.QUERY_LOG || '').toLowerCase()
+const QUERY_LOG_FILE = process.env.QUERY_LOG_FILE || 'query.log'
+const QUERY_LOG_MAX_BYTES = process.env.QUERY_LOG_MAX_BYTES ? Number(process.env.QUERY_LOG_MAX_BYTES) : 10 * 1024 * 1024
+const QUERY_LOG_KEEP = process.env.QUERY_LOG_KEEP ? Number(process.env.QUERY_LOG_KEEP) : 5
+const QUERY_LOG_SAMPLE = process.env.QUERY_LOG_SAMPLE ? Number(process.env.QUERY_LOG_SAMPLE) : 1
+const QUERY_LOG_IP = process.env.QUERY_LOG_IP || 'truncate'
+const QUERY_LOG_HMAC_KEY = process.env.QUERY_LOG_HMAC_KEY || ''
+const QUERY_LOG_KEY_ROTATE_S = process.env.QUERY_LOG_KEY_ROTATE_S ? Number(process.env.QUERY_LOG_KEY_ROTATE_S) : 86400
 
-// Helper: base64url decode to Buffer
+// Per-subnet token bucket: RATE_LIMIT_QPS (0 = off), RATE_LIMIT_BURST, exempt CIDRs;
+// RATE_LIMIT_STORE names a module providing a shared bucket store
+const RATE_LIMIT_QPS = process.env.RATE_LIMIT_QPS ? Number(process.env.RATE_LIMIT_QPS) : 0
+const RATE_LIMIT_BURST = process.env.RATE_LIMIT_BURST ? Number(process.env.RATE_LIMIT_BURST) : 0
+const RATE_LIMIT_EXEMPT = parseCidrList(process.env.RATE_LIMIT_EXEMPT)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || ''
+
+// EDNS padding (RFC 7830 / RFC 8467): block sizes for responses and upstream queries; 0 = off
+const PADDING_BLOCK = process.env.PADDING_BLOCK ? Number(process.env.PADDING_BLOCK) : 468
+const UPSTREAM_PADDING_BLOCK = process.env.UPSTREAM_PADDING_BLOCK ? Number(process.env.UPSTREAM_PADDING_BLOCK) : 128
+
+// Local DNSSEC validation: DS records for the root, inline or from a file (IANA KSKs by default)
+const DNSSEC_VALIDATE = /^(1|true|yes|on)$/i.test(process.env.DNSSEC_VALIDATE || '')
+const DNSSEC_TRUST_ANCHORS = process.env.DNSSEC_TRUST_ANCHORS_FILE
+  ? readFileSync(process.env.DNSSEC_TRUST_ANCHORS_FILE, 'utf8')
+  : process.env.DNSSEC_TRUST_ANCHORS || ROOT_TRUST_ANCHORS
+
+// DNS64 (RFC 6147) for IPv6-only clients behind NAT64; DNS64_CLIENTS limits it to some clients
+const DNS64 = /^(1|true|yes|on)$/i.test(process.env.DNS64 || '')
+const DNS64_PREFIX = process.env.DNS64_PREFIX || DNS64_WELL_KNOWN_PREFIX
+const DNS64_CLIENTS = process.env.DNS64_CLIENTS || ''
+const DNS64_EXCLUDE = process.env.DNS64_EXCLUDE || DEFAULT_DNS64_EXCLUDE
+
+// Response rewriting: TTL clamping, AAAA filtering, EDNS option stripping, record rewrites
+const TTL_MIN = process.env.TTL_MIN ? Number(process.env.TTL_MIN) : 0
+const TTL_MAX = process.env.TTL_MAX ? Number(process.env.TTL_MAX) : 0
+const FILTER_AAAA_CLIENTS = process.env.FILTER_AAAA_CLIENTS || ''
+const FILTER_AAAA_DOMAINS = process.env.FILTER_AAAA_DOMAINS || ''
+const STRIP_RESPONSE_OPTIONS = process.env.STRIP_RESPONSE_OPTIONS || ''
+const REWRITES = process.env.REWRITES || ''
+
+// Oblivious DoH target (RFC 9230): sealed queries on /dns-query, the public key at
+// /.well-known/odohconfigs. ODOH_KEY_SEED (hex, 32 bytes or more) derives the key so it
+// survives restarts and is shared between instances; without it each start makes a new one.
+const ODOH_TARGET = /^(1|true|yes|on)$/i.test(process.env.ODOH_TARGET || '')
+const ODOH_KEY_SEED = process.env.ODOH_KEY_SEED || ''
+if (ODOH_KEY_SEED && !/^([0-9a-f]{2}){32,}$/i.test(ODOH_KEY_SEED)) throw new Error('ODOH_KEY_SEED must be at least 32 bytes in hex')
+
+// Signing certificate (PEM chain) and PKCS#8 key for the .mobileconfig profile; unsigned without them
+const PROFILE_SIGNING_CERT_FILE = process.env.PROFILE_SIGNING_CERT_FILE || ''
+const PROFILE_SIGNING_KEY_FILE = process.env.PROFILE_SIGNING_KEY_FILE || ''
+if (!PROFILE_SIGNING_CERT_FILE !== !PROFILE_SIGNING_KEY_FILE) throw new Error('profile signing needs both PROFILE_SIGNING_CERT_FILE and PROFILE_SIGNING_KEY_FILE')
+// Sign once now, so unreadable files or bad PEM stop the start instead of every download
+if (PROFILE_SIGNING_CERT_FILE) {
+  try {
+    await signCms(new Uint8Array(0), readProfileSigning())
+  } catch (err) {
+    throw new Error(`profile signing: ${err.message}`)
+  }
+}
+
+function readProfileSigning() {
+  return { certificate: readFileSync(PROFILE_SIGNING_CERT_FILE, 'utf8'), privateKey: readFileSync(PROFILE_SIGNING_KEY_FILE, 'utf8') }
+}
+
+// Plain DNS over UDP/TCP on DNS_PORT (off unless set); DNS_PROXY_PROTOCOL=1 expects a
+// PROXY protocol v2 header from TRUSTED_PROXIES
+const DNS_PORT = process.env.DNS_PORT ? Number(process.env.DNS_PORT) : 0
+const DNS_HOST = process.env.DNS_HOST || '0.0.0.0'
+const DNS_PROXY_PROTOCOL = /^(1|true|yes|on)$/i.test(process.env.DNS_PROXY_PROTOCOL || '')
+const DNS_UDP_MAX_PAYLOAD = process.env.DNS_UDP_MAX_PAYLOAD ? Number(process.env.DNS_UDP_MAX_PAYLOAD) : 1232
+const DNS_TCP_IDLE_MS = process.env.DNS_TCP_IDLE_MS ? Number(process.env.DNS_TCP_IDLE_MS) : 10000
+// DNS over TLS on DOT_PORT (off unless set) with a PEM certificate chain and key, re-read on SIGHUP
+const DOT_PORT = process.env.DOT_PORT ? Number(process.env.DOT_PORT) : 0
+const DOT_HOST = process.env.DOT_HOST || DNS_HOST
+const DOT_CERT_FILE = process.env.DOT_CERT_FILE || ''
+const DOT_KEY_FILE = process.env.DOT_KEY_FILE || ''
+if (DOT_PORT > 0 && !(DOT_CERT_FILE && DOT_KEY_FILE)) throw new Error('DOT_PORT needs DOT_CERT_FILE and DOT_KEY_FILE')
+
+// Readiness probe (/healthz?ready=1): synthetic query sent through the default upstream pool
+const HEALTHZ_QNAME = process.env.HEALTHZ_QNAME || '.'
+const HEALTHZ_QTYPE = process.env.HEALTHZ_QTYPE || 'NS'
+
+function readListFiles(value) {
+  return parseUpstreamList(value).map((file) => readFileSync(file, 'utf8'))
+}
+
+// HTTPS with HTTPS_CERT_FILE/HTTPS_KEY_FILE (re-read on SIGHUP); HTTP2=1 serves HTTP/2,
+// negotiated by ALPN next to HTTP/1.1 over TLS, or cleartext h2c with prior knowledge only
+const HTTP2 = /^(1|true|yes|on)$/i.test(process.env.HTTP2 || '')
+const HTTPS_CERT_FILE = process.env.HTTPS_CERT_FILE || ''
+const HTTPS_KEY_FILE = process.env.HTTPS_KEY_FILE || ''
+if (!HTTPS_CERT_FILE !== !HTTPS_KEY_FILE) throw new Error('HTTPS needs both HTTPS_CERT_FILE and HTTPS_KEY_FILE')
+
+function readHttpsCertificate() {
+  return { cert: readFileSync(HTTPS_CERT_FILE), key: readFileSync(HTTPS_KEY_FILE) }
+}
+
+const fastify = Fastify({
+  ...(HTTP2 ? { http2: true } : {}),
+  ...(HTTPS_CERT_FILE ? { https: { ...readHttpsCertificate(), allowHTTP1: true } } : {}),
+  logger: {
+    // Keep client addresses out of the request log; the query log anonymizes them
+    serializers: {
+      req: (req) => ({ method: req.method, url: req.url, hostname: req.hostname })
+    }
+  }
+})
+
+// DoH POST bodies are raw DNS wire messages
+fastify.addContentTypeParser('application/dns-message', { parseAs: 'buffer' }, (req, body, done) => done(null, body))
+if (ODOH_TARGET) fastify.addContentTypeParser(ODOH_CONTENT_TYPE, { parseAs: 'buffer' }, (req, body, done) => done(null, body))
+
+const poolOptions = {
+  strategy: UPSTREAM_STRATEGY,
+  timeoutMs: UPSTREAM_TIMEOUT_MS,
+  ejectAfter: UPSTREAM_EJECT_FAILURES,
+  ejectMs: UPSTREAM_EJECT_MS,
+}
+const upstreamPool = createUpstreamPool(UPSTREAM_DOH, poolOptions)
+// Routes with their own upstreams get their own pool (and health state)
+const routePools = new Map(ROUTES.filter((r) => r.upstreams).map((r) => [r.id, createUpstreamPool(r.upstreams, poolOptions)]))
+// Malformed udp://, tcp:// and tls:// URIs fail at startup rather than on every query
+for (const url of [...UPSTREAM_DOH, ...ROUTES.flatMap((r) => r.upstreams || [])]) {
+  if (isSocketUpstream(url)) parseSocketUpstream(url)
+}
+const socketUpstreams = createSocketUpstreams()
+const upstreamAgent = new Agent({
+  connections: UPSTREAM_CONNECTIONS || null,
+  keepAliveTimeout: UPSTREAM_KEEPALIVE_MS,
+  keepAliveMaxTimeout: UPSTREAM_KEEPALIVE_MS,
+  pipelining: UPSTREAM_PIPELINING,
+  allowH2: UPSTREAM_HTTP2
+})
+// Upstream exchanges in flight, by pool and exact query bytes
+const inflight = new Map()
+// Last good answers, only consulted when every upstream has failed
+const staleAnswers = SERVE_STALE_S > 0 ? createEcsCache({ maxEntries: CACHE_SIZE, staleTtl: SERVE_STALE_S }) : null
+
+const responseRewriter = createResponseRewriter({
+  minTtl: TTL_MIN,
+  maxTtl: TTL_MAX,
+  filterAaaaClients: FILTER_AAAA_CLIENTS,
+  filterAaaaDomains: FILTER_AAAA_DOMAINS,
+  stripOptions: STRIP_RESPONSE_OPTIONS,
+  rules: REWRITES
+})
+const odohTarget = ODOH_TARGET ? await createOdohTarget({ seed: ODOH_KEY_SEED ? Buffer.from(ODOH_KEY_SEED, 'hex') : null }) : null
+if (odohTarget && !ODOH_KEY_SEED) fastify.log.warn('ODOH_KEY_SEED not set: the ODoH key changes on every restart')
+const dns64 = DNS64 ? createDns64({ prefix: DNS64_PREFIX, clients: DNS64_CLIENTS, exclude: DNS64_EXCLUDE }) : null
+
+const localZones = LOCAL_ZONE_TEXTS.length
+  ? createZoneSet(LOCAL_ZONE_TEXTS.flatMap((text) => parseZone(text)))
+  : null
+
+const querySink = QUERY_LOG === 'file'
+  ? createRotatingFileSink({
+    path: QUERY_LOG_FILE,
+    maxBytes: QUERY_LOG_MAX_BYTES,
+    keep: QUERY_LOG_KEEP,
+    onError: (err) => fastify.log.error({ err }, 'query log write failed')
+  })
+  : QUERY_LOG === 'stdout' ? (line) => process.stdout.write(`${line}\n`) : null
+const queryLogger = querySink
+  ? createQueryLogger({
+    sink: querySink,
+    ipMode: QUERY_LOG_IP,
+    v4Prefix: ECS_V4_PREFIX,
+    v6Prefix: ECS_V6_PREFIX,
+    hmacSecret: QUERY_LOG_HMAC_KEY,
+    keyRotateMs: QUERY_LOG_KEY_ROTATE_S * 1000,
+    sampleRate: QUERY_LOG_SAMPLE
+  })
+  : null
+
+const rateLimiter = RATE_LIMIT_QPS > 0
+  ? createRateLimiter({
+    rate: RATE_LIMIT_QPS,
+    burst: RATE_LIMIT_BURST,
+    v4Prefix: ECS_V4_PREFIX,
+    v6Prefix: ECS_V6_PREFIX,
+    exempt: RATE_LIMIT_EXEMPT,
+    store: RATE_LIMIT_STORE ? await loadRateLimitStore(RATE_LIMIT_STORE) : null
+  })
+  : null
+
+// The module's default export is a store ({ take(key, { rate, burst, now }) }) or a factory returning one
+async function loadRateLimitStore(spec) {
+  const mod = await import(pathToFileURL(resolve(spec)).href)
+  const store = typeof mod.default === 'function' ? await mod.default() : mod.default
+  if (!store || typeof store.take !== 'function') throw new Error(`RATE_LIMIT_STORE ${spec}: default export is not a store`)
+  return store
+}
+
+// DS/DNSKEY lookups go through the default upstream pool like any other query; the
+// validator does its own checking, so CD keeps a validating upstream out of the way
+const dnssecValidator = DNSSEC_VALIDATE
+  ? createValidator({
+    trustAnchors: parseTrustAnchors(DNSSEC_TRUST_ANCHORS),
+    exchange: async (name, type) => {
+      const query = dnsPacket.encode({
+        type: 'query',
+        id: 0,
+        flags: dnsPacket.RECURSION_DESIRED | dnsPacket.CHECKING_DISABLED,
+        questions: [{ type, name }],
+        additionals: [{ type: 'OPT', name: '.', udpPayloadSize: 1232, flags: dnsPacket.DNSSEC_OK, options: [] }]
+      })
+      const upstream = await proxyToUpstream({ dnsWireBuf: query, route: null, sent: null, log: fastify.log })
+      if (upstream.status !== 200) throw new Error(upstream.error || `upstream HTTP ${upstream.status} for ${name} ${type}`)
+      return upstream.body
+    }
+  })
+  : null
+
+const filterSource = BLOCKLIST_TEXTS.some(Boolean) || BLOCKLIST_URLS.length
+  ? createFilterSource({
+    blockTexts: BLOCKLIST_TEXTS,
+    allowTexts: ALLOWLIST_TEXTS,
+    blockUrls: BLOCKLIST_URLS,
+    allowUrls: ALLOWLIST_URLS,
+    refreshMs: BLOCKLIST_REFRESH_S * 1000,
+    onError: (url, err) => fastify.log.warn({ url, err: err.message }, 'blocklist download failed')
+  })
+  : null
+// Start downloading remote lists now rather than on the first query
+if (filterSource) filterSource.get()
+
+// Prometheus metrics, served at /metrics
+const metrics = createRegistry()
+const queriesTotal = metrics.counter('doh_queries_total', 'DNS queries answered, by route, qtype and rcode', ['route', 'qtype', 'rcode'])
+const ecsTotal = metrics.counter('doh_ecs_queries_total', 'Queries forwarded upstream, by ECS action', ['action'])
+const ecsPrivateSkips = metrics.counter('doh_ecs_private_ip_skips_total', 'Queries sent without a derived ECS subnet because the client IP is not public')
+const upstreamHttpErrors = metrics.counter('doh_upstream_http_errors_total', 'Upstream responses with a non-200 HTTP status', ['upstream', 'status'])
+const upstreamFailures = metrics.counter('doh_upstream_failures_total', 'Upstream attempts that produced no usable answer, by reason', ['upstream', 'reason'])
+const staleTotal = metrics.counter('doh_stale_answers_total', 'Expired answers served because no upstream answered (serve-stale)')
+const dnssecTotal = metrics.counter('doh_dnssec_validations_total', 'Upstream answers checked by the local validator, by outcome', ['state'])
+const upstreamCoalesced = metrics.counter('doh_upstream_coalesced_total', 'Queries that joined an identical upstream exchange already in flight')
+const upstreamLatency = metrics.histogram('doh_upstream_request_duration_seconds', 'Upstream DoH request latency', ['upstream'])
+metrics.gauge('doh_upstream_healthy', 'Whether the upstream is currently in rotation (1) or ejected (0)', ['upstream'], () =>
+  [upstreamPool, ...routePools.values()].flatMap((pool) => pool.stats()).map((s) => [{ upstream: s.url }, s.healthy ? 1 : 0])
+)
+
+fastify.get('/metrics', async (req, reply) => {
+  reply.header('content-type', METRICS_CONTENT_TYPE)
+  return metrics.render()
+})
+
+// health; ?ready=1 additionally resolves HEALTHZ_QNAME through the upstream pool
+fastify.get('/healthz', async (req, reply) => {
+  if (!req.query?.ready) return { ok: true }
+  const started = Date.now()
+  try {
+    const query = dnsPacket.encode({ type: 'query', id: 0, flags: dnsPacket.RECURSION_DESIRED, questions: [{ type: HEALTHZ_QTYPE, name: HEALTHZ_QNAME }] })
+    const upstream = await proxyToUpstream({ dnsWireBuf: query, route: null, sent: null, log: req.log })
+    const rcode = upstream.status === 200 && upstream.body.length >= 12 ? upstream.body[3] & 0x0f : null
+    if (rcode !== RCODE.NOERROR && rcode !== RCODE.NXDOMAIN) {
+      const error = upstream.error || (rcode == null ? `upstream HTTP ${upstream.status}` : `upstream rcode ${rcode}`)
+      return reply.code(503).send({ ok: false, upstream: upstream.url, error })
+    }
+    return { ok: true, upstream: upstream.url, latencyMs: Date.now() - started }
+  } catch (err) {
+    return reply.code(503).send({ ok: false, error: String((err && err.message) || err) })
+  }
+})
+
+// What this server does, for the onboarding endpoints (lib/onboarding.js)
+const resolverFeatures = {
+  endpoints: {
+    doh: '/dns-query',
+    json: null,
+    odohProxy: false,
+    odohConfigs: ODOH_TARGET ? ODOH_CONFIGS_PATH : null,
+    dot: DOT_PORT || null,
+    dns: DNS_PORT || null
+  },
+  ecs: { policy: ECS_POLICY, v4Prefix: ECS_V4_PREFIX, v6Prefix: ECS_V6_PREFIX },
+  padding: { block: PADDING_BLOCK, upstreamBlock: UPSTREAM_PADDING_BLOCK },
+  filtering: {
+    blocklist: BLOCKLIST_TEXTS.some((t) => t.trim()) || BLOCKLIST_URLS.length > 0,
+    blockMode: BLOCK_MODE,
+    aaaa: !!(FILTER_AAAA_CLIENTS || FILTER_AAAA_DOMAINS),
+    rewrites: !!REWRITES.trim()
+  },
+  localZones: LOCAL_ZONE_TEXTS.length > 0,
+  dnssec: DNSSEC_VALIDATE,
+  dns64: DNS64 ? DNS64_PREFIX : null,
+  ttl: { min: TTL_MIN, max: TTL_MAX },
+  // No response cache here; CACHE_SIZE only sizes the serve-stale store
+  cache: false,
+  serveStale: SERVE_STALE_S,
+  rateLimit: RATE_LIMIT_QPS > 0 ? { qps: RATE_LIMIT_QPS, burst: RATE_LIMIT_BURST > 0 ? RATE_LIMIT_BURST : Math.max(1, RATE_LIMIT_QPS) } : null,
+  queryLog: !!QUERY_LOG
+}
+
+// The origin clients reached us on ("https://host[:port]"), normalized; null when the
+// Host header is not a host. The scheme is the connection's, or X-Forwarded-Proto when a
+// trusted proxy terminated TLS in front of us.
+function requestOrigin(req) {
+  const forwarded = isTrustedProxy(TRUSTED_PROXIES, req.socket.remoteAddress) ? String(req.headers['x-forwarded-proto'] || '').split(',').pop().trim().toLowerCase() : ''
+  const scheme = forwarded === 'https' || forwarded === 'http' ? forwarded : req.protocol
+  try {
+    return new URL(`${scheme}://${req.hostname}`).origin
+  } catch {
+    return null
+  }
+}
+
+// The origin to put in an onboarding document, or null after replying why there is none
+function onboardingOrigin(req, reply) {
+  const origin = requestOrigin(req)
+  const problem = origin ? unusableOrigin(origin) : 'invalid host'
+  if (!problem) return origin
+  if (origin) req.log.warn({ origin }, 'onboarding refused over plain http; a TLS proxy in front must be in TRUSTED_PROXIES and send X-Forwarded-Proto')
+  reply.code(400).send({ error: problem })
+  return null
+}
+
+fastify.get(DNS_STAMP_PATH, async (req, reply) => {
+  const origin = onboardingOrigin(req, reply)
+  if (!origin) return reply
+  return reply
+    .headers({ 'content-type': 'text/plain; charset=utf-8', 'cache-control': 'max-age=3600', 'access-control-allow-origin': '*' })
+    .send(`${dnsStamp(origin, resolverFeatures)}\n`)
+})
+
+// Signing files are read per request, so renewed certificates are picked up
+fastify.get(MOBILECONFIG_PATH, async (req, reply) => {
+  const origin = onboardingOrigin(req, reply)
+  if (!origin) return reply
+  const profile = await appleDnsProfile(origin, resolverFeatures)
+  let body = profile
+  if (PROFILE_SIGNING_CERT_FILE) {
+    try {
+      body = Buffer.from(await signCms(Buffer.from(profile), readProfileSigning()))
+    } catch (err) {
+      req.log.error({ err }, 'profile signing failed')
+      return reply.code(500).send({ error: `profile signing failed: ${err.message}` })
+    }
+  }
+  return reply
+    .headers({
+      'content-type': MOBILECONFIG_CONTENT_TYPE,
+      'content-disposition': `attachment; filename="${new URL(origin).hostname}.mobileconfig"`,
+      'cache-control': 'max-age=3600'
+    })
+    .send(body)
+})
+
+fastify.get(RESOLVER_INFO_PATH, async (req, reply) => {
+  const origin = onboardingOrigin(req, reply)
+  if (!origin) return reply
+  return reply
+    .headers({ 'cache-control': 'max-age=3600', 'access-control-allow-origin': '*' })
+    .send(describeResolver(origin, resolverFeatures))
+})
+
+// Helper: base64url decode to Buffer; throws on characters outside the alphabet
 function b64urlToBuffer(b64url) {
+  b64url = b64url.replace(/=+$/, '')
+  if (!/^[A-Za-z0-9_-]*$/.test(b64url) || b64url.length % 4 === 1) throw new Error('invalid base64url')
   const pad = b64url.length % 4 === 2 ? '==' : b64url.length % 4 === 3 ? '=' : ''
   const b64 = b64url.replace(/-/g, '+').replace(/_/g, '/') + pad
   return Buffer.from(b64, 'base64')
@@ -34,18 +444,230 @@ function bufferToB64url(buf) {
     .replace(/=+$/g, '')
 }
 
+// Drop any ECS option, e.g. on routes that must never see a client subnet
+function stripECS(dnsWireBuf) {
+  let packet
+  try {
+    packet = dnsPacket.decode(dnsWireBuf)
+  } catch {
+    return dnsWireBuf
+  }
+  const opt = (packet.additionals || []).find((r) => r.type === 'OPT')
+  if (!opt || !(opt.options || []).some((o) => o.code === 8)) return dnsWireBuf
+  opt.options = opt.options.filter((o) => o.code !== 8)
+  return dnsPacket.encode(packet)
+}
+
+const RCODE = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4, REFUSED: 5 }
+// RFC 8914 Extended DNS Error INFO-CODEs
+const EDE_STALE_ANSWER = 3
+const EDE_BLOCKED = 15
+const EDE_PROHIBITED = 18
+const EDE_STALE_NXDOMAIN_ANSWER = 19
+// RFC 8767 §4: TTL on answers served stale
+const STALE_TTL = 30
+// RFC 7830 EDNS Padding option
+const OPT_PADDING = 12
+
+function edeOption(infoCode, extraText = '') {
+  const data = Buffer.alloc(2 + Buffer.byteLength(extraText))
+  data.writeUInt16BE(infoCode, 0)
+  data.write(extraText, 2)
+  return { code: 15, data }
+}
+
+// Placeholder SOA so negative answers we synthesize can be cached for `ttl` (RFC 2308)
+function syntheticSoa(name, ttl) {
+  return {
+    type: 'SOA',
+    name,
+    ttl,
+    data: { mname: '.', rname: '.', serial: 1, refresh: 3600, retry: 600, expire: 86400, minimum: ttl }
+  }
+}
+
+// Local response to a decoded query: ID, opcode, RD and CD echoed. An OPT record
+// carrying `options` is only added when the query itself had EDNS (RFC 6891).
+function buildResponse(query, { rcode = 0, aa = false, answers = [], authorities = [], options = [] } = {}) {
+  const queryOpt = (query.additionals || []).find((r) => r.type === 'OPT')
+  const flags = (query.flags & 0x7800) |
+    (aa ? dnsPacket.AUTHORITATIVE_ANSWER : 0) |
+    (query.flags & dnsPacket.RECURSION_DESIRED) |
+    dnsPacket.RECURSION_AVAILABLE |
+    (query.flags & dnsPacket.CHECKING_DISABLED) |
+    rcode
+  return dnsPacket.encode({
+    type: 'response',
+    id: query.id,
+    flags,
+    questions: query.questions.slice(0, 1),
+    answers,
+    authorities,
+    additionals: queryOpt
+      ? [{ type: 'OPT', name: '.', udpPayloadSize: 1232, flags: queryOpt.flags & dnsPacket.DNSSEC_OK, options }]
+      : []
+  })
+}
+
+// dns-packet sizes known RR types by their own decoders and ignores RDLENGTH, so the
+// framing is checked on the raw query first: QR clear, exactly one question, every
+// record inside the message and the last one ending it, and at most one OPT record,
+// owned by the root, in the additional section, whose options tile its RDATA. Labels
+// and compression pointers are left to dns-packet.
+function checkQueryFraming(buf) {
+  if (buf.length < 12) throw new Error('message shorter than a DNS header')
+  if (buf[2] & 0x80) throw new Error('QR bit set in query')
+  const [qd, an, ns, ar] = [4, 6, 8, 10].map((o) => buf.readUInt16BE(o))
+  if (qd !== 1) throw new Error('QDCOUNT must be 1')
+  let off = skipWireName(buf, 12) + 4
+  let opts = 0
+  for (let i = 0; i < an + ns + ar; i++) {
+    const owner = off
+    off = skipWireName(buf, off)
+    if (off + 10 > buf.length) throw new Error(`message truncated at offset ${off}`)
+    const end = off + 10 + buf.readUInt16BE(off + 8)
+    if (end > buf.length) throw new Error(`RDATA overruns the message at offset ${off}`)
+    if (buf.readUInt16BE(off) === 41) {
+      if (i < an + ns) throw new Error('OPT record outside the additional section')
+      if (++opts > 1) throw new Error('more than one OPT record')
+      if (buf[owner] !== 0) throw new Error('OPT record not owned by the root')
+      for (let p = off + 10; p < end; p += 4 + buf.readUInt16BE(p + 2)) {
+        if (p + 4 > end || p + 4 + buf.readUInt16BE(p + 2) > end) throw new Error(`EDNS option overruns OPT RDATA at offset ${p}`)
+      }
+    }
+    off = end
+  }
+  if (off > buf.length) throw new Error('message truncated')
+  if (off < buf.length) throw new Error(`${buf.length - off} trailing bytes`)
+}
+
+function skipWireName(buf, off) {
+  for (;;) {
+    if (off >= buf.length) throw new Error('message truncated in a name')
+    if (buf[off] === 0) return off + 1
+    if ((buf[off] & 0xc0) === 0xc0) return off + 2
+    off += 1 + buf[off]
+  }
+}
+
+// RFC 7830 / RFC 8467 block-length padding on the raw message: replace any Padding
+// option (code 12) in the OPT record with one that makes the whole message a multiple
+// of `block` bytes; with block 0 any Padding option is only removed. Messages without
+// OPT, or that do not frame, are returned as-is.
+function padMessage(buf, block) {
+  const opt = findOptRdata(buf)
+  if (!opt) return buf
+  const kept = []
+  for (let p = opt.start; p < opt.end; p += 4 + buf.readUInt16BE(p + 2)) {
+    if (p + 4 > opt.end || p + 4 + buf.readUInt16BE(p + 2) > opt.end) return buf
+    if (buf.readUInt16BE(p) !== OPT_PADDING) kept.push(buf.subarray(p, p + 4 + buf.readUInt16BE(p + 2)))
+  }
+  const options = Buffer.concat(kept)
+  if (!(block > 0) && options.length === opt.end - opt.start) return buf
+  let padding = Buffer.alloc(0)
+  if (block > 0) {
+    const bare = buf.length - (opt.end - opt.start) + options.length + 4
+    padding = Buffer.alloc(4 + (block - (bare % block)) % block)
+    padding.writeUInt16BE(OPT_PADDING, 0)
+    padding.writeUInt16BE(padding.length - 4, 2)
+  }
+  const rdlen = Buffer.alloc(2)
+  rdlen.writeUInt16BE(options.length + padding.length, 0)
+  return Buffer.concat([buf.subarray(0, opt.start - 2), rdlen, options, padding, buf.subarray(opt.end)])
+}
+
+// RDATA bounds of the OPT record as { start, end }, or null
+function findOptRdata(buf) {
+  if (buf.length < 12) return null
+  const [qd, an, ns, ar] = [4, 6, 8, 10].map((o) => buf.readUInt16BE(o))
+  try {
+    let off = 12
+    for (let i = 0; i < qd; i++) off = skipWireName(buf, off) + 4
+    for (let i = 0; i < an + ns + ar; i++) {
+      off = skipWireName(buf, off)
+      if (off + 10 > buf.length) return null
+      const end = off + 10 + buf.readUInt16BE(off + 8)
+      if (end > buf.length) return null
+      if (buf.readUInt16BE(off) === 41) return { start: off + 10, end }
+      off = end
+    }
+  } catch {}
+  return null
+}
+
+// Validation needs the signatures whatever the client asked for: DO on, and CD so a
+// validating upstream hands over bogus data for us to judge instead of a bare SERVFAIL
+function withDnssecOk(buf) {
+  const packet = dnsPacket.decode(buf)
+  packet.flags |= dnsPacket.CHECKING_DISABLED
+  let opt = (packet.additionals || []).find((r) => r.type === 'OPT')
+  if (!opt) {
+    opt = { type: 'OPT', name: '.', udpPayloadSize: 1232, flags: 0, options: [] }
+    packet.additionals = [...(packet.additionals || []), opt]
+  }
+  opt.flags = (opt.flags || 0) | dnsPacket.DNSSEC_OK
+  return dnsPacket.encode(packet)
+}
+
+const DNSSEC_RR_TYPES = new Set(['RRSIG', 'NSEC', 'NSEC3'])
+
+// Set AD for secure answers the client can make use of (RFC 6840 §5.7), and drop the
+// DNSSEC records a client that did not set DO never asked for (RFC 4035 §3.2.1)
+function finishValidatedAnswer(body, query, secure) {
+  const opt = (query.additionals || []).find((r) => r.type === 'OPT')
+  const clientDo = !!(opt && opt.flags & dnsPacket.DNSSEC_OK)
+  if (!clientDo) {
+    const qtype = query.questions[0].type
+    const keep = (r) => !DNSSEC_RR_TYPES.has(r.type) || r.type === qtype
+    const packet = dnsPacket.decode(body)
+    packet.answers = packet.answers.filter(keep)
+    packet.authorities = packet.authorities.filter(keep)
+    packet.additionals = packet.additionals.filter(keep)
+    for (const r of packet.additionals) if (r.type === 'OPT') r.flags &= ~dnsPacket.DNSSEC_OK
+    body = dnsPacket.encode(packet)
+  }
+  // CD was ours, not the client's
+  body[3] &= ~0x10
+  if (secure && (clientDo || query.flags & dnsPacket.AUTHENTIC_DATA)) body[3] |= 0x20
+  else body[3] &= ~0x20
+  return body
+}
+
+// FORMERR for a query we could not parse: ID, opcode and RD echoed, every section
+// empty since none of them can be trusted
+function buildFormErr(original) {
+  const out = Buffer.alloc(12)
+  original.copy(out, 0, 0, 2)
+  out[2] = 0x80 | (original[2] & 0x79)
+  out[3] = 0x80 | RCODE.FORMERR
+  return out
+}
+
+// Local answer for a blocked name, per BLOCK_MODE: NXDOMAIN, REFUSED, or
+// 0.0.0.0 / :: (NODATA for other types), tagged with EDE "Blocked"
+function buildBlockedResponse(query, rule) {
+  const q = query.questions[0]
+  const options = [edeOption(EDE_BLOCKED, `blocked by rule ${rule}`)]
+  if (BLOCK_MODE === 'refused') return buildResponse(query, { rcode: RCODE.REFUSED, options })
+  if (BLOCK_MODE === 'null') {
+    const answers = []
+    if (q.type === 'A') answers.push({ type: 'A', name: q.name, ttl: BLOCK_TTL, data: '0.0.0.0' })
+    if (q.type === 'AAAA') answers.push({ type: 'AAAA', name: q.name, ttl: BLOCK_TTL, data: '::' })
+    const authorities = answers.length ? [] : [syntheticSoa(q.name, BLOCK_TTL)]
+    return buildResponse(query, { answers, authorities, options })
+  }
+  return buildResponse(query, { rcode: RCODE.NXDOMAIN, authorities: [syntheticSoa(q.name, BLOCK_TTL)], options })
+}
+
 // Inject or update EDNS Client Subnet (ECS) in a DNS message buffer
-function injectECS(dnsWireBuf, clientIpStr) {
-  if (!clientIpStr) return dnsWireBuf
+function injectECS(dnsWireBuf, ipStr, sourcePrefixLength) {
   let ip
   try {
-    ip = ipaddr.parse(clientIpStr)
+    ip = ipaddr.parse(ipStr)
   } catch {
     return dnsWireBuf
   }
-
   const family = ip.kind() === 'ipv6' ? 2 : 1
-  const sourcePrefixLength = family === 1 ? ECS_V4_PREFIX : ECS_V6_PREFIX
 
   // Decode packet
   let packet
@@ -77,46 +699,500 @@ function injectECS(dnsWireBuf, clientIpStr) {
   // Remove existing CLIENT_SUBNET if any
   opt.options = opt.options.filter((o) => o.code !== 'CLIENT_SUBNET' && o.code !== 8)
 
-  // Add our CLIENT_SUBNET option
+  // Add our CLIENT_SUBNET option; dns-packet copies whole bytes, so mask first
+  const bytes = ip.toByteArray().map((b, i) => {
+    const keep = Math.max(0, Math.min(8, sourcePrefixLength - i * 8))
+    return b & ((0xff << (8 - keep)) & 0xff)
+  })
   opt.options.push({
     code: 'CLIENT_SUBNET',
     family,
     sourcePrefixLength,
     scopePrefixLength: 0,
-    ip: ip.toString()
+    ip: ipaddr.fromByteArray(bytes).toString()
   })
 
   // Re-encode
   return dnsPacket.encode(packet)
 }
 
-// Proxy to upstream DoH
-async function proxyToUpstream({ method, dnsWireBuf, searchParams, headers }) {
-  // Prefer POST to keep semantics and avoid URL length limits.
-  if (method === 'GET') {
-    // If original was GET with ?dns=, we can also POST
-    const res = await undiciRequest(UPSTREAM_DOH, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/dns-message',
-        'accept': 'application/dns-message'
-      },
-      body: dnsWireBuf
-    })
-    const body = Buffer.from(await res.body.arrayBuffer())
-    return { status: res.statusCode, body, headers: res.headers }
+// The ECS option of a wire message as { family, ip, sourcePrefix, scopePrefix, bytes }, or null
+function readECS(dnsWireBuf) {
+  let packet
+  try {
+    packet = dnsPacket.decode(dnsWireBuf)
+  } catch {
+    return null
+  }
+  const opt = (packet.additionals || []).find((r) => r.type === 'OPT')
+  const ecs = opt && (opt.options || []).find((o) => o.code === 8)
+  if (!ecs || (ecs.family !== 1 && ecs.family !== 2)) return null
+  return {
+    family: ecs.family,
+    ip: ecs.ip,
+    sourcePrefix: ecs.sourcePrefixLength,
+    scopePrefix: ecs.scopePrefixLength,
+    bytes: ecs.data.subarray(4)
+  }
+}
+
+// Validates an ecs= / X-ECS-Request value; throws when malformed
+function requestedSubnet(value) {
+  const subnet = parseSubnet(value)
+  if (!subnet) return null
+  const valid = subnet.family === 2 ? ipaddr.IPv6.isValid(subnet.ip) : ipaddr.IPv4.isValidFourPartDecimal(subnet.ip)
+  if (!valid) throw new Error(`invalid subnet ${value}`)
+  return subnet
+}
+
+// Socket address unless the peer is a trusted proxy; { ip, source, reason }
+function clientAddress(req) {
+  const getHeader = (name) => {
+    const v = req.headers[name.toLowerCase()]
+    return (Array.isArray(v) ? v.join(', ') : v) || ''
+  }
+  return resolveClientIp({
+    peer: { ip: req.socket.remoteAddress, source: 'socket' },
+    getHeader,
+    trusted: TRUSTED_PROXIES,
+    connectingIpHeader: CONNECTING_IP_HEADER,
+  })
+}
+
+function isPublicIp(ipStr) {
+  try {
+    return ipaddr.process(ipStr).range() === 'unicast'
+  } catch {
+    return false
+  }
+}
+
+function applyEcsDecision(dnsWireBuf, decision) {
+  if (decision.action === 'strip') return stripECS(dnsWireBuf)
+  if (decision.action === 'passthrough') return dnsWireBuf
+  return injectECS(dnsWireBuf, decision.ip, decision.prefix)
+}
+
+// Seconds a response may be cached: min TTL over answer/authority RRs, or the
+// SOA negative TTL (RFC 2308) for NXDOMAIN/NODATA. 0 means do not cache.
+function cacheableTtl(packet) {
+  if (packet.flag_tc) return 0
+  if (packet.rcode !== 'NOERROR' && packet.rcode !== 'NXDOMAIN') return 0
+  const answers = packet.answers || []
+  const soa = (packet.authorities || []).find((r) => r.type === 'SOA')
+  if (!answers.length || packet.rcode === 'NXDOMAIN') {
+    return soa ? Math.min(soa.ttl, soa.data.minimum) : 0
+  }
+  const ttls = [...answers, ...(packet.authorities || [])]
+    .filter((r) => r.type !== 'SOA')
+    .map((r) => r.ttl)
+  return ttls.length ? Math.min(...ttls) : 0
+}
+
+// RFC 8484 §5.1: HTTP freshness follows the smallest TTL in the answer. Answers
+// tailored to the client subnet (non-zero ECS scope returned) must never be
+// shared between clients, so they are private and vary on the client IP header; so are
+// answers that only some clients get (perClient, e.g. DNS64 limited to DNS64_CLIENTS, or
+// AAAA filtered for FILTER_AAAA_CLIENTS).
+function httpCacheHeaders(status, body, perClient = false) {
+  let packet
+  try {
+    packet = status === 200 ? dnsPacket.decode(body) : null
+  } catch {
+    packet = null
+  }
+  const ttl = packet ? cacheableTtl(packet) : 0
+  if (!(ttl > 0)) return { 'cache-control': 'no-store' }
+  const opt = (packet.additionals || []).find((r) => r.type === 'OPT')
+  const ecs = opt && (opt.options || []).find((o) => o.code === 8)
+  if (perClient || (ecs && ecs.scopePrefixLength > 0)) {
+    return { 'cache-control': `private, max-age=${ttl}`, 'vary': `${CONNECTING_IP_HEADER}, ${ECS_REQUEST_HEADER}` }
+  }
+  return { 'cache-control': `public, max-age=${ttl}` }
+}
+
+// Relay the upstream answer, restoring the client's DNS ID
+function upstreamAnswer(upstream, clientId, padding, headers) {
+  let body = upstream.body
+  if (upstream.status === 200 && body.length >= 12) {
+    body.writeUInt16BE(clientId, 0)
+    body = padMessage(body, padding)
+  }
+  return { status: upstream.status, body, headers }
+}
+
+// Forward with DNS ID 0 (RFC 8484 §4.1) so identical questions are identical upstream
+function withZeroId(buf) {
+  if (buf.length < 2) return buf
+  const out = Buffer.from(buf)
+  out.writeUInt16BE(0, 0)
+  return out
+}
+
+// Identical concurrent questions (same bytes, so same ECS subnet, flags and padding) for
+// the same pool share one upstream exchange; each caller gets its own copy of the body
+async function proxyToUpstream(params) {
+  const poolKey = params.route && routePools.has(params.route.id) ? params.route.id : ''
+  const key = `${poolKey}:${params.dnsWireBuf.toString('base64')}`
+  let shared = inflight.get(key)
+  if (shared) {
+    upstreamCoalesced.inc()
   } else {
-    const res = await undiciRequest(UPSTREAM_DOH, {
-      method: 'POST',
-      headers: {
-        'content-type': 'application/dns-message',
-        'accept': 'application/dns-message'
-      },
-      body: dnsWireBuf
-    })
-    const body = Buffer.from(await res.body.arrayBuffer())
-    return { status: res.statusCode, body, headers: res.headers }
+    shared = exchangeUpstream(params).finally(() => inflight.delete(key))
+    inflight.set(key, shared)
+  }
+  const result = await shared
+  return { ...result, body: Buffer.from(result.body) }
+}
+
+// Ask the pool's upstreams: DoH is always POSTed to keep semantics and avoid URL length
+// limits; udp://, tcp:// and tls:// upstreams are asked directly (src/dns-upstream.js).
+// Padding is redone last, once ECS injection has settled the length, and only for
+// encrypted upstreams: on udp:// and tcp:// it costs bytes and hides nothing (RFC 8467).
+async function exchangeUpstream({ dnsWireBuf, route, sent, log }) {
+  const pool = (route && routePools.get(route.id)) || upstreamPool
+  const { result, upstream: url } = await pool.exchange(async (upstream, signal) => {
+    const started = process.hrtime.bigint()
+    const query = padMessage(dnsWireBuf, /^(udp|tcp):\/\//i.test(upstream) ? 0 : UPSTREAM_PADDING_BLOCK)
+    let res, body
+    try {
+      if (isSocketUpstream(upstream)) {
+        body = await socketUpstreams.exchange(upstream, query, signal)
+        res = { statusCode: 200, headers: {} }
+      } else {
+        res = await undiciRequest(upstream, {
+          method: 'POST',
+          headers: {
+            'content-type': 'application/dns-message',
+            'accept': 'application/dns-message'
+          },
+          body: query,
+          signal,
+          dispatcher: upstreamAgent
+        })
+        // Read the body inside the attempt so the deadline covers it too
+        body = Buffer.from(await res.body.arrayBuffer())
+      }
+    } catch (err) {
+      upstreamFailures.inc({ upstream, reason: signal.aborted ? 'aborted' : 'network' })
+      throw err
+    } finally {
+      upstreamLatency.observe({ upstream }, Number(process.hrtime.bigint() - started) / 1e9)
+    }
+    if (res.statusCode !== 200) upstreamHttpErrors.inc({ upstream, status: res.statusCode })
+    const malformed = res.statusCode === 200 ? checkUpstreamAnswer(body, query) : null
+    if (malformed) {
+      log.warn({ upstream, err: malformed }, 'unusable upstream answer')
+      upstreamFailures.inc({ upstream, reason: 'malformed' })
+      return { ok: false, status: 502, body: Buffer.alloc(0), headers: {}, error: malformed }
+    }
+    // An answer for some other subnet must be dropped, not relayed (RFC 7871 §7.3)
+    const mismatch = res.statusCode === 200 ? ecsEchoMismatch(sent, readECS(body)) : null
+    if (mismatch) {
+      log.warn({ upstream, mismatch }, 'upstream ECS echo mismatch')
+      upstreamFailures.inc({ upstream, reason: 'ecs_mismatch' })
+      return { ok: false, status: 502, body: Buffer.alloc(0), headers: {}, error: `ECS ${mismatch}` }
+    }
+    return { ok: res.statusCode < 500 && res.statusCode !== 429, status: res.statusCode, body, headers: res.headers }
+  })
+  return { ...result, url }
+}
+
+// Why body cannot be the answer to query, or null: it must parse, have QR set and carry the query's ID
+function checkUpstreamAnswer(body, query) {
+  try {
+    dnsPacket.decode(body)
+  } catch (err) {
+    return `malformed upstream response: ${err.message}`
+  }
+  if (!(body[2] & 0x80) || body.readUInt16BE(0) !== query.readUInt16BE(0)) {
+    return 'upstream answer is not a response to our query (QR or ID mismatch)'
+  }
+  return null
+}
+
+// Serve-stale key: the question as the client asked it, plus the DO and CD bits that
+// decide what the stored answer contains
+function staleKey(query) {
+  const q = query.questions[0]
+  const opt = (query.additionals || []).find((r) => r.type === 'OPT')
+  const dok = opt && opt.flags & dnsPacket.DNSSEC_OK ? 'do' : 'nodo'
+  return `${q.name.toLowerCase()}|${q.type}|${q.class}|${dok}|${query.flags & dnsPacket.CHECKING_DISABLED ? 'cd' : ''}`
+}
+
+// A stored answer served for a new query (RFC 8767): its ID and question, every TTL
+// set to STALE_TTL and an Extended DNS Error saying the answer is stale and why.
+// The stored ECS echo names whichever client asked first, so it is rewritten to the
+// subnet this query sent (sent) with the stored scope, or dropped when it sent none.
+function buildStaleAnswer(cached, query, reason, sent) {
+  const packet = dnsPacket.decode(cached)
+  packet.id = query.id
+  packet.questions = query.questions.slice(0, 1)
+  for (const r of [...packet.answers, ...packet.authorities, ...packet.additionals]) {
+    if (r.type !== 'OPT') r.ttl = STALE_TTL
+  }
+  const opt = packet.additionals.find((r) => r.type === 'OPT')
+  if (opt) {
+    const infoCode = packet.rcode === 'NXDOMAIN' ? EDE_STALE_NXDOMAIN_ANSWER : EDE_STALE_ANSWER
+    const kept = (opt.options || []).filter((o) => o.code !== OPT_PADDING).flatMap((o) => (o.code === 8 ? echoECS(o, sent) : [o]))
+    opt.options = [...kept, edeOption(infoCode, reason)]
+  }
+  return dnsPacket.encode(packet)
+}
+
+// The stored ECS option o echoed for sent (RFC 7871 §7.3): sent's subnet, the stored scope
+function echoECS(o, sent) {
+  if (!sent) return []
+  return [{
+    code: 'CLIENT_SUBNET',
+    family: sent.family,
+    sourcePrefixLength: sent.sourcePrefix,
+    scopePrefixLength: Math.min(o.scopePrefixLength || 0, sent.sourcePrefix),
+    ip: sent.ip
+  }]
+}
+
+// No upstream answered: the last good answer if it expired less than SERVE_STALE_S ago,
+// else SERVFAIL for the client's question. Both say why in an Extended DNS Error, and
+// go out as HTTP 200 so stub resolvers see a DNS answer rather than a transport error.
+async function upstreamFailureAnswer(failure, { original, client, query, sent, supplied, padding, headers, meta, log }) {
+  const { infoCode, text, detail } = describeFailure(failure)
+  const question = query.questions[0]
+  log.warn({ qname: question.name, qtype: question.type, err: detail }, 'no upstream answer')
+  meta.error = detail
+  const stale = staleAnswers ? await staleAnswers.getStale(staleKey(query), sent) : null
+  if (stale) {
+    staleTotal.inc()
+    meta.upstream = 'stale'
+    const staleWire = buildStaleAnswer(Buffer.from(stale.value), query, text, sent)
+    const scope = readECS(staleWire)
+    if (scope) headers['X-ECS-Scope'] = String(scope.scopePrefix)
+    meta.ecsScope = scope ? scope.scopePrefix : null
+    const rewritten = rewriteAnswer(staleWire, original, client.ip)
+    const shared = shareAnswer(rewritten.wire, { sent, supplied, headers, perClient: rewritten.perClient })
+    meta.wire = shared.wire
+    const answer = localAnswer(meta.wire, padding, headers)
+    return shared.perClient ? { ...answer, perClient: true } : answer
+  }
+  meta.wire = buildResponse(query, { rcode: RCODE.SERVFAIL, options: [edeOption(infoCode, text)] })
+  return localAnswer(meta.wire, padding, headers)
+}
+
+function localAnswer(body, padding, headers = {}) {
+  return { status: 200, body: padMessage(body, padding), headers }
+}
+
+function sendAnswer(reply, answer) {
+  if (answer.error) return reply.code(answer.status).send({ error: answer.error })
+  return reply
+    .code(answer.status)
+    .headers({ 'content-type': 'application/dns-message', ...httpCacheHeaders(answer.status, answer.body, answer.perClient), ...answer.headers })
+    .send(answer.body)
+}
+
+// Shared by both DoH routes; the subnet may also be requested out of band (ecs= or
+// X-ECS-Request), subject to ECS_POLICY
+async function handleDnsQuery(req, reply, original) {
+  let requested
+  try {
+    const header = req.headers[ECS_REQUEST_HEADER.toLowerCase()]
+    requested = requestedSubnet(req.query?.ecs || (Array.isArray(header) ? header[0] : header))
+  } catch {
+    return reply.code(400).send({ error: 'invalid ecs param' })
   }
+  const answer = await runDnsQuery({ original, client: clientAddress(req), requested, transport: 'https', padding: PADDING_BLOCK, log: req.log })
+  return sendAnswer(reply, answer)
+}
+
+// Shared by DoH and plain DNS: answer one query, then record it in the query log and metrics
+async function runDnsQuery(params) {
+  const started = Date.now()
+  // Filled in by answerDnsQuery as the query moves through the pipeline
+  const meta = { transport: params.transport }
+  let status = 500
+  try {
+    const answer = await answerDnsQuery(params, meta)
+    status = answer.status
+    return answer
+  } catch (err) {
+    meta.error = String((err && err.message) || err)
+    throw err
+  } finally {
+    if (meta.question) {
+      const entry = queryLogEntry(meta, status, started)
+      queriesTotal.inc({ route: meta.route || 'default', qtype: entry.qtype, rcode: entry.rcode || 'none' })
+      if (queryLogger) queryLogger.log(entry).catch(() => {})
+    }
+  }
+}
+
+// Filter, route, inject ECS, forward, validate, synthesize (DNS64), rewrite. Returns { status, body,
+// headers } with the client's DNS ID restored (perClient set when the answer must stay
+// private to this client), or { status, error } for input that is not a DNS message.
+// padding: EDNS padding block for the answer (0 on unencrypted transports)
+async function answerDnsQuery({ original, client, requested = null, padding, log }, meta) {
+  if (!original || original.length < 2) return { status: 400, error: 'empty dns message' }
+
+  // A query that does not parse is answered FORMERR, echoing its ID
+  let query
+  try {
+    checkQueryFraming(original)
+    query = dnsPacket.decode(original)
+    if (dnsPacket.decode.bytes !== original.length) throw new Error('records do not match their RDLENGTH')
+  } catch (err) {
+    log.debug({ err: err.message }, 'malformed query')
+    return localAnswer(buildFormErr(original), padding)
+  }
+  const question = query.questions[0]
+  log.debug({ ipSource: client.source, reason: client.reason }, 'client address')
+  meta.question = question
+  meta.client = client
+
+  // Throttled clients get a DNS-level REFUSED; stub resolvers cope with that far better than HTTP 429
+  if (question && rateLimiter && (await rateLimiter.check(client.ip)).limited) {
+    meta.upstream = meta.route = 'ratelimited'
+    meta.wire = buildResponse(query, { rcode: RCODE.REFUSED, options: [edeOption(EDE_PROHIBITED, 'rate limit exceeded')] })
+    return localAnswer(meta.wire, padding)
+  }
+
+  // Local zones are answered authoritatively, ahead of filtering and forwarding
+  const local = question && localZones && question.class === 'IN' ? localZones.lookup(question.name, question.type) : null
+  if (local) {
+    meta.upstream = meta.route = 'local'
+    meta.wire = buildResponse(query, { rcode: RCODE[local.rcode], aa: true, answers: local.answers, authorities: local.authorities })
+    return localAnswer(meta.wire, padding)
+  }
+
+  // Blocked names are answered locally and never reach an upstream
+  if (question && filterSource) {
+    const verdict = (await filterSource.get()).match(question.name)
+    if (verdict.blocked) {
+      meta.upstream = meta.route = 'blocked'
+      meta.wire = buildBlockedResponse(query, verdict.rule)
+      return localAnswer(meta.wire, padding)
+    }
+  }
+
+  const route = question ? matchRoute(ROUTES, question.name, question.type) : null
+  if (route) meta.route = route.suffix || '.'
+
+  const clientIp = client.ip
+  const own = readECS(original)
+  const supplied = requested || (own && { family: own.family, ip: own.ip, prefix: own.sourcePrefix })
+  const decision = decideEcs({
+    policy: ECS_POLICY,
+    client: supplied,
+    clientIp,
+    clientIpPublic: isPublicIp(clientIp),
+    v4Prefix: ECS_V4_PREFIX,
+    v6Prefix: ECS_V6_PREFIX,
+    allowed: !route || route.ecs,
+  })
+  const mutated = applyEcsDecision(original, decision)
+  const sent = readECS(mutated)
+  meta.ecs = sent && `${sent.ip}/${sent.sourcePrefix}`
+  meta.ecsAction = decision.action
+  ecsTotal.inc({ action: decision.action })
+  if (decision.action === 'passthrough' && clientIp && !isPublicIp(clientIp)) ecsPrivateSkips.inc()
+  const headers = { 'X-ECS': ecsHeaderValue(meta.ecs, decision.action) }
+
+  // Queries on routes with their own upstreams (typically unsigned private zones) and
+  // queries with CD set are relayed unvalidated
+  const validating = dnssecValidator && !(route && routePools.has(route.id)) && !(query.flags & dnsPacket.CHECKING_DISABLED)
+  const forwarded = validating ? withDnssecOk(mutated) : mutated
+
+  const failed = { original, client, query, sent, supplied, padding, headers, meta, log }
+  let upstream
+  try {
+    upstream = await proxyToUpstream({ dnsWireBuf: withZeroId(forwarded), route, sent, log })
+  } catch (error) {
+    return upstreamFailureAnswer({ error }, failed)
+  }
+  meta.upstream = upstream.url
+  if (upstream.status !== 200) return upstreamFailureAnswer({ result: upstream }, failed)
+  const scope = readECS(upstream.body)
+  if (scope) headers['X-ECS-Scope'] = String(scope.scopePrefix)
+  log.debug({ upstream: upstream.url, ecs: meta.ecs, ecsScope: scope ? scope.scopePrefix : null }, 'upstream answer')
+  meta.ecsScope = scope ? scope.scopePrefix : null
+  meta.wire = upstream.body
+
+  // Bogus answers never reach the client, whatever the upstream claims
+  if (validating) {
+    const verdict = await dnssecValidator.validate(upstream.body)
+    meta.dnssec = verdict.state
+    dnssecTotal.inc({ state: verdict.state })
+    if (verdict.state === 'bogus' || verdict.state === 'indeterminate') {
+      const ede = verdict.ede || { code: DNSSEC_EDE.BOGUS, text: '' }
+      log.warn({ qname: question.name, qtype: question.type, ede }, 'DNSSEC validation failed')
+      meta.error = `DNSSEC ${verdict.state}: ${ede.text}`
+      meta.wire = buildResponse(query, { rcode: RCODE.SERVFAIL, options: [edeOption(ede.code, ede.text)] })
+      return localAnswer(meta.wire, padding, headers)
+    }
+    upstream.body = meta.wire = finishValidatedAnswer(upstream.body, query, verdict.state === 'secure')
+  }
+  if (staleAnswers) {
+    const ttl = cacheableTtl(dnsPacket.decode(upstream.body))
+    await staleAnswers.put(staleKey(query), sent, scope ? scope.scopePrefix : null, ttl, Buffer.from(upstream.body))
+  }
+
+  // Synthesis depends on the client, so serve-stale keeps the upstream's own answer
+  const synthesized = dns64 && dns64.wants(original, clientIp) && dns64.lacksAaaa(upstream.body)
+    ? await dns64Answer(upstream.body, { forwarded, route, sent, validating, log })
+    : null
+  if (synthesized) {
+    meta.dns64 = true
+    upstream.body = meta.wire = synthesized
+    const synthesizedScope = readECS(synthesized)
+    if (synthesizedScope) headers['X-ECS-Scope'] = String(synthesizedScope.scopePrefix)
+    meta.ecsScope = synthesizedScope ? synthesizedScope.scopePrefix : null
+  }
+  const rewritten = rewriteAnswer(upstream.body, original, clientIp)
+  const shared = shareAnswer(rewritten.wire, { sent, supplied, headers, perClient: rewritten.perClient || !!(synthesized && dns64.perClient) })
+  upstream.body = meta.wire = shared.wire
+  const answer = upstreamAnswer(upstream, original.readUInt16BE(0), padding, headers)
+  return shared.perClient ? { ...answer, perClient: true } : answer
+}
+
+// Answers valid for every client are public, and shared caches replay them to later
+// clients, so the subnet they were asked for comes out: the ECS echo and the X-ECS
+// headers. A client that supplied its own subnet is owed the echo; its answers stay
+// private instead. Returns { wire, perClient }.
+function shareAnswer(wire, { sent, supplied, headers, perClient }) {
+  if (!sent) return { wire, perClient }
+  if (supplied) return { wire, perClient: true }
+  if (perClient || !httpCacheHeaders(200, wire)['cache-control'].startsWith('public')) return { wire, perClient }
+  delete headers['X-ECS']
+  delete headers['X-ECS-Scope']
+  return { wire: stripECS(wire), perClient }
+}
+
+// Response rewriting policies (lib/rewrite.js) on an answer about to go out
+function rewriteAnswer(body, original, clientIp) {
+  const { wire, perClient } = responseRewriter.rewrite(body, { query: original, clientIp })
+  return { wire: wire === body ? body : Buffer.from(wire), perClient }
+}
+
+// DNS64 (lib/dns64.js): an AAAA answer without AAAA records, rebuilt from the A answer to
+// the same query with the same ECS subnet; null when there is no A record to go on. With
+// validation on, a bogus A answer is not synthesized from.
+async function dns64Answer(answer, { forwarded, route, sent, validating, log }) {
+  let a
+  try {
+    const aQuery = dns64.aQuery(withZeroId(forwarded))
+    a = await proxyToUpstream({ dnsWireBuf: Buffer.from(aQuery), route, sent, log })
+  } catch (err) {
+    // The A lookup failing leaves the client with the NODATA it would have had anyway
+    log.debug({ err: err.message }, 'DNS64 A lookup failed')
+    return null
+  }
+  if (a.status !== 200) return null
+  if (validating) {
+    const verdict = await dnssecValidator.validate(a.body)
+    dnssecTotal.inc({ state: verdict.state })
+    if (verdict.state === 'bogus' || verdict.state === 'indeterminate') return null
+  }
+  const out = dns64.synthesize(answer, a.body)
+  return out && Buffer.from(out)
 }
 
 // DoH GET: /dns-query?dns=BASE64URL(dns wire)
@@ -125,41 +1201,108 @@ fastify.get('/dns-query', async (req, reply) => {
   if (!dnsParam) {
     return reply.code(400).send({ error: 'missing dns param' })
   }
-  const clientIp = req.headers[CONNECTING_IP_HEADER.toLowerCase()] || req.headers['x-forwarded-for']
-
-  const original = b64urlToBuffer(String(dnsParam))
-  const mutated = injectECS(original, Array.isArray(clientIp) ? clientIp[0] : clientIp)
-
-  const upstream = await proxyToUpstream({ method: 'GET', dnsWireBuf: mutated, searchParams: req.query, headers: req.headers })
-  reply
-    .code(upstream.status)
-    .headers({ 'content-type': 'application/dns-message', 'cache-control': 'no-store' })
-    .send(upstream.body)
+  let original
+  try {
+    original = b64urlToBuffer(String(dnsParam))
+  } catch {
+    return reply.code(400).send({ error: 'invalid dns param' })
+  }
+  return handleDnsQuery(req, reply, original)
 })
 
-// DoH POST: binary body, content-type application/dns-message
+// DoH POST: binary body, content-type application/dns-message (or an ODoH query)
 fastify.post('/dns-query', async (req, reply) => {
   const ct = req.headers['content-type'] || ''
+  if (odohTarget && ct.startsWith(ODOH_CONTENT_TYPE)) return handleObliviousQuery(req, reply)
   if (!ct.startsWith('application/dns-message')) {
     return reply.code(415).send({ error: 'unsupported content-type' })
   }
+  return handleDnsQuery(req, reply, req.body)
+})
 
-  const chunks = []
-  for await (const chunk of req.raw) chunks.push(chunk)
-  const bodyBuf = Buffer.concat(chunks)
+// ODoH target: the peer is the proxy, not the client, so no address goes into the
+// pipeline (no ECS is derived from it, client-scoped policies do not apply and the query
+// log has none). Nothing but the sealed answer goes back through the proxy.
+async function handleObliviousQuery(req, reply) {
+  const opened = await odohTarget.open(req.body)
+  if (opened.error) return reply.code(opened.status).send({ error: opened.error })
+  const answer = await runDnsQuery({ original: Buffer.from(opened.query), client: { ip: '', source: 'odoh' }, transport: 'odoh', padding: PADDING_BLOCK, log: req.log })
+  if (answer.error) return reply.code(answer.status).send({ error: answer.error })
+  const sealed = await opened.seal(answer.body)
+  return reply
+    .code(200)
+    .headers({ 'content-type': ODOH_CONTENT_TYPE, 'cache-control': 'no-store' })
+    .send(Buffer.from(sealed))
+}
 
-  const clientIp = req.headers[CONNECTING_IP_HEADER.toLowerCase()] || req.headers['x-forwarded-for']
-  const mutated = injectECS(bodyBuf, Array.isArray(clientIp) ? clientIp[0] : clientIp)
+// The target's public key for ODoH clients (RFC 9230 §6.2)
+if (odohTarget) {
+  fastify.get(ODOH_CONFIGS_PATH, async (req, reply) => {
+    return reply
+      .headers({ 'content-type': 'application/octet-stream', 'cache-control': `max-age=${ODOH_KEY_SEED ? 86400 : 3600}` })
+      .send(Buffer.from(odohTarget.configs))
+  })
+}
 
-  const upstream = await proxyToUpstream({ method: 'POST', dnsWireBuf: mutated, headers: req.headers })
-  reply
-    .code(upstream.status)
-    .headers({ 'content-type': 'application/dns-message', 'cache-control': 'no-store' })
-    .send(upstream.body)
-})
+// Plain DNS clients get the same pipeline with ECS from the packet's source address;
+// padding is dropped on the clear-text hop
+async function answerPlainDns(query, client, transport) {
+  const answer = await runDnsQuery({ original: query, client, transport, padding: 0, log: fastify.log })
+  return answer.error ? null : answer.body
+}
+
+const dnsListeners = DNS_PORT > 0
+  ? createDnsListeners({
+    host: DNS_HOST,
+    port: DNS_PORT,
+    proxyProtocol: DNS_PROXY_PROTOCOL,
+    trustedProxies: TRUSTED_PROXIES,
+    maxUdpPayload: DNS_UDP_MAX_PAYLOAD,
+    tcpIdleMs: DNS_TCP_IDLE_MS,
+    handle: answerPlainDns,
+    log: fastify.log
+  })
+  : null
+
+function readDotCertificate() {
+  return { cert: readFileSync(DOT_CERT_FILE), key: readFileSync(DOT_KEY_FILE) }
+}
+
+const dotListener = DOT_PORT > 0
+  ? createDotListener({
+    host: DOT_HOST,
+    port: DOT_PORT,
+    ...readDotCertificate(),
+    idleMs: DNS_TCP_IDLE_MS,
+    handle: answerPlainDns,
+    log: fastify.log
+  })
+  : null
+
+// Renewed certificates (e.g. from certbot) are picked up by new connections; on a bad
+// file the old one stays in use
+function reloadCertificate(label, reload) {
+  try {
+    reload()
+    fastify.log.info(`${label} certificate reloaded`)
+  } catch (err) {
+    fastify.log.error({ err }, `${label} certificate reload failed, keeping the current one`)
+  }
+}
+
+if (HTTPS_CERT_FILE || dotListener) {
+  process.on('SIGHUP', () => {
+    if (HTTPS_CERT_FILE) reloadCertificate('HTTPS', () => fastify.server.setSecureContext(readHttpsCertificate()))
+    if (dotListener) reloadCertificate('DoT', () => dotListener.setCertificate(readDotCertificate()))
+  })
+}
 
 fastify.listen({ port: PORT, host: '0.0.0.0' })
-  .then(addr => fastify.log.info(`DoH ECS proxy listening on ${addr} -> ${UPSTREAM_DOH}`))
+  .then(addr => fastify.log.info(`DoH ECS proxy listening on ${addr} -> ${UPSTREAM_DOH.join(', ')} (${UPSTREAM_STRATEGY})`))
+  .then(() => dnsListeners && dnsListeners.listen())
+  .then(addr => addr && fastify.log.info(`plain DNS listening on ${addr} (udp, tcp)`))
+  .then(() => dotListener && dotListener.listen())
+  .then(addr => addr && fastify.log.info(`DNS over TLS listening on ${addr}`))
   .catch(err => {
     fastify.log.error(err)
     process.exit(1)